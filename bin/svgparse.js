@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for validating and inspecting SVG files, and generating random SVG content.
+ *
+ * Usage:
+ *     svgparse validate <file>...
+ *     svgparse tree <file>
+ *     svgparse styles <file>
+ *     svgparse generate <type> [-n <count>] [--seed <seed>]
+ *
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+"use strict";
+
+var fs = require('fs');
+var core = require('../src/core').core;
+var content = require('../src/content').content;
+var document = require('../src/document').document;
+var style = require('../src/style').style;
+var validate = require('../src/validate').validate;
+
+/**
+ * Content types that can be generated.
+ *
+ * @var {Array} GENERATORS
+ * @private
+ */
+var GENERATORS = ["angle", "integer", "number", "length", "opacityValue", "color", "paint", "pathData",
+    "transformList", "points", "viewBox", "preserveAspectRatio"];
+
+/**
+ * Usage message.
+ *
+ * @var {string} USAGE
+ * @private
+ */
+var USAGE = [
+    "Usage:",
+    "  svgparse validate <file>...         Validate files, report errors as file:line:column: message",
+    "  svgparse tree <file>                Print the parsed document tree as JSON",
+    "  svgparse styles <file>              Print the computed styles as JSON",
+    "  svgparse generate <type> [-n <count>] [--seed <seed>]",
+    "                                      Print random values of a content type, one per line",
+    "",
+    "Content types: " + GENERATORS.join(", ")
+].join("\n");
+
+/**
+ * Thrown for invalid command-line arguments.
+ *
+ * @class UsageError
+ * @param {string} message Description of the error.
+ * @private
+ */
+function UsageError(message) {
+    this.message = message;
+}
+
+/**
+ * Thrown for files that cannot be read or parsed.
+ *
+ * @class FileError
+ * @param {string} message Description of the error.
+ * @private
+ */
+function FileError(message) {
+    this.message = message;
+}
+
+/**
+ * Reads a file.
+ *
+ * @method read
+ * @param {string} file Path of the file.
+ * @returns {string} Content of the file.
+ * @private
+ */
+function read(file) {
+    try {
+        return fs.readFileSync(file, "utf8");
+    } catch (e) {
+        throw new FileError("Cannot read " + file + ": " + e.message);
+    }
+}
+
+/**
+ * Reads and parses a document, parse errors are thrown with their location.
+ *
+ * @method parse
+ * @param {string} file Path of the file.
+ * @returns {object} The parsed document.
+ * @private
+ */
+function parse(file) {
+    var str = read(file);
+    var doc = document.parse(str);
+    if (doc.error !== undefined) {
+        var error = validate.document(str)[0];
+        throw new FileError(file + ":" + error.line + ":" + error.column + ": " + error.message);
+    }
+    return doc.o;
+}
+
+/**
+ * Runs a command.
+ *
+ * @method run
+ * @param {Array} args Command-line arguments without the node executable and the script.
+ * @param {function} print Function writing a line to the standard output.
+ * @param {function} printError Function writing an error message to the standard error.
+ * @returns {number} Exit code: 0 if successful, 1 if any of the validated files cannot be read or has errors.
+ * @throws {UsageError} If the arguments are invalid.
+ * @throws {FileError} If a file cannot be read or parsed, except for validation where the remaining files are
+ * still validated.
+ * @private
+ */
+function run(args, print, printError) {
+    var command = args[0];
+    var operands = args.slice(1);
+    switch (command) {
+        case "validate":
+            if (operands.length === 0)
+                throw new UsageError("Missing file");
+            var failed = false;
+            operands.forEach(function (file) {
+                try {
+                    var str = read(file);
+                } catch (e) {
+                    if (!(e instanceof FileError))
+                        throw e;
+                    printError(e.message);
+                    failed = true;
+                    return;
+                }
+                validate.document(str).forEach(function (error) {
+                    print(file + ":" + error.line + ":" + error.column + ": " + error.message);
+                    failed = true;
+                });
+            });
+            return failed ? 1 : 0;
+
+        case "tree":
+        case "styles":
+            if (operands.length !== 1)
+                throw new UsageError("Expected a single file");
+            var tree = parse(operands[0]);
+            print(JSON.stringify(command === "tree" ? tree : style.compute(tree), null, 2));
+            return 0;
+
+        case "generate":
+            var type = null, count = 1, seed = null;
+            for (var i = 0; i < operands.length; i++) {
+                var option = operands[i];
+                if (option === "-n" || option === "--seed") {
+                    var value = Number(operands[++i]);
+                    if (operands[i] === undefined || !isFinite(value) || value < 0 || Math.floor(value) !== value)
+                        throw new UsageError("Expected a non-negative integer after " + option);
+                    if (option === "-n")
+                        count = value;
+                    else
+                        seed = value;
+                } else if (type === null) {
+                    type = option;
+                } else {
+                    throw new UsageError("Unexpected argument " + option);
+                }
+            }
+            if (GENERATORS.indexOf(type) === -1)
+                throw new UsageError(type === null ? "Missing content type" : "Unknown content type " + type);
+            if (seed !== null)
+                core.seed(seed);
+            for (var j = 0; j < count; j++)
+                print(content[type]().s);
+            return 0;
+
+        default:
+            throw new UsageError(command === undefined ? "Missing command" : "Unknown command " + command);
+    }
+}
+
+try {
+    process.exitCode = run(process.argv.slice(2), function (line) {
+        process.stdout.write(line + "\n");
+    }, function (message) {
+        process.stderr.write("svgparse: " + message + "\n");
+    });
+} catch (e) {
+    if (e instanceof FileError) {
+        process.stderr.write("svgparse: " + e.message + "\n");
+        process.exitCode = 1;
+    } else if (e instanceof UsageError) {
+        process.stderr.write("svgparse: " + e.message + "\n\n" + USAGE + "\n");
+        process.exitCode = 2;
+    } else {
+        throw e;
+    }
+}
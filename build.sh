@@ -1,6 +1,7 @@
 #!/usr/bin/env bash
 
 uglifyjs \
-    src/core.js src/css.js \
+    src/core.js src/named-colors.js src/content.js src/path.js src/transform.js src/viewport.js src/style.js \
+    src/document.js src/gradient.js src/validate.js src/generate.js src/property.js \
     -m \
     --output svgparse.min.js
\ No newline at end of file
@@ -6,9 +6,7 @@
  * @memberOf svgparse
  * @author Enys Mones (enys.mones@gmail.com)
  * TODO add all possible CSS value types
- * TODO add SVG class (migrate from old dice module)
  * TODO add unit test
- * TODO separate generators from parsers
  */
 (function (global, factory) {
     if (typeof exports === "object" && typeof module !== "undefined") {
@@ -21,8 +19,10 @@
 } (this, (function (exports) {
     "use strict";
 
-    if (typeof exports === "object")
+    if (typeof exports === "object") {
         var core = require('./core').core;
+        var namedColors = require('./named-colors').namedColors;
+    }
     exports.content = (function() {
         /**
          * Class describing a generated SVG content.
@@ -38,185 +38,1984 @@
             return {o: obj, s: str};
         }
 
-        function angle() {
-            var = 
+        /**
+         * Class describing an error occurred while parsing an SVG content string.
+         *
+         * @class ParseError
+         * @memberOf svgparse.content
+         * @property {string} error Description of the error.
+         * @property {number} position Position of the character in the string where the error occurred.
+         * @property {string} s The string that was parsed.
+         * @constructor
+         */
+        function ParseError(message, position, str) {
+            return {error: message, position: position, s: str};
+        }
+
+        /**
+         * Default values of the CSS system colors (light color scheme).
+         * The deprecated CSS2 system colors are mapped to their CSS Color 4 equivalents.
+         *
+         * @var {object} SYSTEM_COLORS
+         * @memberOf svgparse.content
+         * @private
+         */
+        var SYSTEM_COLORS = (function () {
+            var colors = {
+                AccentColor: "#0075FF", AccentColorText: "#FFFFFF", ActiveText: "#FF0000",
+                ButtonBorder: "#767676", ButtonFace: "#EFEFEF", ButtonText: "#000000", Canvas: "#FFFFFF",
+                CanvasText: "#000000", Field: "#FFFFFF", FieldText: "#000000", GrayText: "#808080",
+                Highlight: "#3399FF", HighlightText: "#FFFFFF", LinkText: "#0000EE", Mark: "#FFFF00",
+                MarkText: "#000000", SelectedItem: "#3399FF", SelectedItemText: "#FFFFFF", VisitedText: "#551A8B"
+            };
+            var deprecated = {
+                ActiveBorder: "ButtonBorder", ActiveCaption: "Canvas", AppWorkspace: "Canvas", Background: "Canvas",
+                ButtonHighlight: "ButtonFace", ButtonShadow: "ButtonFace", CaptionText: "CanvasText",
+                InactiveBorder: "ButtonBorder", InactiveCaption: "Canvas", InactiveCaptionText: "GrayText",
+                InfoBackground: "Canvas", InfoText: "CanvasText", Menu: "Canvas", MenuText: "CanvasText",
+                Scrollbar: "Canvas", ThreeDDarkShadow: "ButtonBorder", ThreeDFace: "ButtonFace",
+                ThreeDHighlight: "ButtonBorder", ThreeDLightShadow: "ButtonBorder", ThreeDShadow: "ButtonBorder",
+                Window: "Canvas", WindowFrame: "ButtonBorder", WindowText: "CanvasText"
+            };
+            for (var name in deprecated) {
+                if (deprecated.hasOwnProperty(name))
+                    colors[name] = colors[deprecated[name]];
+            }
+            return colors;
+        })();
+
+        /**
+         * Converts a 6 or 8 digit hex color to an RGBA object.
+         *
+         * @method _hexToRgba
+         * @memberOf svgparse.content
+         * @param {string} hex Hex string with or without the leading #.
+         * @returns {object} Object containing the r, g, b channels and the alpha in [0, 1].
+         * @private
+         */
+        function _hexToRgba(hex) {
+            var c = hex.replace('#', '');
+            return {
+                r: parseInt(c[0] + c[1], 16),
+                g: parseInt(c[2] + c[3], 16),
+                b: parseInt(c[4] + c[5], 16),
+                a: c.length === 8 ? parseInt(c[6] + c[7], 16) / 255 : 1
+            };
+        }
+
+        /**
+         * Converts a percentage to an RGB channel value.
+         *
+         * @method _percentToChannel
+         * @memberOf svgparse.content
+         * @param {number} p Percentage.
+         * @returns {number} Channel value in [0, 255].
+         * @private
+         */
+        function _percentToChannel(p) {
+            return Math.round(Math.min(100, Math.max(0, p)) * 255 / 100);
+        }
+
+        /**
+         * Converts a number to an RGB channel value.
+         *
+         * @method _numberToChannel
+         * @memberOf svgparse.content
+         * @param {number} n Number.
+         * @returns {number} Channel value in [0, 255].
+         * @private
+         */
+        function _numberToChannel(n) {
+            return Math.round(Math.min(255, Math.max(0, n)));
+        }
+
+        /**
+         * Converts a number or percentage to an alpha value.
+         *
+         * @method _toAlpha
+         * @memberOf svgparse.content
+         * @param {number} value Value of the alpha.
+         * @param {boolean} percent Whether the value is a percentage.
+         * @returns {number} Alpha in [0, 1].
+         * @private
+         */
+        function _toAlpha(value, percent) {
+            return Math.min(1, Math.max(0, percent ? value / 100 : value));
+        }
+
+        /**
+         * Converts an HSL color to RGB.
+         *
+         * @method _hslToRgb
+         * @memberOf svgparse.content
+         * @param {number} h Hue in degrees.
+         * @param {number} s Saturation in percentages.
+         * @param {number} l Lightness in percentages.
+         * @returns {object} Object containing the r, g, b channels.
+         * @private
+         */
+        function _hslToRgb(h, s, l) {
+            h = ((h % 360) + 360) % 360;
+            s = Math.min(100, Math.max(0, s)) / 100;
+            l = Math.min(100, Math.max(0, l)) / 100;
+            var f = function (n) {
+                var k = (n + h / 30) % 12;
+                return Math.round(255 * (l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+            };
+            return {r: f(0), g: f(8), b: f(4)};
+        }
+
+        /**
+         * Factors converting the CSS <angle> units to degrees.
+         * The empty unit corresponds to unitless SVG angles, which are in degrees.
+         *
+         * @var {object} ANGLE_UNITS
+         * @memberOf svgparse.content
+         * @private
+         */
+        var ANGLE_UNITS = {
+            "": 1,
+            deg: 1,
+            grad: 0.9,
+            rad: 180 / Math.PI,
+            turn: 360
+        };
+
+        /**
+         * Generates a random string of decimal digits.
+         *
+         * @method _digits
+         * @memberOf svgparse.content
+         * @param {number} min Minimum number of digits.
+         * @param {number} max Maximum number of digits.
+         * @returns {string} Random digits.
+         * @private
+         */
+        function _digits(min, max) {
+            var s = "";
+            for (var i = core.int(min, max); i > 0; i--)
+                s += core.char("0123456789");
+            return s;
+        }
+
+        /**
+         * Generates a random mantissa for numbers with exponents: an integer or a decimal with or without leading
+         * digits.
+         *
+         * @method _mantissa
+         * @memberOf svgparse.content
+         * @returns {string} Random mantissa.
+         * @private
+         */
+        function _mantissa() {
+            return core.choice([
+                _digits(1, 3),
+                _digits(1, 3) + "." + _digits(1, 3),
+                "." + _digits(1, 3)
+            ]);
+        }
+
+        /**
+         * Generators of the unsigned forms of a CSS number.
+         *
+         * @var {object} NUMBER_FORMS
+         * @memberOf svgparse.content
+         * @private
+         */
+        var NUMBER_FORMS = {
+            integer: function () {
+                return _digits(1, 6);
+            },
+            decimal: function () {
+                return _digits(1, 4) + "." + _digits(1, 4);
+            },
+            leadingDot: function () {
+                return "." + _digits(1, 4);
+            },
+            trailingZeros: function () {
+                return _digits(1, 3) + "." + _digits(0, 2) + new Array(core.int(1, 3) + 1).join("0");
+            },
+            exponent: function () {
+                return _mantissa() + core.char("eE") + core.choice(["", "+", "-"]) + _digits(1, 2);
+            },
+            extreme: function () {
+                return core.choice([
+                    _digits(16, 30),
+                    "0." + new Array(core.int(10, 30) + 1).join("0") + _digits(1, 3),
+                    _mantissa() + core.char("eE") + core.choice(["", "+"]) + core.int(100, 300),
+                    _mantissa() + core.char("eE") + "-" + core.int(100, 320)
+                ]);
+            }
+        };
+
+        /**
+         * Splits a non-negative finite number into its shortest round-trip significant digits and the position of
+         * the decimal point relative to the first digit, such that the number equals 0.digits * 10^point.
+         *
+         * @method _decimalDigits
+         * @memberOf svgparse.content
+         * @param {number} n Number to split.
+         * @returns {object} Object containing the significant digits and the position of the decimal point.
+         * @private
+         */
+        function _decimalDigits(n) {
+            var m = /^(\d+)(?:\.(\d+))?(?:e([+-]\d+))?$/.exec(String(n));
+            var digits = m[1] + (m[2] || "");
+            var point = m[1].length + (m[3] ? parseInt(m[3], 10) : 0);
+            var lead = /^0*/.exec(digits)[0].length;
+            digits = digits.slice(lead).replace(/0+$/, "");
+            return {digits: digits, point: point - lead};
+        }
+
+        /**
+         * Rounds the digits of a number (as returned by _decimalDigits) to some decimals, halves are rounded away
+         * from zero.
+         *
+         * @method _roundDigits
+         * @memberOf svgparse.content
+         * @param {object} d Object containing the significant digits and the position of the decimal point.
+         * @param {number} precision Number of decimals to keep.
+         * @returns {object} Object containing the significant digits and the position of the decimal point of the
+         * rounded number.
+         * @private
+         */
+        function _roundDigits(d, precision) {
+            var keep = d.point + precision;
+            if (keep >= d.digits.length)
+                return d;
+            if (keep < 0)
+                return {digits: "", point: 0};
+            var digits = d.digits.slice(0, keep).split("").map(Number);
+            var point = d.point;
+            if (d.digits.charAt(keep) >= "5") {
+                var i = digits.length - 1;
+                while (i >= 0 && digits[i] === 9)
+                    digits[i--] = 0;
+                if (i >= 0) {
+                    digits[i]++;
+                } else {
+                    digits.unshift(1);
+                    point++;
+                }
+            }
+            return {digits: digits.join("").replace(/0+$/, ""), point: point};
+        }
+
+        /**
+         * Formats a number as a CSS number string.
+         * Without options, numbers are written in plain decimal notation with all their significant digits, e.g.,
+         * 1e-7 is written as 0.0000001, and the output is the same for the same number across platforms.
+         *
+         * @method formatNumber
+         * @memberOf svgparse.content
+         * @param {number} n Number to format.
+         * @param {object=} options Formatting options.
+         * @param {number=} options.precision Maximum number of decimals, the number is rounded to it with halves
+         * rounded away from zero. Rounding is done on the shortest decimal representation of the number, e.g.,
+         * 1.005 is rounded to 1.01 with 2 decimals. If not specified, the number is written with full precision.
+         * @param {boolean=} options.leadingZero Whether to write the zero integer part of numbers between -1 and 1,
+         * e.g., 0.5 instead of .5. Default is true.
+         * @param {boolean=} options.exponent Whether to use exponent notation when it is shorter, e.g., 1e6 instead
+         * of 1000000. Default is false.
+         * @param {string=} options.sign Sign handling: auto writes the sign of negative numbers only, always writes
+         * the sign of positive numbers and zero as well. Negative zero is written as zero in both cases. Default is
+         * auto.
+         * @returns {string} The formatted number, or the string representation of the number if it is not finite.
+         */
+        function formatNumber(n, options) {
+            var opts = options || {};
+            if (!isFinite(n))
+                return String(n);
+            var d = _decimalDigits(Math.abs(n));
+            if (typeof opts.precision === "number")
+                d = _roundDigits(d, opts.precision);
+            var s;
+            if (d.digits === "") {
+                s = "0";
+            } else if (d.point <= 0) {
+                s = (opts.leadingZero === false ? "" : "0") + "." + new Array(1 - d.point).join("0") + d.digits;
+            } else if (d.point >= d.digits.length) {
+                s = d.digits + new Array(d.point - d.digits.length + 1).join("0");
+            } else {
+                s = d.digits.slice(0, d.point) + "." + d.digits.slice(d.point);
+            }
+            if (opts.exponent && d.digits !== "") {
+                var e = d.digits.charAt(0) + (d.digits.length > 1 ? "." + d.digits.slice(1) : "")
+                    + "e" + (d.point - 1);
+                if (e.length < s.length)
+                    s = e;
+            }
+            if (d.digits !== "" && n < 0)
+                return "-" + s;
+            return (opts.sign === "always" ? "+" : "") + s;
+        }
+
+        /**
+         * Returns the formatting options of the shortest form of numbers, as used by the serialisers: without
+         * leading zero and with exponent notation when it is shorter.
+         *
+         * @method compactFormat
+         * @memberOf svgparse.content
+         * @param {number=} precision Maximum number of decimals, see formatNumber().
+         * @returns {object} Formatting options for formatNumber().
+         */
+        function compactFormat(precision) {
+            return {precision: precision, leadingZero: false, exponent: true};
+        }
+
+        /**
+         * Generates a random CSS number string. The form of the number is selected with probabilities proportional
+         * to the weights, all forms may have a sign. If a value generator is given, its value is written instead.
+         * If formatting options are given, the number is written with formatNumber().
+         *
+         * @method _numberString
+         * @memberOf svgparse.content
+         * @param {object=} options Number options.
+         * @param {object=} options.weights Weights of the number forms, see number() for the possible keys. Missing
+         * forms have a weight of 1.
+         * @param {function=} options.value Generator of the numeric value, see number().
+         * @param {object=} options.format Formatting options, see formatNumber().
+         * @returns {string} Random number string.
+         * @private
+         */
+        function _numberString(options) {
+            var opts = options || {};
+            if (typeof opts.value === "function")
+                return formatNumber(opts.value(), opts.format);
+            var weights = opts.weights;
+            var forms = Object.keys(NUMBER_FORMS);
+            var s = core.choice(["", "+", "-"]) + NUMBER_FORMS[core.choice(forms, forms.map(function (form) {
+                return weights && typeof weights[form] === "number" ? weights[form] : 1;
+            }))]();
+            return opts.format ? formatNumber(parseFloat(s), opts.format) : s;
+        }
+
+        /**
+         * Selects a random unit with probabilities proportional to the weights.
+         *
+         * @method _unit
+         * @memberOf svgparse.content
+         * @param {Array} units Units to choose from.
+         * @param {object=} weights Weights of the units. Missing units have a weight of 1.
+         * @returns {string} The selected unit.
+         * @private
+         */
+        function _unit(units, weights) {
+            return core.choice(units, units.map(function (unit) {
+                return weights && typeof weights[unit] === "number" ? weights[unit] : 1;
+            }));
+        }
+
+        /**
+         * Generates a random CSS angle.
+         * The angle can have any of the deg, grad, rad and turn units, or no unit at all (degrees in SVG).
+         *
+         * @method angle
+         * @memberOf svgparse.content
+         * @param {object=} options Generator options.
+         * @param {object=} options.weights Weights of the number forms, see number().
+         * @param {function=} options.value Generator of the numeric value, see number().
+         * @param {object=} options.format Formatting options of the number, see formatNumber().
+         * @param {object=} options.units Weights of the units, the empty string stands for unitless angles. Missing
+         * units have a weight of 1.
+         * @returns {SVGContent} Random CSS angle with the object being the angle in degrees.
+         */
+        function angle(options) {
+            var n = _numberString(options);
+            var unit = _unit(Object.keys(ANGLE_UNITS), options && options.units);
+            return this.SVGContent(
+                parseFloat(n) * ANGLE_UNITS[unit],
+                n + unit
+            );
         }
 
         /**
          * Generates a random integer.
+         * If formatting options are given, the integer is written with formatNumber(). Exponent notation does not
+         * give valid integers.
          *
          * @method integer
          * @memberOf svgparse.content
+         * @param {object=} options Generator options.
+         * @param {object=} options.format Formatting options of the integer, see formatNumber().
          * @returns {SVGContent} Random integer.
          */
-        function integer() {
-            var s = core.int(-2147483648, 2147483647);
-            return this.SVGContent(s, s+"");
+        function integer(options) {
+            var n = core.int(-2147483648, 2147483647);
+            return this.SVGContent(n, formatNumber(n, options && options.format));
         }
 
         /**
          * Generates a random CSS number.
+         * The number can take any of the following forms, selected with probabilities proportional to the weights:
+         * <ul>
+         *     <li>integer: integers, e.g., 42.</li>
+         *     <li>decimal: decimals with integer and fractional parts, e.g., 3.14.</li>
+         *     <li>leadingDot: decimals without integer part, e.g., .5.</li>
+         *     <li>trailingZeros: decimals ending in zeros, e.g., 1.500.</li>
+         *     <li>exponent: numbers with e or E exponent, e.g., 1.2e-3.</li>
+         *     <li>extreme: very large or small magnitudes, e.g., 1e300 or 0.0000000000001.</li>
+         * </ul>
+         * All forms may have a + or - sign.
+         * Alternatively, the numeric value can be drawn from any distribution by passing a value generator, e.g.,
+         * core.exponential() for many small numbers, in which case the value is written with formatNumber().
+         * If formatting options are given, the number is written with formatNumber() whichever way it is generated,
+         * e.g., {precision: 2, leadingZero: false} results in compact numbers such as .25.
          *
          * @method number
          * @memberOf svgparse.content
+         * @param {object=} options Generator options.
+         * @param {object=} options.weights Weights of the number forms. Missing forms have a weight of 1.
+         * @param {function=} options.value Function taking no arguments and returning a finite number, e.g.,
+         * function () { return core.logUniform(0.01, 100); }. If specified, the weights are ignored.
+         * @param {object=} options.format Formatting options of the number, see formatNumber().
          * @returns {SVGContent} Random CSS number.
-         * TODO fix range according to specification
          */
-        function number() {
-            var s = core.char("+- ") + core.coin(0.5, core.int(100), "") + "." + core.int(100);
+        function number(options) {
+            var s = _numberString(options);
             return this.SVGContent(
                 parseFloat(s),
-                s.trim()
+                s
             );
         }
 
+        /**
+         * Units of the CSS <length> type.
+         * The empty unit corresponds to unitless SVG lengths, which are in user units (px).
+         *
+         * @var {Array} LENGTH_UNITS
+         * @memberOf svgparse.content
+         * @private
+         */
+        var LENGTH_UNITS = ["", "em", "ex", "px", "in", "cm", "mm", "q", "pt", "pc", "%"];
+
+        /**
+         * Factors converting the absolute CSS <length> units to pixels.
+         *
+         * @var {object} PX_PER_UNIT
+         * @memberOf svgparse.content
+         * @private
+         */
+        var PX_PER_UNIT = {
+            "": 1,
+            px: 1,
+            "in": 96,
+            cm: 96 / 2.54,
+            mm: 96 / 25.4,
+            q: 96 / 101.6,
+            pt: 4 / 3,
+            pc: 16
+        };
+
+        /**
+         * Class describing a CSS length.
+         *
+         * @class Length
+         * @memberOf svgparse.content
+         * @property {number} value Numeric value of the length.
+         * @property {string} unit Lower case unit of the length, empty string for unitless lengths.
+         * @constructor
+         */
+        function Length(value, unit) {
+            return {value: value, unit: unit};
+        }
+
         /**
          * Generates a random CSS length.
          *
          * @method length
          * @memberOf svgparse.content
+         * @param {object=} options Generator options.
+         * @param {object=} options.weights Weights of the number forms, see number().
+         * @param {function=} options.value Generator of the numeric value, see number().
+         * @param {object=} options.format Formatting options of the number, see formatNumber().
+         * @param {object=} options.units Weights of the units, the empty string stands for unitless lengths. Missing
+         * units have a weight of 1.
          * @returns {SVGContent} Random CSS length.
-         * TODO follow specification
          */
-        function length() {
-            var s = core.coin(0.5, core.int(100), "") + "." + core.int(100);
-            if (parseFloat(s) !== 0) {
-                s += core.choice(["em", "ex", "px", "in", "cm", "mm", "pt", "pc", "%"]);
-            } else {
-                s = "0";
-            }
+        function length(options) {
+            var n = _numberString(options);
+            var unit = _unit(LENGTH_UNITS, options && options.units);
             return this.SVGContent(
-                parseFloat(s),
-                s.trim()
+                Length(parseFloat(n), unit),
+                n + core.coin(unit, unit.toUpperCase())
             );
         }
 
         /**
-         * Generates a random CSS opacity-value.
+         * Generates a random CSS opacity-value: a number in [0, 1] or a percentage in [0%, 100%].
          *
          * @method opacityValue
          * @memberOf svgparse.content
-         * @returns {SVGContent} Random CSS opacityValue.
-         * TODO follow specification
+         * @param {object=} options Generator options.
+         * @param {object=} options.format Formatting options of the number, see formatNumber().
+         * @returns {SVGContent} Random CSS opacityValue with the object being the opacity in [0, 1].
          */
-        function opacityValue() {
-            var s = core.choice([
-                "1", "0",
-                core.int(9) + "." + core.int(1, 1000) + core.char("Ee") + core.int(-10, -1),
-                core.char(" 0") + "." + core.int(1, 1000)
-            ]);
+        function opacityValue(options) {
+            var percent = core.coin(true, false, 0.25);
+            var s = percent
+                ? core.choice([String(core.int(0, 100)), core.int(0, 99) + "." + _digits(1, 2)])
+                : core.choice([
+                    "1", "0",
+                    core.int(9) + "." + core.int(1, 1000) + core.char("Ee") + core.int(-10, -1),
+                    "0." + core.int(1, 1000),
+                    "." + core.int(1, 1000)
+                ]);
+            if (options && options.format)
+                s = formatNumber(parseFloat(s), options.format);
             return this.SVGContent(
-                parseFloat(s),
-                s.trim()
+                parseFloat(s) / (percent ? 100 : 1),
+                s + (percent ? "%" : "")
             );
         }
 
+        /**
+         * Generates some random whitespace for separating the parts of a CSS value.
+         *
+         * @method _ws
+         * @memberOf svgparse.content
+         * @returns {string} Random, possibly empty whitespace.
+         * @private
+         */
+        function _ws() {
+            return core.choice(["", "", " ", "  ", "\t", "\n"]);
+        }
+
+        /**
+         * Randomly changes the case of a case-insensitive CSS keyword.
+         *
+         * @method _case
+         * @memberOf svgparse.content
+         * @param {string} str Keyword.
+         * @returns {string} The keyword in lower, upper or mixed case.
+         * @private
+         */
+        function _case(str) {
+            switch (core.int(3)) {
+                case 0:
+                    return str.toLowerCase();
+                case 1:
+                    return str.toUpperCase();
+                case 2:
+                    return str;
+                default:
+                    return str.split("").map(function (c) {
+                        return core.coin(c.toLowerCase(), c.toUpperCase());
+                    }).join("");
+            }
+        }
+
+        /**
+         * Generates a random alpha value as a number or percentage.
+         *
+         * @method _alpha
+         * @memberOf svgparse.content
+         * @returns {SVGContent} Random alpha value.
+         * @private
+         */
+        function _alpha() {
+            var s = core.choice(["0", "1", "." + _digits(1, 2), "0." + _digits(1, 2), core.int(100) + "%"]);
+            return SVGContent(_toAlpha(parseFloat(s), s.charAt(s.length - 1) === "%"), s);
+        }
+
+        /**
+         * Joins the components of a color function, using the legacy comma separated or the modern whitespace
+         * separated syntax.
+         *
+         * @method _colorFunction
+         * @memberOf svgparse.content
+         * @param {string} name Name of the function.
+         * @param {Array} components Array of the three color components.
+         * @param {?string} alpha Alpha component, or null if it is omitted.
+         * @param {boolean} legacy Whether to use the legacy syntax.
+         * @returns {string} The color function.
+         * @private
+         */
+        function _colorFunction(name, components, alpha, legacy) {
+            var s = _case(name) + "(" + _ws() + components.join(legacy ? _ws() + "," + _ws() : _ws() + " ");
+            if (alpha !== null)
+                s += legacy ? _ws() + "," + _ws() + alpha : _ws() + " /" + _ws() + alpha;
+            return s + _ws() + ")";
+        }
+
+        /**
+         * Generators of the forms of a CSS color.
+         *
+         * @var {object} COLOR_FORMS
+         * @memberOf svgparse.content
+         * @private
+         */
+        var COLOR_FORMS = {
+            hex: function () {
+                var digits = core.choice([3, 4, 6, 8]);
+                var s = "";
+                for (var i = 0; i < digits; i++)
+                    s += core.char("0123456789abcdef");
+                var hex = digits > 4 ? s : s.split("").map(function (d) {
+                    return d + d;
+                }).join("");
+                return SVGContent(_hexToRgba(hex), "#" + _case(s));
+            },
+            rgb: function () {
+                var percent = core.coin(true, false);
+                var values = core.int(0, percent ? 100 : 255, 3);
+                var alpha = core.coin(_alpha(), null);
+                var legacy = core.coin(true, false);
+                var o = {
+                    r: percent ? _percentToChannel(values[0]) : values[0],
+                    g: percent ? _percentToChannel(values[1]) : values[1],
+                    b: percent ? _percentToChannel(values[2]) : values[2],
+                    a: alpha ? alpha.o : 1
+                };
+                return SVGContent(o, _colorFunction(
+                    legacy && alpha ? "rgba" : core.choice(["rgb", "rgba"]),
+                    values.map(function (v) {
+                        return v + (percent ? "%" : "");
+                    }),
+                    alpha && alpha.s, legacy
+                ));
+            },
+            hsl: function () {
+                var unit = core.choice(Object.keys(ANGLE_UNITS));
+                var hue = unit === "" || unit === "deg" ? core.int(-360, 720) + "" : _mantissa();
+                var s = core.int(100);
+                var l = core.int(100);
+                var alpha = core.coin(_alpha(), null);
+                var legacy = core.coin(true, false);
+                var o = _hslToRgb(parseFloat(hue) * ANGLE_UNITS[unit], s, l);
+                o.a = alpha ? alpha.o : 1;
+                return SVGContent(o, _colorFunction(
+                    legacy && alpha ? "hsla" : core.choice(["hsl", "hsla"]),
+                    [hue + unit, s + "%", l + "%"],
+                    alpha && alpha.s, legacy
+                ));
+            },
+            named: function () {
+                var name = core.choice(namedColors.names());
+                var o = namedColors.toRGB(name);
+                o.a = 1;
+                return SVGContent(o, _case(name));
+            },
+            transparent: function () {
+                return SVGContent({r: 0, g: 0, b: 0, a: 0}, _case("transparent"));
+            },
+            currentColor: function () {
+                return SVGContent({currentColor: true}, _case("currentColor"));
+            },
+            system: function () {
+                var name = core.choice(Object.keys(SYSTEM_COLORS));
+                return SVGContent(_hexToRgba(SYSTEM_COLORS[name]), _case(name));
+            }
+        };
+
         /**
          * Generates a random CSS color.
+         * The color can be any of the following forms: 3, 4, 6 or 8 digit hex, rgb(), rgba(), hsl(), hsla() with
+         * the legacy comma or modern whitespace separated syntax, named colors, transparent, currentColor or
+         * system colors. Whitespace and the case of the keywords are randomized.
          *
          * @method color
          * @memberOf svgparse.content
-         * @returns {SVGContent} Random CSS color.
-         * TODO follow specification
+         * @returns {SVGContent} Random CSS color. The object contains the r, g, b channels in [0, 255] and the
+         * alpha a in [0, 1], except for currentColor which is described by {currentColor: true}.
          */
         function color() {
-            var o = {
-                r: core.int(255),
-                g: core.int(255),
-                b: core.int(255)
+            var c = COLOR_FORMS[core.choice(Object.keys(COLOR_FORMS))]();
+            return this.SVGContent(c.o, c.s);
+        }
+
+        /**
+         * Characters of the generated identifiers, the first character is always a letter.
+         *
+         * @var {string} ID_CHARACTERS
+         * @memberOf svgparse.content
+         * @private
+         */
+        var ID_CHARACTERS = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_";
+
+        /**
+         * Generates a random paint as used by the fill and stroke properties: none, a color, a url() reference to
+         * a paint server with an optional fallback of none or a color, context-fill or context-stroke. The
+         * reference is written with or without quotes and the case of the keywords is randomized.
+         *
+         * @method paint
+         * @memberOf svgparse.content
+         * @param {object=} options Generator options.
+         * @param {Array=} options.ids Identifiers to reference. If not specified, random identifiers are used, if
+         * empty, no references are generated.
+         * @returns {SVGContent} Random paint. The object contains the type of the paint (none, color, url,
+         * context-fill or context-stroke), the color (color) for colors, the reference (url) and the fallback
+         * (fallback, null or a none or color paint) for references.
+         */
+        function paint(options) {
+            var ids = options && options.ids;
+            var type = core.choice(["none", "color", "url", "context-fill", "context-stroke"],
+                [1, 3, ids && ids.length === 0 ? 0 : 3, 0.5, 0.5]);
+            switch (type) {
+                case "color":
+                    var c = color.call(this);
+                    return this.SVGContent({type: "color", color: c.o}, c.s);
+                case "url":
+                    var id = ids ? core.choice(ids) : core.char(ID_CHARACTERS.slice(0, 52));
+                    for (var i = ids ? 0 : core.int(0, 8); i > 0; i--)
+                        id += core.char(ID_CHARACTERS);
+                    var quote = core.choice(["", "\"", "'"]);
+                    var s = _case("url") + "(" + _ws() + quote + "#" + id + quote + _ws() + ")";
+                    var fallback = core.choice([null, "none", "color"]);
+                    if (fallback === "none") {
+                        fallback = {type: "none"};
+                        s += " " + _ws() + _case("none");
+                    } else if (fallback === "color") {
+                        c = color.call(this);
+                        fallback = {type: "color", color: c.o};
+                        s += " " + _ws() + c.s;
+                    }
+                    return this.SVGContent({type: "url", url: "#" + id, fallback: fallback}, s);
+                default:
+                    return this.SVGContent({type: type}, _case(type));
+            }
+        }
+
+        /**
+         * Parameters of the path commands in the order they appear in the path data.
+         *
+         * @var {object} PATH_PARAMETERS
+         * @memberOf svgparse.content
+         * @private
+         */
+        var PATH_PARAMETERS = {
+            M: ["x", "y"],
+            L: ["x", "y"],
+            H: ["x"],
+            V: ["y"],
+            C: ["x1", "y1", "x2", "y2", "x", "y"],
+            S: ["x2", "y2", "x", "y"],
+            Q: ["x1", "y1", "x", "y"],
+            T: ["x", "y"],
+            A: ["rx", "ry", "xAxisRotation", "largeArc", "sweep", "x", "y"],
+            Z: []
+        };
+
+        /**
+         * Generates a random separator between two parameters of path data.
+         * Separators are omitted only where the parameters remain unambiguous: after flags, before signs and before
+         * a leading dot following a number that already has a dot or an exponent.
+         *
+         * @method _pathSeparator
+         * @memberOf svgparse.content
+         * @param {string} style Separator style: comma, whitespace, compact or mixed.
+         * @param {object} prev Previous parameter containing its string and whether it is a flag.
+         * @param {string} next String of the next parameter.
+         * @returns {string} Random separator.
+         * @private
+         */
+        function _pathSeparator(style, prev, next) {
+            switch (style === "mixed" ? core.choice(["comma", "whitespace", "compact"]) : style) {
+                case "comma":
+                    return core.choice([",", ", ", " , ", " ,"]);
+                case "whitespace":
+                    return core.choice([" ", "  ", "\t", "\n"]);
+                default:
+                    var c = next.charAt(0);
+                    return prev.flag || c === "+" || c === "-" || (c === "." && /[.eE]/.test(prev.s)) ? "" : " ";
+            }
+        }
+
+        /**
+         * Generates random SVG path data.
+         * The path varies absolute and relative commands, separator styles (commas, whitespace or none where
+         * possible), implicit repetition of commands and the number formats.
+         *
+         * @method pathData
+         * @memberOf svgparse.content
+         * @param {object=} options Generator options.
+         * @param {number=} options.length Number of commands. If not specified, a random number in [1, 20] is used.
+         * @param {Array=} options.commands Command letters to choose from after the initial moveto. If not specified,
+         * all commands are used.
+         * @param {number=} options.relative Probability of a command being relative. If not specified, 0.5 is used.
+         * @param {object=} options.weights Weights of the number forms, see number().
+         * @param {function=} options.value Generator of the numeric values, see number(). The flags of the arcs
+         * are not affected.
+         * @param {object=} options.format Formatting options of the numbers, see formatNumber().
+         * @returns {SVGContent} Random path data with the object being the list of commands in the format of
+         * path.parse().
+         */
+        function pathData(options) {
+            var opts = options || {};
+            var count = typeof opts.length === "number" ? opts.length : core.int(1, 20);
+            var allowed = opts.commands || Object.keys(PATH_PARAMETERS);
+            var relative = typeof opts.relative === "number" ? opts.relative : 0.5;
+            var style = core.choice(["comma", "whitespace", "compact", "mixed"]);
+            var commands = [];
+            var d = "";
+            var prev = null;
+            var last = null;
+            for (var i = 0; i < count; i++) {
+                var upper = i === 0 ? "M" : core.choice(allowed).toUpperCase();
+                var code = core.coin(upper.toLowerCase(), upper, relative);
+                var command = {code: code, relative: code !== upper};
+                var names = PATH_PARAMETERS[upper];
+
+                // Command letter, omitted if the previous command is repeated implicitly
+                var implicit = last === "M" ? "L" : last === "m" ? "l" : last;
+                var explicit = code !== implicit || names.length === 0 || core.coin(true, false);
+                if (explicit) {
+                    d += (i > 0 && style !== "compact" ? core.choice(["", " ", "\n"]) : "") + code;
+                    prev = null;
+                }
+
+                // Parameters
+                for (var j = 0; j < names.length; j++) {
+                    var flag = names[j] === "largeArc" || names[j] === "sweep";
+                    var s = flag ? core.char("01") : _numberString(opts);
+                    if (names[j] === "rx" || names[j] === "ry")
+                        s = s.replace(/^[+-]/, "");
+                    d += prev === null ? (style === "compact" ? "" : core.choice(["", " "]))
+                        : _pathSeparator(style, prev, s);
+                    d += s;
+                    command[names[j]] = flag ? s === "1" : parseFloat(s);
+                    prev = {s: s, flag: flag};
+                }
+                commands.push(command);
+                last = code;
+            }
+            return this.SVGContent(commands, d);
+        }
+
+        /**
+         * Multiplies two affine matrices {a, b, c, d, e, f}, the resulting matrix applies m2 first, then m1.
+         *
+         * @method _multiply
+         * @memberOf svgparse.content
+         * @param {object} m1 Left matrix.
+         * @param {object} m2 Right matrix.
+         * @returns {object} The product m1 m2.
+         * @private
+         */
+        function _multiply(m1, m2) {
+            return {
+                a: m1.a * m2.a + m1.c * m2.b,
+                b: m1.b * m2.a + m1.d * m2.b,
+                c: m1.a * m2.c + m1.c * m2.d,
+                d: m1.b * m2.c + m1.d * m2.d,
+                e: m1.a * m2.e + m1.c * m2.f + m1.e,
+                f: m1.b * m2.e + m1.d * m2.f + m1.f
             };
+        }
+
+        /**
+         * Generators of the transform functions. Each generator takes a function generating random numbers and
+         * returns the matrix of the function, optional arguments are decided by a coin flip.
+         *
+         * @var {object} TRANSFORM_FUNCTIONS
+         * @memberOf svgparse.content
+         * @private
+         */
+        var TRANSFORM_FUNCTIONS = {
+            matrix: function (n) {
+                var v = [n(), n(), n(), n(), n(), n()];
+                return {a: v[0], b: v[1], c: v[2], d: v[3], e: v[4], f: v[5]};
+            },
+            translate: function (n) {
+                var tx = n(), ty = core.coin(true, false) ? n() : 0;
+                return {a: 1, b: 0, c: 0, d: 1, e: tx, f: ty};
+            },
+            scale: function (n) {
+                var sx = n(), sy = core.coin(true, false) ? n() : sx;
+                return {a: sx, b: 0, c: 0, d: sy, e: 0, f: 0};
+            },
+            rotate: function (n) {
+                var rad = n() * Math.PI / 180;
+                var cos = Math.cos(rad), sin = Math.sin(rad);
+                var centre = core.coin(true, false);
+                var cx = centre ? n() : 0, cy = centre ? n() : 0;
+                return {a: cos, b: sin, c: -sin, d: cos, e: cx - cos * cx + sin * cy, f: cy - sin * cx - cos * cy};
+            },
+            skewX: function (n) {
+                return {a: 1, b: 0, c: Math.tan(n() * Math.PI / 180), d: 1, e: 0, f: 0};
+            },
+            skewY: function (n) {
+                return {a: 1, b: Math.tan(n() * Math.PI / 180), c: 0, d: 1, e: 0, f: 0};
+            }
+        };
 
-            // 6 digit hex
-            if (Math.random() < 1/5) {
-                return this.SVGContent(
-                    o,
-                    "#" + Math.floor(o.r/16).toString(16) + (o.r%16).toString(16)
-                    + Math.floor(o.g/16).toString(16) + (o.g%16).toString(16)
-                    + Math.floor(o.b/16).toString(16) + (o.b%16).toString(16)
-                );
-            }
-            // 3 digits hex
-            if (Math.random() < 1/4) {
-                o = {
-                    r: Math.floor(o.r/16),
-                    g: Math.floor(o.g/16),
-                    b: Math.floor(o.b/16)
+        /**
+         * Generates a random SVG transform list.
+         * The list uses all transform functions, with and without their optional arguments, separated by mixed
+         * commas and whitespace.
+         *
+         * @method transformList
+         * @memberOf svgparse.content
+         * @param {object=} options Generator options.
+         * @param {number=} options.length Number of transform functions. If not specified, a random number in [1, 5]
+         * is used.
+         * @param {object=} options.weights Weights of the number forms, see number(). If not specified, extreme
+         * and exponent forms are not used to keep the matrix finite.
+         * @param {function=} options.value Generator of the numeric arguments, see number().
+         * @param {object=} options.format Formatting options of the numbers, see formatNumber().
+         * @returns {SVGContent} Random transform list with the object being the equivalent affine matrix
+         * {a, b, c, d, e, f}.
+         */
+        function transformList(options) {
+            var opts = options || {};
+            var count = typeof opts.length === "number" ? opts.length : core.int(1, 5);
+            var weights = opts.weights || {extreme: 0, exponent: 0};
+            var strings = [];
+            var n = function () {
+                var s = _numberString({weights: weights, value: opts.value, format: opts.format});
+                strings.push(s);
+                return parseFloat(s);
+            };
+            var m = {a: 1, b: 0, c: 0, d: 1, e: 0, f: 0};
+            var s = _ws();
+            for (var i = 0; i < count; i++) {
+                var name = core.choice(Object.keys(TRANSFORM_FUNCTIONS));
+                strings = [];
+                m = _multiply(m, TRANSFORM_FUNCTIONS[name](n));
+                if (i > 0)
+                    s += core.choice(["", " ", "  ", "\n", ",", ", ", " , "]);
+                s += name + core.choice(["", "", " "]) + "(" + _ws() + strings.map(function (arg, j) {
+                    return (j > 0 ? core.choice([",", ", ", " ", " , ", "\t"]) : "") + arg;
+                }).join("") + _ws() + ")";
+            }
+            return this.SVGContent(m, s + _ws());
+        }
+
+        /**
+         * Generates a random separator between two numbers of a list, consisting of whitespace and at most one comma.
+         *
+         * @method _commaWsp
+         * @memberOf svgparse.content
+         * @returns {string} Random separator.
+         * @private
+         */
+        function _commaWsp() {
+            return core.choice([" ", ",", ", ", " , ", "\t", "\n"]);
+        }
+
+        /**
+         * Generates a random list of points as used by the points attribute of polyline and polygon elements.
+         *
+         * @method points
+         * @memberOf svgparse.content
+         * @param {object=} options Generator options.
+         * @param {number=} options.length Number of points. If not specified, a random number in [1, 10] is used.
+         * @param {object=} options.weights Weights of the number forms, see number().
+         * @param {function=} options.value Generator of the coordinates, see number().
+         * @param {object=} options.format Formatting options of the numbers, see formatNumber().
+         * @returns {SVGContent} Random list of points with the object being the list of {x, y} coordinate pairs.
+         */
+        function points(options) {
+            var opts = options || {};
+            var count = typeof opts.length === "number" ? opts.length : core.int(1, 10);
+            var list = [];
+            var s = _ws();
+            for (var i = 0; i < count; i++) {
+                var x = _numberString(opts), y = _numberString(opts);
+                s += (i > 0 ? _commaWsp() : "") + x + _commaWsp() + y;
+                list.push({x: parseFloat(x), y: parseFloat(y)});
+            }
+            return this.SVGContent(list, s + _ws());
+        }
+
+        /**
+         * Generates a random viewBox with non-negative width and height.
+         *
+         * @method viewBox
+         * @memberOf svgparse.content
+         * @param {object=} options Generator options.
+         * @param {object=} options.weights Weights of the number forms, see number().
+         * @param {function=} options.value Generator of the numbers, see number(). The sign of the width and height
+         * is dropped.
+         * @param {object=} options.format Formatting options of the numbers, see formatNumber().
+         * @returns {SVGContent} Random viewBox with the object being {minX, minY, width, height}.
+         */
+        function viewBox(options) {
+            var numbers = [];
+            for (var i = 0; i < 4; i++) {
+                var n = _numberString(options);
+                numbers.push(i > 1 ? n.replace(/^[+-]/, "") : n);
+            }
+            return this.SVGContent({
+                minX: parseFloat(numbers[0]),
+                minY: parseFloat(numbers[1]),
+                width: parseFloat(numbers[2]),
+                height: parseFloat(numbers[3])
+            }, _ws() + numbers.map(function (n, i) {
+                return (i > 0 ? _commaWsp() : "") + n;
+            }).join("") + _ws());
+        }
+
+        /**
+         * Generates a random preserveAspectRatio: any of the alignment values, with meet, slice or nothing.
+         *
+         * @method preserveAspectRatio
+         * @memberOf svgparse.content
+         * @returns {SVGContent} Random preserveAspectRatio with the object being {align, meetOrSlice}, where
+         * meetOrSlice is meet if omitted.
+         */
+        function preserveAspectRatio() {
+            var align = core.choice(["none", "xMinYMin", "xMidYMin", "xMaxYMin", "xMinYMid", "xMidYMid", "xMaxYMid",
+                "xMinYMax", "xMidYMax", "xMaxYMax"]);
+            var meetOrSlice = core.choice(["", "meet", "slice"]);
+            return this.SVGContent(
+                {align: align, meetOrSlice: meetOrSlice || "meet"},
+                _ws() + align + (meetOrSlice ? core.choice([" ", "  ", "\t"]) + meetOrSlice : "") + _ws()
+            );
+        }
+
+        /**
+         * Class describing an invalid SVG content.
+         * The class contains the rule the content breaks and the string representation.
+         *
+         * @class InvalidContent
+         * @memberOf svgparse.content
+         * @property {string} rule Name of the rule the content breaks.
+         * @property {string} s String representation of the invalid content.
+         * @constructor
+         */
+        function InvalidContent(rule, str) {
+            return {rule: rule, s: str};
+        }
+
+        /**
+         * Generates a random sign that is possibly empty.
+         *
+         * @method _sign
+         * @memberOf svgparse.content
+         * @returns {string} Random sign.
+         * @private
+         */
+        function _sign() {
+            return core.choice(["", "+", "-"]);
+        }
+
+        /**
+         * Generators of near-miss CSS numbers by the rule they break.
+         *
+         * @var {object} INVALID_NUMBERS
+         * @memberOf svgparse.content
+         * @private
+         */
+        var INVALID_NUMBERS = {
+            "double-dot": function () {
+                return _sign() + _digits(1, 3) + ".." + _digits(1, 3);
+            },
+            "lone-dot": function () {
+                return _sign() + ".";
+            },
+            "trailing-dot": function () {
+                return _sign() + _digits(1, 3) + ".";
+            },
+            "missing-mantissa": function () {
+                return _sign() + core.char("eE") + _sign() + _digits(1, 2);
+            },
+            "missing-exponent": function () {
+                return _sign() + _mantissa() + core.char("eE") + _sign();
+            },
+            "fractional-exponent": function () {
+                return _sign() + _mantissa() + core.char("eE") + _digits(1, 2) + "." + _digits(1, 2);
+            },
+            "double-sign": function () {
+                return core.choice(["++", "+-", "-+", "--"]) + _mantissa();
+            },
+            "decimal-comma": function () {
+                return _sign() + _digits(1, 3) + "," + _digits(1, 3);
+            },
+            "inner-whitespace": function () {
+                return core.choice(["+", "-", _digits(1, 3)]) + core.choice([" ", "\t"]) + _digits(1, 3);
+            },
+            "empty": function () {
+                return core.choice(["", " ", "\t", "\n"]);
+            }
+        };
+
+        /**
+         * Creates the generators of near-miss CSS dimensions (numbers with units).
+         * The generators consist of the invalid numbers followed by a valid unit (or none), a missing number,
+         * whitespace between the number and the unit and unknown units.
+         *
+         * @method _invalidDimensions
+         * @memberOf svgparse.content
+         * @param {Array} units Valid units.
+         * @param {Array} unknown Unknown units.
+         * @returns {object} Generators of invalid dimensions by the rule they break.
+         * @private
+         */
+        function _invalidDimensions(units, unknown) {
+            var rules = {};
+            Object.keys(INVALID_NUMBERS).forEach(function (rule) {
+                if (rule === "empty" || rule === "inner-whitespace")
+                    return;
+                rules[rule] = function () {
+                    // An exponent marker followed by letters would be read as part of the unit
+                    return INVALID_NUMBERS[rule]() + (rule === "missing-exponent" ? "" : core.choice(units));
                 };
-                return this.SVGContent(
-                    o,
-                    "#" + o.r.toString(16) + o.g.toString(16) + o.b.toString(16)
-                );
-            }
-            // rgb with integers
-            if (Math.random() < 1/3) {
-                return this.SVGContent(
-                    o,
-                    "rgb(" + o.r + "," + o.g + "," + o.b + ")"
-                );
-            }
-            // rgb with percentages
-            if (Math.random() < 1/2) {
-                return this.SVGContent(
-                    o,
-                    "rgb(" + Math.floor(o.r/2.55) + "%," + Math.floor(o.g/2.55) + "%," + Math.floor(o.b/2.55) + "%)"
-                );
+            });
+            var named = units.filter(function (unit) {
+                return unit !== "";
+            });
+            rules["missing-number"] = function () {
+                return _sign() + core.choice(named);
+            };
+            rules["space-before-unit"] = function () {
+                return _numberString({weights: {extreme: 0}}) + core.choice([" ", "\t"]) + core.choice(named);
+            };
+            rules["unknown-unit"] = function () {
+                return _numberString({weights: {extreme: 0}}) + core.choice(unknown);
+            };
+            return rules;
+        }
+
+        /**
+         * Changes a named color to a similar but unknown keyword by removing, doubling or replacing a letter.
+         *
+         * @method _misspell
+         * @memberOf svgparse.content
+         * @returns {string} Misspelled color name.
+         * @private
+         */
+        function _misspell() {
+            var s;
+            do {
+                var name = core.choice(namedColors.names());
+                var i = core.int(0, name.length - 1);
+                s = core.choice([
+                    name.slice(0, i) + name.slice(i + 1),
+                    name.slice(0, i + 1) + name.slice(i),
+                    name.slice(0, i) + core.char("abcdefghijklmnopqrstuvwxyz") + name.slice(i + 1)
+                ]);
+            } while (parseColor(s).error === undefined);
+            return _case(s);
+        }
+
+        /**
+         * Generators of near-miss values by content type and the rule they break.
+         *
+         * @var {object} INVALID
+         * @memberOf svgparse.content
+         * @private
+         */
+        var INVALID = {
+            integer: {
+                "decimal": function () {
+                    return _sign() + NUMBER_FORMS.decimal();
+                },
+                "exponent": function () {
+                    return _sign() + _digits(1, 3) + core.char("eE") + _digits(1, 2);
+                },
+                "lone-sign": function () {
+                    return core.char("+-");
+                },
+                "double-sign": INVALID_NUMBERS["double-sign"],
+                "inner-whitespace": INVALID_NUMBERS["inner-whitespace"],
+                "empty": INVALID_NUMBERS.empty
+            },
+            number: INVALID_NUMBERS,
+            length: _invalidDimensions(LENGTH_UNITS, ["pz", "pix", "xp", "deg", "s", "cmm", "p"]),
+            angle: _invalidDimensions(Object.keys(ANGLE_UNITS), ["dg", "degs", "rads", "px", "tur", "r"]),
+            opacityValue: (function () {
+                var rules = {};
+                Object.keys(INVALID_NUMBERS).forEach(function (rule) {
+                    rules[rule] = INVALID_NUMBERS[rule];
+                });
+                rules.unit = function () {
+                    return "." + _digits(1, 3) + core.choice(["px", "em", "deg"]);
+                };
+                return rules;
+            })(),
+            color: {
+                "invalid-hex-digit": function () {
+                    var digits = [];
+                    for (var i = core.choice([3, 4, 6, 8]); i > 0; i--)
+                        digits.push(core.char("0123456789abcdef"));
+                    digits[core.int(0, digits.length - 1)] = core.char("ghijklmnopqrstuvwxyz");
+                    return "#" + _case(digits.join(""));
+                },
+                "hex-length": function () {
+                    var s = "#";
+                    for (var i = core.choice([0, 1, 2, 5, 7, 9]); i > 0; i--)
+                        s += core.char("0123456789abcdef");
+                    return _case(s);
+                },
+                "missing-hash": function () {
+                    var s = "";
+                    for (var i = core.choice([3, 6]); i > 0; i--)
+                        s += core.char("0123456789");
+                    return s;
+                },
+                "function-arity": function () {
+                    var components = [];
+                    for (var i = core.choice([1, 2, 5]); i > 0; i--)
+                        components.push(core.int(0, 255));
+                    return core.choice(["rgb", "rgba"]) + "(" + components.join(core.choice([",", ", ", " "])) + ")";
+                },
+                "mixed-separators": function () {
+                    return "rgb(" + core.int(0, 255) + ", " + core.int(0, 255) + " " + core.int(0, 255) + ")";
+                },
+                "mixed-types": function () {
+                    return "rgb(" + core.shuffle([core.int(0, 100) + "%", core.int(0, 255), core.int(0, 255)])
+                        .join(", ") + ")";
+                },
+                "missing-percent": function () {
+                    return "hsl(" + core.int(0, 360) + ", " + core.int(0, 100) + ", " + core.int(0, 100) + "%)";
+                },
+                "alpha-separator": function () {
+                    return "rgb(" + core.int(0, 255) + " " + core.int(0, 255) + " " + core.int(0, 255) + ", "
+                        + formatNumber(core.float(), {precision: 2}) + ")";
+                },
+                "missing-alpha": function () {
+                    return "rgb(" + core.int(0, 255) + " " + core.int(0, 255) + " " + core.int(0, 255) + " / )";
+                },
+                "unclosed-function": function () {
+                    return "rgb(" + core.int(0, 255) + ", " + core.int(0, 255) + ", " + core.int(0, 255);
+                },
+                "unknown-function": function () {
+                    return core.choice(["rgbb", "hsv", "rbg", "hls", "color"]) + "(" + core.int(0, 255) + ", "
+                        + core.int(0, 255) + ", " + core.int(0, 255) + ")";
+                },
+                "unknown-keyword": _misspell,
+                "trailing-garbage": function () {
+                    return core.choice(["#fff", "red", "rgb(0, 0, 0)", "currentColor"]) + core.choice([" x", ";",
+                        " 1", ")"]);
+                }
+            },
+            pathData: {
+                "missing-moveto": function () {
+                    var code = core.char("LlHhVvZz");
+                    return code + {l: " 1 1", h: " 1", v: " 1", z: ""}[code.toLowerCase()];
+                },
+                "missing-parameter": function () {
+                    var code = core.choice(["M", "L", "C", "S", "Q", "T", "A"]);
+                    var params = [];
+                    for (var i = PATH_PARAMETERS[code].length - 1; i > 0; i--)
+                        params.push(core.int(0, 1));
+                    return "M0 0" + code + params.join(" ");
+                },
+                "invalid-flag": function () {
+                    return "M0 0A1 1 0 " + core.shuffle([core.choice(["2", "-1", ".5", "x"]), core.int(0, 1)])
+                        .join(" ") + " 1 1";
+                },
+                "unknown-command": function () {
+                    return "M0 0" + core.char("BDFGIJKNOPRUWXY") + "1 1";
+                },
+                "trailing-comma": function () {
+                    return "M" + core.int(0, 9) + " " + core.int(0, 9) + ",";
+                },
+                "double-comma": function () {
+                    return "M" + core.int(0, 9) + ",," + core.int(0, 9);
+                }
+            },
+            transformList: {
+                "unknown-function": function () {
+                    return core.choice(["rotat", "translat", "skew", "matrx", "scal", "skewZ", "Rotate"]) + "("
+                        + core.int(0, 9) + ")";
+                },
+                "argument-count": function () {
+                    return core.choice(["translate()", "scale()", "scale(1 2 3)", "rotate(1 2)", "rotate(1 2 3 4)",
+                        "skewX()", "skewY(1 2)", "matrix(1 2 3 4 5)", "matrix(1 2 3 4 5 6 7)"]);
+                },
+                "unclosed-function": function () {
+                    return "rotate(" + core.int(0, 9);
+                },
+                "trailing-comma": function () {
+                    return "rotate(" + core.int(0, 9) + ",)";
+                },
+                "leading-comma": function () {
+                    return "," + core.choice(["rotate", "skewX", "skewY"]) + "(" + core.int(0, 9) + ")";
+                },
+                "double-comma": function () {
+                    return "translate(1),,scale(" + core.int(1, 9) + ")";
+                },
+                "missing-parenthesis": function () {
+                    return "rotate " + core.int(0, 9);
+                }
+            },
+            points: {
+                "odd-coordinates": function () {
+                    return [].concat(core.int(0, 9, core.choice([1, 3, 5]))).join(core.choice([" ", ",", ", "]));
+                },
+                "invalid-number": function () {
+                    return "0,0 1 " + core.choice(["x", "--1", "1px", "#1", "e5", "1e"]);
+                },
+                "leading-comma": function () {
+                    return "," + core.int(0, 9) + " " + core.int(0, 9);
+                },
+                "double-comma": function () {
+                    return core.int(0, 9) + ",," + core.int(0, 9);
+                },
+                "trailing-comma": function () {
+                    return core.int(0, 9) + "," + core.int(0, 9) + ",";
+                }
+            },
+            viewBox: {
+                "number-count": function () {
+                    var n = core.choice([0, 1, 2, 3, 5]);
+                    return n === 0 ? "" : [].concat(core.int(0, 99, n)).join(" ");
+                },
+                "negative-size": function () {
+                    var size = core.shuffle(["-" + core.int(1, 99), String(core.int(0, 99))]);
+                    return "0 0 " + size.join(" ");
+                },
+                "invalid-number": function () {
+                    return "0 0 " + core.int(1, 99) + " " + core.choice(["x", "--1", "e5", "auto"]);
+                },
+                "unit": function () {
+                    return "0 0 " + core.int(1, 99) + core.choice(["px", "%", "em"]) + " " + core.int(1, 99);
+                },
+                "double-comma": function () {
+                    return "0,,0 " + core.int(1, 99) + " " + core.int(1, 99);
+                }
+            },
+            preserveAspectRatio: {
+                "unknown-align": function () {
+                    return core.choice(["xMidYmid", "xmidymid", "XMinYMin", "xCenterYCenter", "middle", "None"]);
+                },
+                "unknown-meet-or-slice": function () {
+                    return "xMidYMid " + core.choice(["meat", "clip", "Meet", "SLICE", "fit"]);
+                },
+                "missing-space": function () {
+                    return core.choice(["xMinYMin", "xMidYMid", "none"]) + core.choice(["meet", "slice"]);
+                },
+                "comma-separator": function () {
+                    return core.choice(["xMinYMin", "xMidYMid", "none"]) + "," + core.choice(["meet", "slice"]);
+                },
+                "trailing-garbage": function () {
+                    return "xMaxYMax " + core.choice(["meet", "slice"]) + core.choice([" slice", " x", " 1", ";"]);
+                },
+                "empty": function () {
+                    return core.choice(["", " ", "\t"]);
+                }
+            },
+            paint: {
+                "unknown-keyword": function () {
+                    return core.choice(["nome", "context-fil", "context_stroke", "contextfill", "transparant"]);
+                },
+                "keyword-fallback": function () {
+                    return core.choice(["none", "context-fill", "context-stroke"]) + " " + core.choice(["red", "none"]);
+                },
+                "missing-parenthesis": function () {
+                    return "url #" + core.char("abc");
+                },
+                "unclosed-url": function () {
+                    return "url(#" + core.char("abc");
+                },
+                "unterminated-string": function () {
+                    return "url(" + core.choice(["\"", "'"]) + "#" + core.char("abc") + ")";
+                },
+                "unquoted-whitespace": function () {
+                    return "url(#" + core.char("abc") + " " + core.char("abc") + ")";
+                },
+                "invalid-fallback": function () {
+                    return "url(#" + core.char("abc") + ") " + core.choice(["nothing", "rde", "#ggg", "url(#b)",
+                        "currentColour"]);
+                }
+            }
+        };
+
+        /**
+         * Creates the generator of near-miss values of a content type.
+         *
+         * @method _invalid
+         * @memberOf svgparse.content
+         * @param {string} type Content type.
+         * @returns {Function} Generator that takes an optional rule name and returns an InvalidContent breaking that
+         * rule (or a random rule if not specified).
+         * @private
+         */
+        function _invalid(type) {
+            return function (rule) {
+                var rules = INVALID[type];
+                if (rule === undefined)
+                    rule = core.choice(Object.keys(rules));
+                if (!rules.hasOwnProperty(rule))
+                    throw new Error("Unknown rule for invalid " + type + ": " + rule);
+                return InvalidContent(rule, rules[rule]());
+            };
+        }
+
+        /**
+         * Returns the rules broken by the near-miss values of a content type.
+         *
+         * @method rules
+         * @memberOf svgparse.content.invalid
+         * @param {string} type Content type: angle, integer, number, length, opacityValue, color, paint, pathData,
+         * transformList, points, viewBox or preserveAspectRatio.
+         * @returns {Array} Names of the rules.
+         */
+        function invalidRules(type) {
+            return Object.keys(INVALID[type]);
+        }
+
+        /**
+         * Regular expression matching a CSS <integer> at the beginning of a string.
+         *
+         * @var {RegExp} INTEGER
+         * @memberOf svgparse.content
+         * @private
+         */
+        var INTEGER = /^[+-]?\d+/;
+
+        /**
+         * Regular expression matching a CSS <number> at the beginning of a string.
+         *
+         * @var {RegExp} NUMBER
+         * @memberOf svgparse.content
+         * @private
+         */
+        var NUMBER = /^[+-]?(\d*\.\d+|\d+)([eE][+-]?\d+)?/;
+
+        /**
+         * Regular expression matching a number with an optional trailing decimal point (e.g., 1.) at the beginning
+         * of a string.
+         *
+         * @var {RegExp} NUMBER_TRAILING_POINT
+         * @memberOf svgparse.content
+         * @private
+         */
+        var NUMBER_TRAILING_POINT = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+
+        /**
+         * Whitespace characters of CSS and the SVG microsyntaxes.
+         *
+         * @var {string} WHITESPACE
+         * @memberOf svgparse.content
+         * @private
+         */
+        var WHITESPACE = " \t\n\r\f";
+
+        /**
+         * Returns the position of the first non-whitespace character from a given position.
+         *
+         * @method _skipSpaces
+         * @memberOf svgparse.content
+         * @param {string} str String to scan.
+         * @param {number} pos Position to start from.
+         * @param {string=} spaces Characters to skip. Default is space, tab, line feed, carriage return and form
+         * feed.
+         * @returns {number} Position of the first non-whitespace character.
+         * @private
+         */
+        function _skipSpaces(str, pos, spaces) {
+            var chars = spaces || WHITESPACE;
+            while (pos < str.length && chars.indexOf(str.charAt(pos)) > -1)
+                pos++;
+            return pos;
+        }
+
+        /**
+         * Skips an optional separator consisting of whitespace and at most one comma.
+         *
+         * @method _skipCommaSpaces
+         * @memberOf svgparse.content
+         * @param {string} str String to scan.
+         * @param {number} pos Position to start from.
+         * @returns {number} Position of the first character after the separator.
+         * @private
+         */
+        function _skipCommaSpaces(str, pos) {
+            pos = _skipSpaces(str, pos);
+            if (str.charAt(pos) === ",")
+                pos = _skipSpaces(str, pos + 1);
+            return pos;
+        }
+
+        /**
+         * Scans a number at a given position of a string. Numbers follow the CSS <number> grammar, which is also
+         * the grammar of the SVG 2 attributes, optionally extended with a trailing decimal point as allowed by the
+         * SVG 1.1 grammars of path data, transform lists, points and viewBox.
+         *
+         * @method _scanNumber
+         * @memberOf svgparse.content
+         * @param {string} str String to scan.
+         * @param {number} pos Position of the number.
+         * @param {boolean=} trailingPoint Whether to accept a trailing decimal point, e.g., 1. or 1.e5. Default is
+         * false.
+         * @returns {?string} The number, or null if there is no number at the position.
+         * @private
+         */
+        function _scanNumber(str, pos, trailingPoint) {
+            return _match(trailingPoint ? NUMBER_TRAILING_POINT : NUMBER, str, pos);
+        }
+
+        /**
+         * Matches a regular expression at a given position of a string.
+         *
+         * @method _match
+         * @memberOf svgparse.content
+         * @param {RegExp} re Regular expression anchored to the beginning of the string.
+         * @param {string} str String to scan.
+         * @param {number} pos Position to match at.
+         * @returns {?string} The matched substring, or null if there is no match.
+         * @private
+         */
+        function _match(re, str, pos) {
+            var m = re.exec(str.slice(pos));
+            return m ? m[0] : null;
+        }
+
+        /**
+         * Describes the character at a given position for error messages.
+         *
+         * @method _describe
+         * @memberOf svgparse.content
+         * @param {string} str String to scan.
+         * @param {number} pos Position of the character.
+         * @returns {string} Description of the character.
+         * @private
+         */
+        function _describe(str, pos) {
+            return pos < str.length ? "'" + str.charAt(pos) + "'" : "end of input";
+        }
+
+        /**
+         * Creates the parsed content if only whitespace is left in the string, otherwise returns an error.
+         *
+         * @method _finish
+         * @memberOf svgparse.content
+         * @param {string} str Parsed string.
+         * @param {number} pos Position where parsing stopped.
+         * @param {object} obj Object corresponding to the parsed content.
+         * @returns {(SVGContent|ParseError)} Parsed content or error.
+         * @private
+         */
+        function _finish(str, pos, obj) {
+            pos = _skipSpaces(str, pos);
+            if (pos < str.length)
+                return ParseError("Unexpected " + _describe(str, pos), pos, str);
+            return SVGContent(obj, str.trim());
+        }
+
+        /**
+         * Parses a CSS <integer>.
+         *
+         * @method integer
+         * @memberOf svgparse.content.parse
+         * @param {string} str String to parse.
+         * @returns {(SVGContent|ParseError)} Parsed integer or error.
+         */
+        function parseInteger(str) {
+            if (typeof str !== "string")
+                return ParseError("Expected a string", 0, str);
+            var pos = _skipSpaces(str, 0);
+            var m = _match(INTEGER, str, pos);
+            if (m === null)
+                return ParseError("Expected <integer> but found " + _describe(str, pos), pos, str);
+            return _finish(str, pos + m.length, parseInt(m, 10));
+        }
+
+        /**
+         * Parses a CSS <number>.
+         *
+         * @method number
+         * @memberOf svgparse.content.parse
+         * @param {string} str String to parse.
+         * @returns {(SVGContent|ParseError)} Parsed number or error.
+         */
+        function parseNumber(str) {
+            if (typeof str !== "string")
+                return ParseError("Expected a string", 0, str);
+            var pos = _skipSpaces(str, 0);
+            var m = _scanNumber(str, pos);
+            if (m === null)
+                return ParseError("Expected <number> but found " + _describe(str, pos), pos, str);
+            return _finish(str, pos + m.length, parseFloat(m));
+        }
+
+        /**
+         * Parses a CSS <length>.
+         * Unitless values are accepted as lengths in user units.
+         *
+         * @method length
+         * @memberOf svgparse.content.parse
+         * @param {string} str String to parse.
+         * @returns {(SVGContent|ParseError)} Parsed length or error.
+         */
+        function parseLength(str) {
+            if (typeof str !== "string")
+                return ParseError("Expected a string", 0, str);
+            var pos = _skipSpaces(str, 0);
+            var m = _scanNumber(str, pos);
+            if (m === null)
+                return ParseError("Expected <length> but found " + _describe(str, pos), pos, str);
+            pos += m.length;
+            var unit = _match(/^(%|[a-zA-Z]*)/, str, pos);
+            if (LENGTH_UNITS.indexOf(unit.toLowerCase()) === -1)
+                return ParseError("Unknown length unit '" + unit + "'", pos, str);
+            return _finish(str, pos + unit.length, Length(parseFloat(m), unit.toLowerCase()));
+        }
+
+        /**
+         * Parses a CSS <angle>.
+         * Unitless values are accepted as angles in degrees.
+         *
+         * @method angle
+         * @memberOf svgparse.content.parse
+         * @param {string} str String to parse.
+         * @returns {(SVGContent|ParseError)} Parsed angle in degrees or error.
+         */
+        function parseAngle(str) {
+            if (typeof str !== "string")
+                return ParseError("Expected a string", 0, str);
+            var pos = _skipSpaces(str, 0);
+            var m = _scanNumber(str, pos);
+            if (m === null)
+                return ParseError("Expected <angle> but found " + _describe(str, pos), pos, str);
+            pos += m.length;
+            var unit = _match(/^[a-zA-Z]*/, str, pos);
+            if (!ANGLE_UNITS.hasOwnProperty(unit.toLowerCase()))
+                return ParseError("Unknown angle unit '" + unit + "'", pos, str);
+            return _finish(str, pos + unit.length, parseFloat(m) * ANGLE_UNITS[unit.toLowerCase()]);
+        }
+
+        /**
+         * Parses a CSS <opacity-value>: a number or a percentage.
+         * Values outside the [0, 1] range are clamped.
+         *
+         * @method opacityValue
+         * @memberOf svgparse.content.parse
+         * @param {string} str String to parse.
+         * @returns {(SVGContent|ParseError)} Parsed opacity value in [0, 1] or error.
+         */
+        function parseOpacityValue(str) {
+            if (typeof str !== "string")
+                return ParseError("Expected a string", 0, str);
+            var pos = _skipSpaces(str, 0);
+            var m = _scanNumber(str, pos);
+            if (m === null)
+                return ParseError("Expected <number> or <percentage> but found " + _describe(str, pos), pos, str);
+            pos += m.length;
+            var percent = str.charAt(pos) === "%";
+            var value = parseFloat(m) / (percent ? 100 : 1);
+            return _finish(str, pos + (percent ? 1 : 0), Math.min(1, Math.max(0, value)));
+        }
+
+        /**
+         * Reads a numeric component of a color function with its optional unit.
+         *
+         * @method _readComponent
+         * @memberOf svgparse.content
+         * @param {string} str String to parse.
+         * @param {number} pos Position of the component.
+         * @returns {?object} Object containing the value, lower case unit, start and end positions of the
+         * component, or null if there is no number at the position.
+         * @private
+         */
+        function _readComponent(str, pos) {
+            var m = _scanNumber(str, pos);
+            if (m === null)
+                return null;
+            var unit = _match(/^(%|[a-zA-Z]*)/, str, pos + m.length);
+            return {value: parseFloat(m), unit: unit.toLowerCase(), start: pos, end: pos + m.length + unit.length};
+        }
+
+        /**
+         * Parses the arguments of an rgb(), rgba(), hsl() or hsla() function starting after the opening
+         * parenthesis. Both the legacy comma separated and the modern whitespace separated syntax is accepted.
+         *
+         * @method _parseColorFunction
+         * @memberOf svgparse.content
+         * @param {string} name Lower case name of the function.
+         * @param {string} str String to parse.
+         * @param {number} pos Position of the first character after the parenthesis.
+         * @returns {(SVGContent|ParseError)} Parsed color or error.
+         * @private
+         */
+        function _parseColorFunction(name, str, pos) {
+            var components = [];
+            var legacy = false;
+            pos = _skipSpaces(str, pos);
+            for (var i = 0; i < 4; i++) {
+                if (i > 0) {
+                    var next = _skipSpaces(str, pos);
+                    var ch = str.charAt(next);
+                    if (ch === ")")
+                        break;
+                    if (i === 1)
+                        legacy = ch === ",";
+                    if (legacy || i === 3) {
+                        if (ch !== (legacy ? "," : "/"))
+                            return ParseError("Expected '" + (legacy ? "," : "/") + "' but found "
+                                + _describe(str, next), next, str);
+                        next = _skipSpaces(str, next + 1);
+                    }
+                    pos = next;
+                }
+                var c = _readComponent(str, pos);
+                if (c === null)
+                    return ParseError("Expected color component but found " + _describe(str, pos), pos, str);
+                components.push(c);
+                pos = c.end;
+            }
+            pos = _skipSpaces(str, pos);
+            if (components.length < 3)
+                return ParseError("Expected 3 color components but found " + components.length, pos, str);
+            if (str.charAt(pos) !== ")")
+                return ParseError("Expected ')' but found " + _describe(str, pos), pos, str);
+
+            // Validate units
+            var hsl = name.charAt(0) === "h";
+            for (i = 0; i < components.length; i++) {
+                var unit = components[i].unit;
+                var valid = i === 3 ? unit === "" || unit === "%"
+                    : hsl ? (i === 0 ? unit !== "%" && ANGLE_UNITS.hasOwnProperty(unit) : unit === "%")
+                        : unit === components[0].unit && (unit === "" || unit === "%");
+                if (!valid)
+                    return ParseError("Invalid unit '" + unit + "' in " + name + "()", components[i].start, str);
+            }
+
+            var o;
+            if (hsl) {
+                o = _hslToRgb(components[0].value * ANGLE_UNITS[components[0].unit],
+                    components[1].value, components[2].value);
             } else {
-                var index = core.int(146);
-                var s = ["aliceblue", "antiquewhite", "aqua", "aquamarine", "azure", "beige", "bisque", "black",
-                    "blanchedalmond", "blue", "blueviolet", "brown", "burlywood", "cadetblue", "chartreuse",
-                    "chocolate", "coral", "cornflowerblue", "cornsilk", "crimson", "cyan", "darkblue", "darkcyan",
-                    "darkgoldenrod", "darkgray", "darkgreen", "darkgrey", "darkkhaki", "darkmagenta",
-                    "darkolivegreen", "darkorange", "darkorchid", "darkred", "darksalmon", "darkseagreen",
-                    "darkslateblue", "darkslategray", "darkslategrey", "darkturquoise", "darkviolet", "deeppink",
-                    "deepskyblue", "dimgray", "dimgrey", "dodgerblue", "firebrick", "floralwhite", "forestgreen",
-                    "fuchsia", "gainsboro", "ghostwhite", "gold", "goldenrod", "gray", "green", "greenyellow",
-                    "grey", "honeydew", "hotpink", "indianred", "indigo", "ivory", "khaki", "lavender",
-                    "lavenderblush", "lawngreen", "lemonchiffon", "lightblue", "lightcoral", "lightcyan",
-                    "lightgoldenrodyellow", "lightgray", "lightgreen", "lightgrey", "lightpink", "lightsalmon",
-                    "lightseagreen", "lightskyblue", "lightslategray", "lightslategrey", "lightsteelblue",
-                    "lightyellow", "lime", "limegreen", "linen", "magenta", "maroon", "mediumaquamarine",
-                    "mediumblue", "mediumorchid", "mediumpurple", "mediumseagreen", "mediumslateblue",
-                    "mediumspringgreen", "mediumturquoise", "mediumvioletred", "midnightblue", "mintcream",
-                    "mistyrose", "moccasin", "navajowhite", "navy", "oldlace", "olive", "olivedrab", "orange",
-                    "orangered", "orchid", "palegoldenrod", "palegreen", "paleturquoise", "palevioletred",
-                    "papayawhip", "peachpuff", "peru", "pink", "plum", "powderblue", "purple", "red", "rosybrown",
-                    "royalblue", "saddlebrown", "salmon", "sandybrown", "seagreen", "seashell", "sienna", "silver",
-                    "skyblue", "slateblue", "slategray", "slategrey", "snow", "springgreen", "steelblue", "tan",
-                    "teal", "thistle", "tomato", "turquoise", "violet", "wheat", "white", "whitesmoke", "yellow",
-                    "yellowgreen"][index];
-                var c = ["#F0F8FF", "#FAEBD7", "#00FFFF", "#7FFFD4", "#F0FFFF", "#F5F5DC", "#FFE4C4", "#000000",
-                    "#FFEBCD", "#0000FF", "#8A2BE2", "#A52A2A", "#DEB887", "#5F9EA0", "#7FFF00", "#D2691E",
-                    "#FF7F50", "#6495ED", "#FFF8DC", "#DC143C", "#00FFFF", "#00008B", "#008B8B", "#B8860B",
-                    "#A9A9A9", "#006400", "#A9A9A9", "#BDB76B", "#8B008B", "#556B2F", "#FF8C00", "#9932CC",
-                    "#8B0000", "#E9967A", "#8FBC8F", "#483D8B", "#2F4F4F", "#2F4F4F", "#00CED1", "#9400D3",
-                    "#FF1493", "#00BFFF", "#696969", "#696969", "#1E90FF", "#B22222", "#FFFAF0", "#228B22",
-                    "#FF00FF", "#DCDCDC", "#F8F8FF", "#FFD700", "#DAA520", "#808080", "#008000", "#ADFF2F",
-                    "#808080", "#F0FFF0", "#FF69B4", "#CD5C5C", "#4B0082", "#FFFFF0", "#F0E68C", "#E6E6FA",
-                    "#FFF0F5", "#7CFC00", "#FFFACD", "#ADD8E6", "#F08080", "#E0FFFF", "#FAFAD2", "#D3D3D3",
-                    "#90EE90", "#D3D3D3", "#FFB6C1", "#FFA07A", "#20B2AA", "#87CEFA", "#778899", "#778899",
-                    "#B0C4DE", "#FFFFE0", "#00FF00", "#32CD32", "#FAF0E6", "#FF00FF", "#800000", "#66CDAA",
-                    "#0000CD", "#BA55D3", "#9370DB", "#3CB371", "#7B68EE", "#00FA9A", "#48D1CC", "#C71585",
-                    "#191970", "#F5FFFA", "#FFE4E1", "#FFE4B5", "#FFDEAD", "#000080", "#FDF5E6", "#808000",
-                    "#6B8E23", "#FFA500", "#FF4500", "#DA70D6", "#EEE8AA", "#98FB98", "#AFEEEE", "#DB7093",
-                    "#FFEFD5", "#FFDAB9", "#CD853F", "#FFC0CB", "#DDA0DD", "#B0E0E6", "#800080", "#FF0000",
-                    "#BC8F8F", "#4169E1", "#8B4513", "#FA8072", "#F4A460", "#2E8B57", "#FFF5EE", "#A0522D",
-                    "#C0C0C0", "#87CEEB", "#6A5ACD", "#708090", "#708090", "#FFFAFA", "#00FF7F", "#4682B4",
-                    "#D2B48C", "#008080", "#D8BFD8", "#FF6347", "#40E0D0", "#EE82EE", "#F5DEB3", "#FFFFFF",
-                    "#F5F5F5", "#FFFF00", "#9ACD32"][index].replace('#', '');
-                return this.SVGContent(
-                    {r: parseInt(c[0] + c[1], 16), g: parseInt(c[2] + c[3], 16), b: parseInt(c[4] + c[5], 16)},
-                    s
-                );
+                var channel = components[0].unit === "%" ? _percentToChannel : _numberToChannel;
+                o = {r: channel(components[0].value), g: channel(components[1].value), b: channel(components[2].value)};
+            }
+            o.a = components.length === 4 ? _toAlpha(components[3].value, components[3].unit === "%") : 1;
+            return _finish(str, pos + 1, o);
+        }
+
+        /**
+         * Parses a CSS <color>.
+         * Accepts 3, 4, 6 or 8 digit hex colors, rgb(), rgba(), hsl() and hsla() functions, named colors,
+         * transparent, currentColor and system colors, all case-insensitive.
+         *
+         * @method color
+         * @memberOf svgparse.content.parse
+         * @param {string} str String to parse.
+         * @returns {(SVGContent|ParseError)} Parsed color or error. The object contains the r, g, b channels in
+         * [0, 255] and the alpha a in [0, 1], except for currentColor which is parsed as {currentColor: true}.
+         */
+        function parseColor(str) {
+            if (typeof str !== "string")
+                return ParseError("Expected a string", 0, str);
+            var pos = _skipSpaces(str, 0);
+
+            // hex
+            if (str.charAt(pos) === "#") {
+                var digits = _match(/^[0-9a-fA-F]*/, str, pos + 1);
+                if ([3, 4, 6, 8].indexOf(digits.length) === -1)
+                    return ParseError("Expected 3, 4, 6 or 8 hex digits", pos + 1, str);
+                var hex = digits.length > 4 ? digits : digits.split("").map(function (d) {
+                    return d + d;
+                }).join("");
+                return _finish(str, pos + 1 + digits.length, _hexToRgba(hex));
+            }
+
+            var name = _match(/^[a-zA-Z]+/, str, pos);
+            if (name === null)
+                return ParseError("Expected <color> but found " + _describe(str, pos), pos, str);
+            var keyword = name.toLowerCase();
+
+            // color functions
+            if (str.charAt(pos + name.length) === "(") {
+                if (["rgb", "rgba", "hsl", "hsla"].indexOf(keyword) === -1)
+                    return ParseError("Unknown color function '" + name + "'", pos, str);
+                return _parseColorFunction(keyword, str, pos + name.length + 1);
+            }
+
+            // keywords
+            if (keyword === "transparent")
+                return _finish(str, pos + name.length, {r: 0, g: 0, b: 0, a: 0});
+            if (keyword === "currentcolor")
+                return _finish(str, pos + name.length, {currentColor: true});
+            var rgb = namedColors.toRGB(keyword);
+            if (rgb !== null) {
+                rgb.a = 1;
+                return _finish(str, pos + name.length, rgb);
+            }
+            for (var system in SYSTEM_COLORS) {
+                if (SYSTEM_COLORS.hasOwnProperty(system) && system.toLowerCase() === keyword)
+                    return _finish(str, pos + name.length, _hexToRgba(SYSTEM_COLORS[system]));
+            }
+            return ParseError("Unknown color '" + name + "'", pos, str);
+        }
+
+        /**
+         * Reads the reference of a url() function, which can be written with or without quotes.
+         *
+         * @method _readUrl
+         * @memberOf svgparse.content
+         * @param {string} str String to parse.
+         * @param {number} pos Position after the opening parenthesis.
+         * @returns {(object|ParseError)} Object containing the reference (value) and the position after the
+         * closing parenthesis (end), or error.
+         * @private
+         */
+        function _readUrl(str, pos) {
+            pos = _skipSpaces(str, pos);
+            var quote = str.charAt(pos);
+            var value = "";
+            if (quote === "\"" || quote === "'") {
+                for (pos++; pos < str.length && str.charAt(pos) !== quote; pos++) {
+                    if (str.charAt(pos) === "\\")
+                        pos++;
+                    value += str.charAt(pos);
+                }
+                if (pos >= str.length)
+                    return ParseError("Unterminated string", pos, str);
+                pos++;
+            } else {
+                value = _match(/^[^\s"'()\\]*/, str, pos);
+                pos += value.length;
+            }
+            pos = _skipSpaces(str, pos);
+            if (str.charAt(pos) !== ")")
+                return ParseError("Expected ')' but found " + _describe(str, pos), pos, str);
+            return {value: value, end: pos + 1};
+        }
+
+        /**
+         * Parses an SVG paint: none, a color, a url() reference with an optional fallback of none or a color,
+         * context-fill or context-stroke.
+         *
+         * @method paint
+         * @memberOf svgparse.content.parse
+         * @param {string} str String to parse.
+         * @returns {(SVGContent|ParseError)} Parsed paint (see content.paint() for the object) or error.
+         */
+        function parsePaint(str) {
+            if (typeof str !== "string")
+                return ParseError("Expected a string", 0, str);
+            var pos = _skipSpaces(str, 0);
+            var name = _match(/^[a-zA-Z-]+/, str, pos) || "";
+            var keyword = name.toLowerCase();
+            var call = str.charAt(pos + name.length) === "(";
+
+            // keywords
+            if (["none", "context-fill", "context-stroke"].indexOf(keyword) > -1 && !call)
+                return _finish(str, pos + name.length, {type: keyword});
+
+            // colors
+            if (keyword !== "url" || !call) {
+                var c = parseColor(str);
+                return c.error === undefined ? SVGContent({type: "color", color: c.o}, c.s) : c;
+            }
+
+            // references with optional fallback
+            var url = _readUrl(str, pos + name.length + 1);
+            if (url.error !== undefined)
+                return url;
+            var obj = {type: "url", url: url.value, fallback: null};
+            pos = _skipSpaces(str, url.end);
+            if (pos < str.length) {
+                if (_match(/^none(?![\w-])/i, str, pos) !== null) {
+                    obj.fallback = {type: "none"};
+                    return _finish(str, pos + 4, obj);
+                }
+                var fallback = parseColor(str.slice(pos));
+                if (fallback.error !== undefined)
+                    return ParseError(fallback.error, pos + fallback.position, str);
+                obj.fallback = {type: "color", color: fallback.o};
+            }
+            return SVGContent(obj, str.trim());
+        }
+
+        /**
+         * Converts a CSS length to pixels.
+         * Absolute units are converted with the CSS reference ratios (1in = 96px). Font relative units are resolved
+         * using the font size in the context (ex defaults to half of the font size), percentages are resolved
+         * against the percentage base, or against the viewport along the given axis. For lengths that are neither
+         * horizontal nor vertical, the viewport diagonal normalized by sqrt(2) is used, as in SVG.
+         *
+         * @method toPx
+         * @memberOf svgparse.content
+         * @param {(Length|SVGContent|string)} length Length to convert.
+         * @param {object=} context Context to resolve relative units with.
+         * @param {number=} context.fontSize Font size in pixels.
+         * @param {number=} context.xHeight Height of the x character in pixels.
+         * @param {number=} context.percentBase Length in pixels corresponding to 100%.
+         * @param {object=} context.viewport Object containing the width and height of the viewport in pixels.
+         * @param {string=} context.axis Direction of the length: x, y or undefined for other directions.
+         * @returns {?number} The length in pixels, or null if the length is invalid or cannot be resolved in the
+         * context.
+         */
+        function toPx(length, context) {
+            if (typeof length === "string")
+                length = parseLength(length);
+            if (length === null || length === undefined || length.error !== undefined)
+                return null;
+            if (length.o !== undefined)
+                length = length.o;
+            var ctx = context || {};
+            var unit = (length.unit || "").toLowerCase();
+
+            if (PX_PER_UNIT.hasOwnProperty(unit))
+                return length.value * PX_PER_UNIT[unit];
+            switch (unit) {
+                case "em":
+                    return typeof ctx.fontSize === "number" ? length.value * ctx.fontSize : null;
+                case "ex":
+                    if (typeof ctx.xHeight === "number")
+                        return length.value * ctx.xHeight;
+                    return typeof ctx.fontSize === "number" ? length.value * ctx.fontSize / 2 : null;
+                case "%":
+                    if (typeof ctx.percentBase === "number")
+                        return length.value * ctx.percentBase / 100;
+                    if (!ctx.viewport)
+                        return null;
+                    var base = ctx.axis === "x" ? ctx.viewport.width
+                        : ctx.axis === "y" ? ctx.viewport.height
+                            : Math.sqrt((ctx.viewport.width * ctx.viewport.width
+                                + ctx.viewport.height * ctx.viewport.height) / 2);
+                    return length.value * base / 100;
+                default:
+                    return null;
             }
         }
 
         return {
             SVGContent: SVGContent,
+            ParseError: ParseError,
+            Length: Length,
+            angle: angle,
             integer: integer,
             number: number,
             length: length,
             opacityValue: opacityValue,
-            color: color
+            color: color,
+            paint: paint,
+            pathData: pathData,
+            transformList: transformList,
+            points: points,
+            viewBox: viewBox,
+            preserveAspectRatio: preserveAspectRatio,
+            InvalidContent: InvalidContent,
+            invalid: {
+                rules: invalidRules,
+                angle: _invalid("angle"),
+                integer: _invalid("integer"),
+                number: _invalid("number"),
+                length: _invalid("length"),
+                opacityValue: _invalid("opacityValue"),
+                color: _invalid("color"),
+                paint: _invalid("paint"),
+                pathData: _invalid("pathData"),
+                transformList: _invalid("transformList"),
+                points: _invalid("points"),
+                viewBox: _invalid("viewBox"),
+                preserveAspectRatio: _invalid("preserveAspectRatio")
+            },
+            toPx: toPx,
+            formatNumber: formatNumber,
+            compactFormat: compactFormat,
+            // Scanning helpers shared with the parsers of the other modules
+            _scan: {
+                skipSpaces: _skipSpaces,
+                skipCommaSpaces: _skipCommaSpaces,
+                describe: _describe,
+                number: _scanNumber
+            },
+            parse: {
+                angle: parseAngle,
+                integer: parseInteger,
+                number: parseNumber,
+                length: parseLength,
+                opacityValue: parseOpacityValue,
+                color: parseColor,
+                paint: parsePaint
+            }
         };
     })();
 })));
\ No newline at end of file
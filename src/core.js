@@ -17,6 +17,97 @@
     "use strict";
 
     exports.core = (function () {
+        /**
+         * Source of uniform random numbers in [0, 1) used by all generators.
+         *
+         * @var {function} _rng
+         * @memberOf svgparse.core
+         * @private
+         */
+        var _rng = Math.random;
+
+        /**
+         * Seed of the current random source, null if the source is not seeded.
+         *
+         * @var {?number} _seed
+         * @memberOf svgparse.core
+         * @private
+         */
+        var _seed = null;
+
+        /**
+         * Creates a Mulberry32 pseudo random number generator.
+         *
+         * @method mulberry32
+         * @memberOf svgparse.core
+         * @param {number} a Seed of the generator (32-bit integer).
+         * @returns {function} Function returning a pseudo random float in [0, 1).
+         * @private
+         */
+        function mulberry32(a) {
+            return function () {
+                a = (a + 0x6D2B79F5) | 0;
+                var t = Math.imul(a ^ (a >>> 15), 1 | a);
+                t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        }
+
+        /**
+         * Seeds the random source of all generators with a reproducible pseudo random number generator.
+         * If no seed is given, a random one is picked, so that it can be logged and replayed later.
+         *
+         * @method seed
+         * @memberOf svgparse.core
+         * @param {number=} value Seed to use. Non-integer values are truncated to 32-bit integers.
+         * @returns {number} The seed in use.
+         */
+        function seed(value) {
+            _seed = (value === null || value === undefined)
+                ? Math.floor(Math.random() * 4294967296) >>> 0
+                : value >>> 0;
+            _rng = mulberry32(_seed);
+            return _seed;
+        }
+
+        /**
+         * Replaces the random source of all generators with a custom one.
+         * If no generator is given, Math.random is restored.
+         *
+         * @method withRng
+         * @memberOf svgparse.core
+         * @param {function=} rng Function returning a uniform random float in [0, 1).
+         * @returns {object} The core module for chaining.
+         */
+        function withRng(rng) {
+            _rng = typeof rng === "function" ? rng : Math.random;
+            _seed = null;
+            return this;
+        }
+
+        /**
+         * Returns the seed of the current random source.
+         *
+         * @method getSeed
+         * @memberOf svgparse.core
+         * @returns {?number} Seed of the random source, or null if it is not seeded.
+         */
+        function getSeed() {
+            return _seed;
+        }
+
+        /**
+         * Returns the current random source, which can be used to draw from it directly or to restore it later with
+         * withRng().
+         *
+         * @method getRng
+         * @memberOf svgparse.core
+         * @returns {function} Function returning a uniform random float in [0, 1).
+         */
+        function getRng() {
+            return _rng;
+        }
+
         /**
          * Generates a random float.
          * If min > max, a random number in (max, min) is generated.
@@ -28,7 +119,7 @@
          * @returns {number} Random number.
          */
         function r(min, max) {
-            return min < max ? Math.random() * (max - min) + min : Math.random() * (min - max) + max;
+            return min < max ? _rng() * (max - min) + min : _rng() * (min - max) + max;
         }
 
         /**
@@ -95,20 +186,91 @@
         }
 
         /**
-         * Samples some elements with replacement from an array with uniform distribution.
+         * Generates some normally distributed random floats using the Box--Muller transform.
+         *
+         * @method normal
+         * @memberOf svgparse.core
+         * @param {number=} mean Mean of the distribution. Default is 0.
+         * @param {number=} sd Standard deviation of the distribution. Default is 1.
+         * @param {number=} n Number of floats to generate.
+         * @returns {(number|Array)} Single float or array of random floats.
+         */
+        function normal(mean, sd, n) {
+            var mu = typeof mean === "number" ? mean : 0;
+            var sigma = typeof sd === "number" ? sd : 1;
+            return some(function () {
+                return mu + sigma * Math.sqrt(-2 * Math.log(1 - _rng())) * Math.cos(2 * Math.PI * _rng());
+            }, n);
+        }
+
+        /**
+         * Generates some exponentially distributed random floats.
+         *
+         * @method exponential
+         * @memberOf svgparse.core
+         * @param {number=} rate Rate of the distribution (inverse of the mean). Default is 1.
+         * @param {number=} n Number of floats to generate.
+         * @returns {(number|Array)} Single float or array of random floats.
+         */
+        function exponential(rate, n) {
+            var lambda = typeof rate === "number" ? rate : 1;
+            return some(function () {
+                return -Math.log(1 - _rng()) / lambda;
+            }, n);
+        }
+
+        /**
+         * Generates some log-uniformly distributed random floats in (min, max), that is, floats whose logarithm is
+         * uniformly distributed. Every order of magnitude in the range is equally likely, which makes the
+         * distribution suitable for numbers spanning several magnitudes.
+         * If min > max, a random float in (max, min) is generated.
+         *
+         * @method logUniform
+         * @memberOf svgparse.core
+         * @param {number} min Lower boundary, must be positive.
+         * @param {number} max Upper boundary, must be positive.
+         * @param {number=} n Number of floats to generate.
+         * @returns {(number|Array)} Single float or array of random floats.
+         */
+        function logUniform(min, max, n) {
+            var a = Math.log(min), b = Math.log(max);
+            return some(function () {
+                return Math.exp(r(a, b));
+            }, n);
+        }
+
+        /**
+         * Samples some elements with replacement from an array, with uniform distribution or with probabilities
+         * proportional to some weights.
+         * The weights can be omitted, in which case the second argument is the number of elements to sample.
          *
          * @method choice
          * @memberOf svgparse.core
          * @param {Array} values Array to sample from.
-         * @param {number=} n Number of elements to sample.
+         * @param {(Array|number)=} weights Non-negative weights of the elements, or the number of elements to sample.
+         * @param {number=} n Number of elements to sample if weights are given.
          * @returns {(object|Array)} Single element or array of sampled elements.
          * If array is invalid, null pointer is returned.
          */
-        function choice(values, n) {
+        function choice(values, weights, n) {
             if (values === null || values === undefined || values.length === 0)
                 return null;
+            if (!Array.isArray(weights)) {
+                return some(function () {
+                    return values[Math.floor(r(0, values.length))];
+                }, weights);
+            }
+            var total = 0;
+            for (var i = 0; i < values.length; i++)
+                total += weights[i] || 0;
             return some(function () {
-                return values[Math.floor(r(0, values.length))];
+                var x = r(0, total);
+                for (var j = 0; j < values.length - 1; j++) {
+                    if (x < (weights[j] || 0))
+                        return values[j];
+                    x -= weights[j] || 0;
+                }
+                return values[values.length - 1];
             }, n);
         }
 
@@ -140,7 +302,7 @@
         function shuffle(values) {
             var i, temp, l = values.length;
             while (l) {
-                i = Math.floor(Math.random() * l--);
+                i = Math.floor(_rng() * l--);
                 temp = values[l];
                 values[l] = values[i];
                 values[i] = temp;
@@ -155,21 +317,29 @@
          * @memberOf svgparse.core
          * @param {object} head Head value.
          * @param {object} tail Tail value.
-         * @param {number=} p Bias (probability of head). If not specified, 0.5 is used.
+         * @param {number=} p Bias (probability of head). If not specified, 0.5 is used. A bias of 0 always gives the
+         * tail value.
          * @param {number=} n Number of coins to flip.
          * @returns {(object|Array)} Object of head/tail value or an array of head/tail values.
          */
         function coin(head, tail, p, n) {
-            var prob = p ? p : 0.5;
+            var prob = p === null || p === undefined ? 0.5 : p;
             return some(function () {
-                return Math.random() < prob ? head : tail;
+                return _rng() < prob ? head : tail;
             }, n);
         }
 
         // Exposed methods
         return {
+            seed: seed,
+            withRng: withRng,
+            getSeed: getSeed,
+            getRng: getRng,
             float: float,
             int: int,
+            normal: normal,
+            exponential: exponential,
+            logUniform: logUniform,
             choice: choice,
             char: char,
             shuffle: shuffle,
@@ -0,0 +1,939 @@
+/**
+ * Module for parsing whole SVG documents into a lightweight element tree.
+ * The parser is a self-contained XML parser, therefore it works without a DOM.
+ * Reference: https://www.w3.org/TR/xml/, https://www.w3.org/TR/xml-names/
+ *
+ * @module document
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    if (typeof exports === "object") {
+        var content = require('./content').content;
+        var namedColors = require('./named-colors').namedColors;
+        var style = require('./style').style;
+    }
+    exports.document = (function () {
+        /**
+         * Namespace of SVG elements.
+         *
+         * @var {string} SVG_NAMESPACE
+         * @memberOf svgparse.document
+         * @private
+         */
+        var SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+        /**
+         * Namespaces bound without declaration.
+         *
+         * @var {object} RESERVED_NAMESPACES
+         * @memberOf svgparse.document
+         * @private
+         */
+        var RESERVED_NAMESPACES = {
+            xml: "http://www.w3.org/XML/1998/namespace",
+            xmlns: "http://www.w3.org/2000/xmlns/"
+        };
+
+        /**
+         * Predefined XML entities.
+         *
+         * @var {object} ENTITIES
+         * @memberOf svgparse.document
+         * @private
+         */
+        var ENTITIES = {
+            lt: "<",
+            gt: ">",
+            amp: "&",
+            quot: "\"",
+            apos: "'"
+        };
+
+        /**
+         * XML whitespace characters.
+         *
+         * @var {string} WHITESPACE
+         * @memberOf svgparse.document
+         * @private
+         */
+        var WHITESPACE = " \t\n\r";
+
+        /**
+         * Maximum nesting depth of the declared entities.
+         *
+         * @var {number} MAX_ENTITY_DEPTH
+         * @memberOf svgparse.document
+         * @private
+         */
+        var MAX_ENTITY_DEPTH = 16;
+
+        /**
+         * Maximum total number of characters the references to declared entities may expand to in a document,
+         * including the declarations themselves.
+         *
+         * @var {number} MAX_ENTITY_EXPANSION
+         * @memberOf svgparse.document
+         * @private
+         */
+        var MAX_ENTITY_EXPANSION = 1000000;
+
+        /**
+         * Regular expression matching an XML name at the beginning of a string.
+         *
+         * @var {RegExp} NAME
+         * @memberOf svgparse.document
+         * @private
+         */
+        var NAME = /^[A-Za-z_:\u00C0-\uFFFF][\w.\-:\u00B7\u00C0-\uFFFF]*/;
+
+        /**
+         * Class describing an element of the document tree.
+         *
+         * @class Element
+         * @memberOf svgparse.document
+         * @property {string} type Type of the node, always element.
+         * @property {string} name Qualified name of the element.
+         * @property {?string} namespace Namespace URI of the element, or null if it has no namespace.
+         * @property {object} namespaces Namespace declarations of the element by prefix, the default namespace is
+         * declared with an empty prefix.
+         * @property {object} attributes Attributes in their document order. Typed attributes are SVGContent
+         * objects, all others are strings.
+         * @property {Array} children Child nodes.
+         * @property {object=} location Source location of the element if it was parsed with locations: the position
+         * of its start tag (position) and the positions of its attribute values by name (attributes).
+         * @constructor
+         */
+        function Element(name, namespace, namespaces, attributes) {
+            return {
+                type: "element",
+                name: name,
+                namespace: namespace,
+                namespaces: namespaces,
+                attributes: attributes,
+                children: []
+            };
+        }
+
+        /**
+         * Converts a code point to a string, using surrogate pairs outside the basic multilingual plane.
+         *
+         * @method _fromCodePoint
+         * @memberOf svgparse.document
+         * @param {number} code Code point to convert.
+         * @returns {string} The character.
+         * @private
+         */
+        function _fromCodePoint(code) {
+            if (code <= 0xFFFF)
+                return String.fromCharCode(code);
+            code -= 0x10000;
+            return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+        }
+
+        /**
+         * Creates the table of the known entities of a document, initially containing the predefined entities.
+         *
+         * @method _entityTable
+         * @memberOf svgparse.document
+         * @returns {object} Object containing the replacement texts (values) and the nesting depths of the declared
+         * entities (depths) by name, and the number of characters the declared entities expanded to so far
+         * (expanded).
+         * @private
+         */
+        function _entityTable() {
+            var values = {};
+            Object.keys(ENTITIES).forEach(function (name) {
+                values[name] = ENTITIES[name];
+            });
+            return {values: values, depths: {}, expanded: 0};
+        }
+
+        /**
+         * Replaces the character and entity references in a text.
+         * Expanding the declared entities counts towards the expansion limit of the document.
+         *
+         * @method _decode
+         * @memberOf svgparse.document
+         * @param {string} text Text to decode.
+         * @param {number} offset Position of the text in the document.
+         * @param {string} str The whole document.
+         * @param {object} entities Table of the known entities (see _entityTable).
+         * @returns {(string|ParseError)} The decoded text or error.
+         * @private
+         */
+        function _decode(text, offset, str, entities) {
+            var result = "";
+            var last = 0;
+            for (var i = text.indexOf("&"); i > -1; i = text.indexOf("&", last)) {
+                var m = /^&(#[0-9]+|#x[0-9a-fA-F]+|[A-Za-z_:][\w.\-:]*);/.exec(text.slice(i));
+                if (m === null)
+                    return content.ParseError("Invalid reference", offset + i, str);
+                var ref = m[1];
+                if (ref.charAt(0) === "#") {
+                    var code = ref.charAt(1) === "x" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                    if (code === 0 || code > 0x10FFFF)
+                        return content.ParseError("Invalid character reference '" + m[0] + "'", offset + i, str);
+                    result += text.slice(last, i) + _fromCodePoint(code);
+                } else {
+                    if (!entities.values.hasOwnProperty(ref))
+                        return content.ParseError("Undefined entity '" + ref + "'", offset + i, str);
+                    if (entities.depths.hasOwnProperty(ref)) {
+                        entities.expanded += entities.values[ref].length;
+                        if (entities.expanded > MAX_ENTITY_EXPANSION)
+                            return content.ParseError("Entity expansion limit exceeded by '" + ref + "'",
+                                offset + i, str);
+                    }
+                    result += text.slice(last, i) + entities.values[ref];
+                }
+                last = i + m[0].length;
+            }
+            return result + text.slice(last);
+        }
+
+        /**
+         * Reads the general entities declared in the internal subset of a document type declaration.
+         * Declarations with invalid replacement texts are ignored, but exceeding the nesting depth or the expansion
+         * limit is an error.
+         *
+         * @method _readEntities
+         * @memberOf svgparse.document
+         * @param {string} doctype Content of the document type declaration.
+         * @param {object} entities Table of the known entities, the declared ones are added to it.
+         * @returns {?ParseError} Error if an entity is nested too deeply or expands to too many characters, null
+         * otherwise.
+         * @private
+         */
+        function _readEntities(doctype, entities) {
+            var re = /<!ENTITY\s+([A-Za-z_:][\w.\-:]*)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;
+            var m;
+            while ((m = re.exec(doctype)) !== null) {
+                // The first declaration is binding
+                if (entities.values.hasOwnProperty(m[1]))
+                    continue;
+                var literal = m[2] !== undefined ? m[2] : m[3];
+                var depth = 1 + (literal.match(/&[A-Za-z_:][\w.\-:]*;/g) || []).reduce(function (max, ref) {
+                    return Math.max(max, entities.depths[ref.slice(1, -1)] || 0);
+                }, 0);
+                if (depth > MAX_ENTITY_DEPTH)
+                    return content.ParseError("Entity '" + m[1] + "' is nested too deeply", m.index, doctype);
+                var value = _decode(literal, m.index, doctype, entities);
+                if (entities.expanded > MAX_ENTITY_EXPANSION)
+                    return value;
+                if (typeof value === "string") {
+                    entities.values[m[1]] = value;
+                    entities.depths[m[1]] = depth;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Returns the end position of a document type declaration, skipping its quoted literals and internal
+         * subset.
+         *
+         * @method _doctypeEnd
+         * @memberOf svgparse.document
+         * @param {string} str The whole document.
+         * @param {number} pos Position after the declaration keyword.
+         * @returns {number} Position of the closing '>' or -1 if the declaration is not closed.
+         * @private
+         */
+        function _doctypeEnd(str, pos) {
+            var depth = 0;
+            for (; pos < str.length; pos++) {
+                var c = str.charAt(pos);
+                if (c === "\"" || c === "'") {
+                    pos = str.indexOf(c, pos + 1);
+                    if (pos === -1)
+                        return -1;
+                } else if (c === "[") {
+                    depth++;
+                } else if (c === "]") {
+                    depth--;
+                } else if (c === ">" && depth === 0) {
+                    return pos;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * Parses the pseudo-attributes of an XML declaration.
+         *
+         * @method _readDeclaration
+         * @memberOf svgparse.document
+         * @param {string} value Content of the declaration after the target.
+         * @returns {object} The declared version, encoding and standalone values, null for omitted ones.
+         * @private
+         */
+        function _readDeclaration(value) {
+            var declaration = {version: null, encoding: null, standalone: null};
+            var re = /(version|encoding|standalone)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            var m;
+            while ((m = re.exec(value)) !== null)
+                declaration[m[1]] = m[2] !== undefined ? m[2] : m[3];
+            return declaration;
+        }
+
+        /**
+         * Reads a start tag along with its attributes.
+         *
+         * @method _readStartTag
+         * @memberOf svgparse.document
+         * @param {string} str The whole document.
+         * @param {number} pos Position of the '<' character.
+         * @param {object} entities Table of the known entities (see _entityTable).
+         * @returns {(object|ParseError)} Object containing the name, the attributes (as a list of name-value pairs),
+         * whether the tag is self-closing and the end position of the tag, or error.
+         * @private
+         */
+        function _readStartTag(str, pos, entities) {
+            var name = NAME.exec(str.slice(pos + 1));
+            if (name === null)
+                return content.ParseError("Expected element name but found " + content._scan.describe(str, pos + 1),
+                    pos + 1, str);
+            pos += 1 + name[0].length;
+            var attributes = [];
+            var seen = {};
+            while (true) {
+                var start = content._scan.skipSpaces(str, pos, WHITESPACE);
+                if (str.charAt(start) === ">")
+                    return {name: name[0], attributes: attributes, empty: false, end: start + 1};
+                if (str.slice(start, start + 2) === "/>")
+                    return {name: name[0], attributes: attributes, empty: true, end: start + 2};
+                if (start === pos)
+                    return content.ParseError("Expected whitespace, '>' or '/>' but found "
+                        + content._scan.describe(str, pos), pos, str);
+
+                // Attribute
+                var attr = NAME.exec(str.slice(start));
+                if (attr === null)
+                    return content.ParseError("Expected attribute name but found " + content._scan.describe(str, start),
+                        start, str);
+                if (seen.hasOwnProperty(attr[0]))
+                    return content.ParseError("Duplicate attribute '" + attr[0] + "'", start, str);
+                seen[attr[0]] = true;
+                pos = content._scan.skipSpaces(str, start + attr[0].length, WHITESPACE);
+                if (str.charAt(pos) !== "=")
+                    return content.ParseError("Expected '=' but found " + content._scan.describe(str, pos), pos, str);
+                pos = content._scan.skipSpaces(str, pos + 1, WHITESPACE);
+                var quote = str.charAt(pos);
+                if (quote !== "\"" && quote !== "'")
+                    return content.ParseError("Expected quoted attribute value but found "
+                        + content._scan.describe(str, pos), pos, str);
+                var end = str.indexOf(quote, pos + 1);
+                if (end === -1)
+                    return content.ParseError("Unterminated attribute value", pos, str);
+                var raw = str.slice(pos + 1, end);
+                if (raw.indexOf("<") > -1)
+                    return content.ParseError("Invalid character '<' in attribute value", pos + 1 + raw.indexOf("<"),
+                        str);
+
+                // Attribute value normalization: literal whitespace becomes space, references are kept as they are
+                var value = _decode(raw.replace(/\r\n?|[\t\n]/g, " "), pos + 1, str, entities);
+                if (typeof value !== "string")
+                    return value;
+                attributes.push({name: attr[0], value: value, position: start, valuePosition: pos + 1});
+                pos = end + 1;
+            }
+        }
+
+        /**
+         * Resolves the namespaces of a start tag and builds the corresponding element.
+         *
+         * @method _element
+         * @memberOf svgparse.document
+         * @param {string} str The whole document.
+         * @param {number} pos Position of the start tag.
+         * @param {object} tag Start tag as read by _readStartTag.
+         * @param {object} scope Namespaces in scope of the parent element.
+         * @param {boolean} locations Whether to record the source location of the element.
+         * @returns {(object|ParseError)} Object containing the element and the namespaces in its scope, or error.
+         * @private
+         */
+        function _element(str, pos, tag, scope, locations) {
+            var namespaces = {};
+            var inner = Object.create(scope);
+            tag.attributes.forEach(function (attr) {
+                if (attr.name === "xmlns") {
+                    namespaces[""] = attr.value;
+                    inner[""] = attr.value || null;
+                } else if (attr.name.slice(0, 6) === "xmlns:") {
+                    namespaces[attr.name.slice(6)] = attr.value;
+                    inner[attr.name.slice(6)] = attr.value;
+                }
+            });
+
+            var colon = tag.name.indexOf(":");
+            var prefix = colon > -1 ? tag.name.slice(0, colon) : "";
+            if (colon > -1 && !(prefix in inner))
+                return content.ParseError("Unbound namespace prefix '" + prefix + "'", pos + 1, str);
+            var namespace = prefix in inner ? inner[prefix] : null;
+
+            var attributes = {};
+            for (var i = 0; i < tag.attributes.length; i++) {
+                var attr = tag.attributes[i];
+                colon = attr.name.indexOf(":");
+                if (colon > -1 && !(attr.name.slice(0, colon) in inner))
+                    return content.ParseError("Unbound namespace prefix '" + attr.name.slice(0, colon) + "'",
+                        attr.position, str);
+                attributes[attr.name] = colon === -1 && (namespace === null || namespace === SVG_NAMESPACE)
+                    ? style.value(attr.name, attr.value)
+                    : attr.value;
+            }
+            var element = Element(tag.name, namespace, namespaces, attributes);
+            if (locations) {
+                element.location = {position: pos, attributes: {}};
+                tag.attributes.forEach(function (attr) {
+                    element.location.attributes[attr.name] = attr.valuePosition;
+                });
+            }
+            return {element: element, scope: inner};
+        }
+
+        /**
+         * Parses an SVG (or any XML) document into a tree of plain objects.
+         * The root of the tree is a document node {type, declaration, children}, where declaration contains the
+         * version, encoding and standalone values of the XML declaration (or null if there is none) and children
+         * are the root element along with the comments, processing instructions and document type declaration
+         * around it. The other nodes are:
+         * <ul>
+         *     <li>element: {type, name, namespace, namespaces, attributes, children} (see Element),</li>
+         *     <li>text and cdata: {type, value},</li>
+         *     <li>comment: {type, value},</li>
+         *     <li>instruction: {type, target, value},</li>
+         *     <li>doctype: {type, value}.</li>
+         * </ul>
+         * Length, color and opacity valued attributes of SVG elements are parsed with the corresponding content
+         * parsers, invalid values are kept as strings. Entities declared in the internal subset of the document
+         * type declaration are resolved, documents nesting them deeper than 16 levels or expanding them to more
+         * than a million characters in total are rejected.
+         * Optionally, elements record their source location, which allows for locating errors in attribute values.
+         * Positions in attribute values are exact unless the value contains references.
+         *
+         * @method parse
+         * @memberOf svgparse.document
+         * @param {string} str Document to parse.
+         * @param {object=} options Parsing options.
+         * @param {boolean=} options.locations Whether to add the source location to the elements (see Element).
+         * Default is false.
+         * @returns {(SVGContent|ParseError)} Parsed document with the object being the document node, or error.
+         */
+        function parse(str, options) {
+            if (typeof str !== "string")
+                return content.ParseError("Expected a string", 0, str);
+            var doc = {type: "document", declaration: null, children: []};
+            var entities = _entityTable();
+            var root = null;
+            // Scopes have no prototype, so that only bound prefixes are in them
+            var scope = Object.create(null);
+            Object.keys(RESERVED_NAMESPACES).forEach(function (prefix) {
+                scope[prefix] = RESERVED_NAMESPACES[prefix];
+            });
+            var stack = [{node: doc, scope: scope, position: 0}];
+            var pos = str.charAt(0) === "\uFEFF" ? 1 : 0;
+            var start = pos;
+            var end, top, m;
+
+            while (pos < str.length) {
+                top = stack[stack.length - 1];
+
+                // Text
+                if (str.charAt(pos) !== "<") {
+                    end = str.indexOf("<", pos);
+                    end = end === -1 ? str.length : end;
+                    var text = str.slice(pos, end);
+                    if (stack.length === 1) {
+                        if (/\S/.test(text))
+                            return content.ParseError("Text outside of the root element",
+                                pos + text.search(/\S/), str);
+                    } else {
+                        var value = _decode(text.replace(/\r\n?/g, "\n"), pos, str, entities);
+                        if (typeof value !== "string")
+                            return value;
+                        top.node.children.push({type: "text", value: value});
+                    }
+                    pos = end;
+                    continue;
+                }
+
+                // Comment
+                if (str.slice(pos, pos + 4) === "<!--") {
+                    end = str.indexOf("-->", pos + 4);
+                    if (end === -1)
+                        return content.ParseError("Unterminated comment", pos, str);
+                    top.node.children.push({type: "comment", value: str.slice(pos + 4, end)});
+                    pos = end + 3;
+                    continue;
+                }
+
+                // CDATA section
+                if (str.slice(pos, pos + 9) === "<![CDATA[") {
+                    if (stack.length === 1)
+                        return content.ParseError("CDATA section outside of the root element", pos, str);
+                    end = str.indexOf("]]>", pos + 9);
+                    if (end === -1)
+                        return content.ParseError("Unterminated CDATA section", pos, str);
+                    top.node.children.push({type: "cdata", value: str.slice(pos + 9, end).replace(/\r\n?/g, "\n")});
+                    pos = end + 3;
+                    continue;
+                }
+
+                // Document type declaration
+                if (str.slice(pos, pos + 9) === "<!DOCTYPE") {
+                    if (stack.length > 1 || root !== null
+                        || doc.children.some(function (n) { return n.type === "doctype"; }))
+                        return content.ParseError("Unexpected document type declaration", pos, str);
+                    end = _doctypeEnd(str, pos + 9);
+                    if (end === -1)
+                        return content.ParseError("Unterminated document type declaration", pos, str);
+                    var doctype = str.slice(pos + 9, end).trim();
+                    var error = _readEntities(doctype, entities);
+                    if (error !== null)
+                        return content.ParseError(error.error, pos, str);
+                    doc.children.push({type: "doctype", value: doctype});
+                    pos = end + 1;
+                    continue;
+                }
+
+                // Processing instruction or XML declaration
+                if (str.charAt(pos + 1) === "?") {
+                    m = NAME.exec(str.slice(pos + 2));
+                    if (m === null)
+                        return content.ParseError("Expected processing instruction target but found "
+                            + content._scan.describe(str, pos + 2), pos + 2, str);
+                    end = str.indexOf("?>", pos + 2);
+                    if (end === -1)
+                        return content.ParseError("Unterminated processing instruction", pos, str);
+                    var instruction = str.slice(pos + 2 + m[0].length, end);
+                    if (m[0].toLowerCase() === "xml") {
+                        if (pos !== start || m[0] !== "xml")
+                            return content.ParseError("Unexpected XML declaration", pos, str);
+                        doc.declaration = _readDeclaration(instruction);
+                    } else {
+                        top.node.children.push({type: "instruction", target: m[0], value: instruction.trim()});
+                    }
+                    pos = end + 2;
+                    continue;
+                }
+
+                if (str.charAt(pos + 1) === "!")
+                    return content.ParseError("Unexpected markup declaration", pos, str);
+
+                // End tag
+                if (str.charAt(pos + 1) === "/") {
+                    m = NAME.exec(str.slice(pos + 2));
+                    if (stack.length === 1 || m === null || m[0] !== top.node.name)
+                        return content.ParseError(stack.length === 1
+                            ? "Unexpected end tag"
+                            : "Expected end tag of <" + top.node.name + ">", pos, str);
+                    end = content._scan.skipSpaces(str, pos + 2 + m[0].length, WHITESPACE);
+                    if (str.charAt(end) !== ">")
+                        return content.ParseError("Expected '>' but found " + content._scan.describe(str, end), end,
+                            str);
+                    stack.pop();
+                    pos = end + 1;
+                    continue;
+                }
+
+                // Start tag
+                if (stack.length === 1 && root !== null)
+                    return content.ParseError("Multiple root elements", pos, str);
+                var tag = _readStartTag(str, pos, entities);
+                if (tag.error !== undefined)
+                    return tag;
+                var element = _element(str, pos, tag, top.scope, !!(options && options.locations));
+                if (element.error !== undefined)
+                    return element;
+                top.node.children.push(element.element);
+                if (stack.length === 1)
+                    root = element.element;
+                if (!tag.empty)
+                    stack.push({node: element.element, scope: element.scope, position: pos});
+                pos = tag.end;
+            }
+
+            if (stack.length > 1)
+                return content.ParseError("Unclosed element <" + stack[stack.length - 1].node.name + ">",
+                    stack[stack.length - 1].position, str);
+            if (root === null)
+                return content.ParseError("Missing root element", pos, str);
+            return content.SVGContent(doc, str);
+        }
+
+        /**
+         * Elements whose whitespace is significant, therefore their content is always serialized as it is.
+         *
+         * @var {Array} TEXT_ELEMENTS
+         * @memberOf svgparse.document
+         * @private
+         */
+        var TEXT_ELEMENTS = ["text", "tspan", "textPath", "title", "desc", "style", "script"];
+
+        /**
+         * Formats a color. Opaque colors are written as the shortest of their color keyword, short and long
+         * hexadecimal notation (hexadecimal on ties), transparent ones with the rgba() function.
+         *
+         * @method _formatColor
+         * @memberOf svgparse.document
+         * @param {object} color Color as returned by the color parser.
+         * @param {number=} precision Maximum number of decimals of the alpha channel.
+         * @returns {string} The formatted color.
+         * @private
+         */
+        function _formatColor(color, precision) {
+            if (color.currentColor)
+                return "currentColor";
+            var channels = [color.r, color.g, color.b];
+            if (color.a === 1) {
+                var hex = "#" + channels.map(function (c) {
+                    return (c < 16 ? "0" : "") + c.toString(16);
+                }).join("");
+                if (/^#(.)\1(.)\2(.)\3$/.test(hex))
+                    hex = "#" + hex.charAt(1) + hex.charAt(3) + hex.charAt(5);
+                var name = namedColors.fromRGB(color);
+                return name !== null && name.length < hex.length ? name : hex;
+            }
+            var alpha = content.formatNumber(color.a, content.compactFormat(precision));
+            return "rgba(" + channels.concat([alpha]).join(",") + ")";
+        }
+
+        /**
+         * Formats a paint, references are quoted only if necessary.
+         *
+         * @method _formatPaint
+         * @memberOf svgparse.document
+         * @param {object} paint Paint as returned by the paint parser.
+         * @param {number=} precision Maximum number of decimals of the alpha channels.
+         * @returns {string} The formatted paint.
+         * @private
+         */
+        function _formatPaint(paint, precision) {
+            switch (paint.type) {
+                case "color":
+                    return _formatColor(paint.color, precision);
+                case "url":
+                    var url = /[\s"'()\\]/.test(paint.url)
+                        ? "\"" + paint.url.replace(/["\\]/g, "\\$&") + "\"" : paint.url;
+                    return "url(" + url + ")" + (paint.fallback ? " " + _formatPaint(paint.fallback, precision) : "");
+                default:
+                    return paint.type;
+            }
+        }
+
+        /**
+         * Returns the string value of an attribute, typed values are formatted from their objects.
+         *
+         * @method _attributeValue
+         * @memberOf svgparse.document
+         * @param {string} name Name of the attribute.
+         * @param {(SVGContent|string)} value Value of the attribute.
+         * @param {number=} precision Maximum number of decimals.
+         * @returns {string} The attribute value.
+         * @private
+         */
+        function _attributeValue(name, value, precision) {
+            if (typeof value === "string")
+                return value;
+            switch (style.typeOf(name)) {
+                case "length":
+                    return content.formatNumber(value.o.value, content.compactFormat(precision)) + value.o.unit;
+                case "color":
+                    return _formatColor(value.o, precision);
+                case "paint":
+                    return _formatPaint(value.o, precision);
+                case "opacityValue":
+                    return content.formatNumber(value.o, content.compactFormat(precision));
+                default:
+                    return value.s;
+            }
+        }
+
+        /**
+         * Escapes the special characters of a text or an attribute value. In attribute values, quotes and
+         * whitespace characters that would be normalized by the parser are escaped as well.
+         *
+         * @method _escape
+         * @memberOf svgparse.document
+         * @param {string} str String to escape.
+         * @param {boolean} attribute Whether the string is an attribute value.
+         * @returns {string} The escaped string.
+         * @private
+         */
+        function _escape(str, attribute) {
+            var s = str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+            return attribute
+                ? s.replace(/"/g, "&quot;").replace(/\t/g, "&#9;").replace(/\n/g, "&#10;").replace(/\r/g, "&#13;")
+                : s;
+        }
+
+        /**
+         * Checks if the content of an element must be serialized as it is, which is the case if it contains
+         * non-whitespace text or CDATA, preserves whitespace or is a text element.
+         *
+         * @method _isVerbatim
+         * @memberOf svgparse.document
+         * @param {Element} element Element to check.
+         * @returns {boolean} True if the content is serialized as it is, false otherwise.
+         * @private
+         */
+        function _isVerbatim(element) {
+            return TEXT_ELEMENTS.indexOf(element.name.replace(/^.*:/, "")) > -1
+                || element.attributes["xml:space"] === "preserve"
+                || element.children.some(function (node) {
+                    return node.type === "cdata" || (node.type === "text" && /\S/.test(node.value));
+                });
+        }
+
+        /**
+         * Serializes a node.
+         *
+         * @method _serialize
+         * @memberOf svgparse.document
+         * @param {object} node Node to serialize.
+         * @param {object} options Serialization options as passed to stringify().
+         * @param {number} depth Depth of the node in the tree.
+         * @param {boolean} verbatim Whether the node is in verbatim content, where no indentation is added.
+         * @returns {string} The markup of the node.
+         * @private
+         */
+        function _serialize(node, options, depth, verbatim) {
+            var pad = options.pretty && !verbatim ? new Array(depth * options.indent + 1).join(" ") : "";
+            switch (node.type) {
+                case "text":
+                    return _escape(node.value, false);
+                case "cdata":
+                    return "<![CDATA[" + node.value.split("]]>").join("]]]]><![CDATA[>") + "]]>";
+                case "comment":
+                    return pad + "<!--" + node.value + "-->";
+                case "instruction":
+                    return pad + "<?" + node.target + (node.value !== "" ? " " + node.value : "") + "?>";
+                case "doctype":
+                    return pad + "<!DOCTYPE " + node.value + ">";
+                case "element":
+                    var tag = pad + "<" + node.name + Object.keys(node.attributes).map(function (name) {
+                        return " " + name + "=\""
+                            + _escape(_attributeValue(name, node.attributes[name], options.precision), true) + "\"";
+                    }).join("");
+                    verbatim = verbatim || _isVerbatim(node);
+                    var children = verbatim ? node.children : node.children.filter(function (child) {
+                        return child.type !== "text";
+                    });
+                    if (children.length === 0)
+                        return tag + "/>";
+                    var nl = options.pretty && !verbatim ? "\n" : "";
+                    return tag + ">" + nl + children.map(function (child) {
+                        return _serialize(child, options, depth + 1, verbatim);
+                    }).join(nl) + nl + (nl !== "" ? pad : "") + "</" + node.name + ">";
+                default:
+                    throw new Error("Unknown node type: " + node.type);
+            }
+        }
+
+        /**
+         * Serializes a document or any of its nodes to markup.
+         * Attributes are written in their order and typed attributes are formatted from their objects, therefore
+         * changes in the objects are reflected in the markup. Whitespace-only text is dropped unless the content of
+         * an element is significant (text elements, elements with text or CDATA and xml:space="preserve"), which
+         * is written as it is.
+         *
+         * @method stringify
+         * @memberOf svgparse.document
+         * @param {object} tree Document or node to serialize, as returned by parse().
+         * @param {object=} options Serialization options.
+         * @param {boolean=} options.pretty Whether to write each node in a new line with indentation. Default is
+         * false, which results in minified markup.
+         * @param {number=} options.indent Number of spaces per indentation level in pretty mode. Default is 2.
+         * @param {number=} options.precision Maximum number of decimals of the numbers in typed attributes. If not
+         * specified, numbers are written with full precision.
+         * @returns {string} The markup.
+         */
+        function stringify(tree, options) {
+            var opts = {
+                pretty: !!(options && options.pretty),
+                indent: options && typeof options.indent === "number" ? options.indent : 2,
+                precision: options && options.precision
+            };
+            if (tree.type !== "document")
+                return _serialize(tree, opts, 0, false);
+
+            var nodes = [];
+            if (tree.declaration !== null && tree.declaration !== undefined) {
+                var declaration = "<?xml version=\"" + (tree.declaration.version || "1.0") + "\"";
+                ["encoding", "standalone"].forEach(function (name) {
+                    if (tree.declaration[name] !== null && tree.declaration[name] !== undefined)
+                        declaration += " " + name + "=\"" + tree.declaration[name] + "\"";
+                });
+                nodes.push(declaration + "?>");
+            }
+            tree.children.forEach(function (node) {
+                if (node.type !== "text")
+                    nodes.push(_serialize(node, opts, 0, false));
+            });
+            return opts.pretty ? nodes.join("\n") + "\n" : nodes.join("");
+        }
+
+        /**
+         * Attributes of the paint servers that are inherited from the templates referenced by their href.
+         *
+         * @var {object} TEMPLATE_ATTRIBUTES
+         * @memberOf svgparse.document
+         * @private
+         */
+        var TEMPLATE_ATTRIBUTES = {
+            linearGradient: ["gradientUnits", "gradientTransform", "spreadMethod", "x1", "y1", "x2", "y2"],
+            radialGradient: ["gradientUnits", "gradientTransform", "spreadMethod", "cx", "cy", "r", "fx", "fy",
+                "fr"],
+            pattern: ["patternUnits", "patternContentUnits", "patternTransform", "x", "y", "width", "height",
+                "viewBox", "preserveAspectRatio"]
+        };
+
+        /**
+         * Finds the first element with a given identifier.
+         *
+         * @method _findById
+         * @memberOf svgparse.document
+         * @param {object} node Node to search in.
+         * @param {string} id Identifier to look for.
+         * @returns {?Element} The element, or null if there is no such element.
+         * @private
+         */
+        function _findById(node, id) {
+            var children = node.children || [];
+            for (var i = 0; i < children.length; i++) {
+                if (children[i].type !== "element")
+                    continue;
+                if (children[i].attributes.id === id)
+                    return children[i];
+                var found = _findById(children[i], id);
+                if (found !== null)
+                    return found;
+            }
+            return null;
+        }
+
+        /**
+         * Returns the reference of an element, given by the href or xlink:href attribute.
+         *
+         * @method _href
+         * @memberOf svgparse.document
+         * @param {Element} element Element to read the reference of.
+         * @returns {?string} The reference, or null if the element has none.
+         * @private
+         */
+        function _href(element) {
+            var href = element.attributes.href;
+            if (href === undefined)
+                href = element.attributes["xlink:href"];
+            return typeof href === "string" ? href.trim() : null;
+        }
+
+        /**
+         * Resolves a url() reference of a paint to a paint server (linearGradient, radialGradient or pattern) of
+         * a parsed document, following the chain of templates given by the href attributes. Attributes that are
+         * not specified on the paint server are inherited from the templates, and the content (the stops of the
+         * gradients or the children of the patterns) is taken from the first element of the chain that has any.
+         * Gradients can use either kind of gradients as templates, patterns can use only patterns.
+         * Only references to the same document (#id) are resolved. A reference that is missing or points to
+         * another element is reported as an error without resolution, a dangling, circular or invalid template is
+         * reported as an error and the chain ends before it.
+         *
+         * @method resolve
+         * @memberOf svgparse.document
+         * @param {object} tree Parsed document.
+         * @param {(SVGContent|object|string)} reference Paint containing the reference as returned by the paint
+         * parser, its object, or the reference itself, e.g., #gradient.
+         * @returns {object} Resolution containing the paint server (element, null if unresolved), the chain of the
+         * paint server and its templates (chain), the attributes including the inherited ones (attributes), the
+         * child elements (children) and the error if any (error, null if the resolution succeeded).
+         */
+        function resolve(tree, reference) {
+            var paint = reference !== null && typeof reference === "object" && reference.o ? reference.o : reference;
+            var url = typeof paint === "string" ? paint.trim() : paint && paint.url;
+            var resolution = {element: null, chain: [], attributes: {}, children: [], error: null};
+            var find = function (href) {
+                if (href.charAt(0) !== "#") {
+                    resolution.error = "External reference '" + href + "' is not supported";
+                    return null;
+                }
+                var element = _findById(tree, href.slice(1));
+                if (element === null)
+                    resolution.error = "Undefined reference '" + href + "'";
+                return element;
+            };
+
+            if (typeof url !== "string") {
+                resolution.error = "Expected a url() paint or a reference";
+                return resolution;
+            }
+            var element = find(url);
+            if (element === null)
+                return resolution;
+            if (!TEMPLATE_ATTRIBUTES.hasOwnProperty(element.name)) {
+                resolution.error = "Reference '" + url + "' is not a paint server";
+                return resolution;
+            }
+            resolution.element = element;
+
+            // Chain of templates
+            var gradient = element.name !== "pattern";
+            var href = _href(element);
+            resolution.chain.push(element);
+            while (href !== null) {
+                var template = find(href);
+                if (template === null)
+                    break;
+                if (resolution.chain.indexOf(template) > -1) {
+                    resolution.error = "Circular reference '" + href + "'";
+                    break;
+                }
+                if (!TEMPLATE_ATTRIBUTES.hasOwnProperty(template.name) || (template.name !== "pattern") !== gradient) {
+                    resolution.error = "Reference '" + href + "' is not a valid template of " + element.name;
+                    break;
+                }
+                resolution.chain.push(template);
+                href = _href(template);
+            }
+
+            // Inherited attributes and content
+            Object.keys(element.attributes).forEach(function (name) {
+                resolution.attributes[name] = element.attributes[name];
+            });
+            resolution.chain.forEach(function (e) {
+                var children = e.children.filter(function (child) {
+                    return child.type === "element" && (!gradient || child.name === "stop");
+                });
+                if (resolution.children.length === 0)
+                    resolution.children = children;
+                TEMPLATE_ATTRIBUTES[element.name].forEach(function (name) {
+                    if (!resolution.attributes.hasOwnProperty(name) && e.attributes.hasOwnProperty(name))
+                        resolution.attributes[name] = e.attributes[name];
+                });
+            });
+            return resolution;
+        }
+
+        // Exposed methods
+        return {
+            Element: Element,
+            parse: parse,
+            stringify: stringify,
+            resolve: resolve
+        };
+    })();
+
+    // Shorthands for the document parser and serializer
+    exports.parse = exports.document.parse;
+    exports.stringify = exports.document.stringify;
+})));
@@ -0,0 +1,306 @@
+/**
+ * Module for generating random SVG documents.
+ * Documents are valid XML and their attribute values are valid SVG content, but the values themselves are random,
+ * which makes the documents suitable for fuzzing parsers and renderers.
+ *
+ * @module generate
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    if (typeof exports === "object") {
+        var core = require('./core').core;
+        var content = require('./content').content;
+        var document = require('./document').document;
+    }
+    exports.generate = (function () {
+        /**
+         * Namespace of SVG elements.
+         *
+         * @var {string} SVG_NAMESPACE
+         * @memberOf svgparse.generate
+         * @private
+         */
+        var SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+        /**
+         * Namespace of XLink attributes.
+         *
+         * @var {string} XLINK_NAMESPACE
+         * @memberOf svgparse.generate
+         * @private
+         */
+        var XLINK_NAMESPACE = "http://www.w3.org/1999/xlink";
+
+        /**
+         * Elements that can be generated.
+         *
+         * @var {Array} ELEMENTS
+         * @memberOf svgparse.generate
+         * @private
+         */
+        var ELEMENTS = ["g", "rect", "circle", "ellipse", "line", "polyline", "polygon", "path", "use",
+            "linearGradient", "radialGradient"];
+
+        /**
+         * Generates a random length that is not negative.
+         *
+         * @method _size
+         * @memberOf svgparse.generate
+         * @returns {string} Random non-negative length.
+         * @private
+         */
+        function _size() {
+            return content.length().s.replace(/^-/, "");
+        }
+
+        /**
+         * Adds random presentation attributes and transform to an element.
+         *
+         * @method _presentation
+         * @memberOf svgparse.generate
+         * @param {object} attributes Attributes of the element.
+         * @param {Array} gradients Identifiers of the gradients in the document.
+         * @private
+         */
+        function _presentation(attributes, gradients) {
+            var p = 0.3;
+            if (core.coin(true, false, p))
+                attributes.fill = content.paint({ids: gradients}).s;
+            if (core.coin(true, false, p))
+                attributes.stroke = content.paint({ids: gradients}).s;
+            if (core.coin(true, false, p))
+                attributes["stroke-width"] = _size();
+            ["opacity", "fill-opacity", "stroke-opacity"].forEach(function (name) {
+                if (core.coin(true, false, p))
+                    attributes[name] = content.opacityValue().s;
+            });
+            if (core.coin(true, false, p))
+                attributes.transform = content.transformList({length: core.int(1, 3)}).s;
+        }
+
+        /**
+         * Generates the attributes of a shape or a use element.
+         *
+         * @method _shape
+         * @memberOf svgparse.generate
+         * @param {string} name Name of the element.
+         * @param {object} attributes Attributes of the element.
+         * @param {string=} href Identifier of the referenced element for use elements.
+         * @private
+         */
+        function _shape(name, attributes, href) {
+            var set = function (names, generator) {
+                names.forEach(function (n) {
+                    attributes[n] = generator();
+                });
+            };
+            var position = function () {
+                return content.length().s;
+            };
+            switch (name) {
+                case "rect":
+                    set(["x", "y"], position);
+                    set(["width", "height"], _size);
+                    if (core.coin(true, false))
+                        set(["rx", "ry"].slice(0, core.int(1, 2)), _size);
+                    break;
+                case "circle":
+                    set(["cx", "cy"], position);
+                    set(["r"], _size);
+                    break;
+                case "ellipse":
+                    set(["cx", "cy"], position);
+                    set(["rx", "ry"], _size);
+                    break;
+                case "line":
+                    set(["x1", "y1", "x2", "y2"], position);
+                    break;
+                case "polyline":
+                case "polygon":
+                    attributes.points = content.points({length: core.int(1, 6)}).s;
+                    break;
+                case "path":
+                    attributes.d = content.pathData({length: core.int(1, 10)}).s;
+                    break;
+                case "use":
+                    attributes[core.coin("href", "xlink:href")] = "#" + href;
+                    set(["x", "y"], position);
+                    break;
+            }
+        }
+
+        /**
+         * Generates a random gradient with its stops.
+         *
+         * @method _gradient
+         * @memberOf svgparse.generate
+         * @param {string} name Name of the gradient element.
+         * @param {string} id Identifier of the gradient.
+         * @returns {Element} The gradient element.
+         * @private
+         */
+        function _gradient(name, id) {
+            var attributes = {id: id};
+            var coordinates = name === "linearGradient" ? ["x1", "y1", "x2", "y2"] : ["cx", "cy", "r", "fx", "fy"];
+            coordinates.forEach(function (c) {
+                if (core.coin(true, false))
+                    attributes[c] = c === "r" ? _size() : content.length().s;
+            });
+            if (core.coin(true, false))
+                attributes.gradientUnits = core.choice(["userSpaceOnUse", "objectBoundingBox"]);
+            if (core.coin(true, false))
+                attributes.spreadMethod = core.choice(["pad", "reflect", "repeat"]);
+            if (core.coin(true, false))
+                attributes.gradientTransform = content.transformList({length: core.int(1, 3)}).s;
+            var gradient = document.Element(name, SVG_NAMESPACE, {}, attributes);
+            for (var i = core.int(1, 4); i > 0; i--) {
+                var stop = {offset: core.coin(content.formatNumber(core.float(), {precision: 3}),
+                    core.int(0, 100) + "%")};
+                if (core.coin(true, false))
+                    stop["stop-color"] = content.color().s;
+                if (core.coin(true, false))
+                    stop["stop-opacity"] = content.opacityValue().s;
+                gradient.children.push(document.Element("stop", SVG_NAMESPACE, {}, stop));
+            }
+            return gradient;
+        }
+
+        /**
+         * Checks if any of a set of elements is reachable from an element through its descendants and the elements
+         * referenced by use elements.
+         *
+         * @method _reaches
+         * @memberOf svgparse.generate
+         * @param {Element} element Element to start from.
+         * @param {Array} ids Identifiers of the elements to look for.
+         * @param {object} elements Generated elements by identifier.
+         * @returns {boolean} True if any of the elements is reachable, false otherwise.
+         * @private
+         */
+        function _reaches(element, ids, elements) {
+            if (ids.indexOf(element.attributes.id) > -1)
+                return true;
+            var href = element.attributes.href || element.attributes["xlink:href"];
+            if (element.name === "use" && _reaches(elements[href.slice(1)], ids, elements))
+                return true;
+            return element.children.some(function (child) {
+                return _reaches(child, ids, elements);
+            });
+        }
+
+        /**
+         * Generates a random SVG document.
+         * The document contains a defs element with the gradients and a random tree of the other elements, where
+         * groups and shapes may have presentation attributes and transforms, fills and strokes may reference the
+         * gradients, and use elements reference earlier elements (never their own ancestors). The root may have a
+         * viewBox and a preserveAspectRatio. Attribute values are generated with the content generators.
+         *
+         * @method document
+         * @memberOf svgparse.generate
+         * @param {object=} options Generator options.
+         * @param {number=} options.size Number of generated elements, not counting the root, the defs and the
+         * gradient stops. Default is 10.
+         * @param {number=} options.depth Maximum nesting depth of the groups. Default is 3.
+         * @param {object=} options.elements Weights of the elements: g, rect, circle, ellipse, line, polyline,
+         * polygon, path, use, linearGradient and radialGradient. Missing elements have a weight of 1.
+         * @param {boolean=} options.pretty Whether to write the markup with indentation. Default is false.
+         * @returns {SVGContent} Random document with the object being the parsed document tree (see
+         * document.parse()) and the string being the markup.
+         */
+        function generateDocument(options) {
+            var opts = options || {};
+            var size = typeof opts.size === "number" ? opts.size : 10;
+            var depth = typeof opts.depth === "number" ? opts.depth : 3;
+            var weights = ELEMENTS.map(function (name) {
+                return opts.elements && typeof opts.elements[name] === "number" ? opts.elements[name] : 1;
+            });
+            var kinds = [];
+            for (var i = 0; i < size; i++)
+                kinds.push(core.choice(ELEMENTS, weights));
+
+            var svg = document.Element("svg", SVG_NAMESPACE, {"": SVG_NAMESPACE, xlink: XLINK_NAMESPACE}, {
+                xmlns: SVG_NAMESPACE,
+                "xmlns:xlink": XLINK_NAMESPACE,
+                width: _size(),
+                height: _size()
+            });
+            if (core.coin(true, false)) {
+                svg.attributes.viewBox = content.viewBox().s;
+                if (core.coin(true, false))
+                    svg.attributes.preserveAspectRatio = content.preserveAspectRatio().s;
+            }
+            var count = 0;
+
+            // Gradients
+            var gradients = [];
+            var defs = document.Element("defs", SVG_NAMESPACE, {}, {});
+            kinds.forEach(function (kind) {
+                if (kind === "linearGradient" || kind === "radialGradient") {
+                    gradients.push("e" + count);
+                    defs.children.push(_gradient(kind, "e" + count++));
+                }
+            });
+            if (defs.children.length > 0)
+                svg.children.push(defs);
+
+            // Groups and shapes, every container is stored along with its level and the identifiers of the groups it
+            // is in (including itself), which use elements in the container must not reach
+            var containers = [{element: svg, level: 0, ancestors: []}];
+            var elements = {};
+            kinds.forEach(function (kind) {
+                if (kind === "linearGradient" || kind === "radialGradient")
+                    return;
+                var open = kind === "g" ? containers.filter(function (c) {
+                    return c.level < depth;
+                }) : containers;
+                if (open.length === 0)
+                    kind = "rect";
+                var parent = core.choice(kind === "g" ? open : containers);
+                var href;
+                if (kind === "use") {
+                    var targets = Object.keys(elements).filter(function (id) {
+                        return !_reaches(elements[id], parent.ancestors, elements);
+                    });
+                    if (targets.length === 0)
+                        kind = "rect";
+                    else
+                        href = core.choice(targets);
+                }
+
+                var id = "e" + count++;
+                var element = document.Element(kind, SVG_NAMESPACE, {}, {id: id});
+                _presentation(element.attributes, gradients);
+                _shape(kind, element.attributes, href);
+                parent.element.children.push(element);
+                elements[id] = element;
+                if (kind === "g") {
+                    containers.push({
+                        element: element,
+                        level: parent.level + 1,
+                        ancestors: parent.ancestors.concat([id])
+                    });
+                }
+            });
+
+            var markup = document.stringify({type: "document", declaration: null, children: [svg]},
+                {pretty: !!opts.pretty});
+            return content.SVGContent(document.parse(markup).o, markup);
+        }
+
+        // Exposed methods
+        return {
+            document: generateDocument
+        };
+    })();
+})));
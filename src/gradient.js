@@ -0,0 +1,325 @@
+/**
+ * Module for building normalized models of the gradients of parsed documents and sampling their colors.
+ * Reference: https://www.w3.org/TR/SVG2/pservers.html
+ *
+ * @module gradient
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    if (typeof exports === "object") {
+        var content = require('./content').content;
+        var transform = require('./transform').transform;
+        var style = require('./style').style;
+        var document = require('./document').document;
+    }
+    exports.gradient = (function () {
+        /**
+         * Geometry attributes of the gradients with their initial values and the axis they are resolved along.
+         * Null initial values refer to the center (fx and fy default to cx and cy).
+         *
+         * @var {object} COORDINATES
+         * @memberOf svgparse.gradient
+         * @private
+         */
+        var COORDINATES = {
+            linearGradient: {
+                x1: {initial: "0%", axis: "x"},
+                y1: {initial: "0%", axis: "y"},
+                x2: {initial: "100%", axis: "x"},
+                y2: {initial: "0%", axis: "y"}
+            },
+            radialGradient: {
+                cx: {initial: "50%", axis: "x"},
+                cy: {initial: "50%", axis: "y"},
+                r: {initial: "50%"},
+                fx: {initial: null, axis: "x"},
+                fy: {initial: null, axis: "y"},
+                fr: {initial: "0%"}
+            }
+        };
+
+        /**
+         * Spread methods of the gradients, the first one is the initial value.
+         *
+         * @var {Array} SPREAD_METHODS
+         * @memberOf svgparse.gradient
+         * @private
+         */
+        var SPREAD_METHODS = ["pad", "reflect", "repeat"];
+
+        /**
+         * Returns the typed value of a property of a stop, the inline style takes precedence over the presentation
+         * attribute.
+         *
+         * @method _stopValue
+         * @memberOf svgparse.gradient
+         * @param {Element} stop Stop element.
+         * @param {string} property Name of the property.
+         * @returns {?object} Object of the typed value, or null if the property is not specified or invalid.
+         * @private
+         */
+        function _stopValue(stop, property) {
+            var value = stop.attributes[property];
+            if (typeof stop.attributes.style === "string") {
+                style.parse.declarations(stop.attributes.style).o.forEach(function (declaration) {
+                    if (declaration.property === property)
+                        value = declaration.value;
+                });
+            }
+            return value !== undefined && typeof value !== "string" ? value.o : null;
+        }
+
+        /**
+         * Parses the offset of a stop: a number or a percentage clamped to [0, 1].
+         *
+         * @method _offset
+         * @memberOf svgparse.gradient
+         * @param {string=} str Value of the offset attribute.
+         * @returns {number} The offset, 0 if it is missing or invalid.
+         * @private
+         */
+        function _offset(str) {
+            if (typeof str !== "string")
+                return 0;
+            var s = str.trim();
+            var percent = s.charAt(s.length - 1) === "%";
+            if (percent)
+                s = s.slice(0, -1);
+            var n = content.parse.number(s);
+            if (n.error !== undefined || (percent && /\s$/.test(s)))
+                return 0;
+            return Math.min(1, Math.max(0, percent ? n.o / 100 : n.o));
+        }
+
+        /**
+         * Builds the normalized model of a gradient referenced in a parsed document.
+         * Attributes and stops are inherited through the href chain of the gradient (see document.resolve()), and
+         * invalid attributes take their initial values. Coordinates are fractions of the bounding box for
+         * objectBoundingBox units and pixels for userSpaceOnUse units. The offsets of the stops are clamped to
+         * [0, 1] and increased to the largest preceding offset, and their colors are multiplied by their opacity.
+         * Stop colors and opacities are read from the presentation attributes and the inline styles, style sheets
+         * are not applied.
+         *
+         * @method parse
+         * @memberOf svgparse.gradient
+         * @param {object} tree Parsed document.
+         * @param {(SVGContent|object|string)} reference Reference of the gradient, see document.resolve().
+         * @param {object=} options Options of the model.
+         * @param {object=} options.viewport Object containing the width and height of the viewport to resolve the
+         * percentages of userSpaceOnUse gradients with. Default is 300 x 150.
+         * @param {number=} options.fontSize Font size to resolve em and ex units with. Default is 16.
+         * @param {object=} options.color Color {r, g, b, a} that currentColor refers to when the stop has no color
+         * property. Default is black.
+         * @returns {(SVGContent|ParseError)} The model of the gradient, or error if the reference cannot be
+         * resolved to a gradient. The model contains the name of the element (type), the units (objectBoundingBox
+         * or userSpaceOnUse), the gradient transform as a matrix (transform), the spread method (spreadMethod), the
+         * coordinates (x1, y1, x2 and y2 for linear gradients, cx, cy, r, fx, fy and fr for radial gradients) and
+         * the list of stops with their offset and color {r, g, b, a}.
+         */
+        function parse(tree, reference, options) {
+            var opts = options || {};
+            var resolution = document.resolve(tree, reference);
+            if (resolution.element === null)
+                return content.ParseError(resolution.error, 0, reference);
+            if (!COORDINATES.hasOwnProperty(resolution.element.name))
+                return content.ParseError("Paint server is not a gradient: " + resolution.element.name, 0, reference);
+            var type = resolution.element.name;
+            var attributes = resolution.attributes;
+            var keyword = function (name) {
+                return typeof attributes[name] === "string" ? attributes[name].trim() : undefined;
+            };
+
+            // Units, transform and spread method
+            var units = keyword("gradientUnits") === "userSpaceOnUse" ? "userSpaceOnUse" : "objectBoundingBox";
+            var operations = keyword("gradientTransform") !== undefined
+                ? transform.parse(attributes.gradientTransform) : null;
+            var model = {
+                type: type,
+                units: units,
+                transform: operations !== null && operations.error === undefined
+                    ? transform.compose(operations.o) : transform.identity(),
+                spreadMethod: SPREAD_METHODS.indexOf(keyword("spreadMethod")) > -1
+                    ? keyword("spreadMethod") : SPREAD_METHODS[0]
+            };
+
+            // Coordinates
+            var fontSize = typeof opts.fontSize === "number" ? opts.fontSize : 16;
+            var viewport = opts.viewport || {width: 300, height: 150};
+            Object.keys(COORDINATES[type]).forEach(function (name) {
+                var coordinate = COORDINATES[type][name];
+                var context = units === "userSpaceOnUse"
+                    ? {fontSize: fontSize, viewport: viewport, axis: coordinate.axis}
+                    : {fontSize: fontSize, percentBase: 1};
+                var value = attributes[name] === undefined ? null : content.toPx(attributes[name], context);
+                if (value === null || ((name === "r" || name === "fr") && value < 0)) {
+                    value = coordinate.initial === null ? model["c" + name.charAt(1)]
+                        : content.toPx(coordinate.initial, context);
+                }
+                model[name] = value;
+            });
+
+            // Stops
+            var previous = 0;
+            model.stops = resolution.children.map(function (stop) {
+                var offset = Math.max(previous, _offset(stop.attributes.offset));
+                previous = offset;
+                var color = _stopValue(stop, "stop-color") || {r: 0, g: 0, b: 0, a: 1};
+                if (color.currentColor) {
+                    color = _stopValue(stop, "color");
+                    color = color !== null && !color.currentColor ? color : opts.color || {r: 0, g: 0, b: 0, a: 1};
+                }
+                var opacity = _stopValue(stop, "stop-opacity");
+                return {
+                    offset: offset,
+                    color: {r: color.r, g: color.g, b: color.b, a: color.a * (opacity === null ? 1 : opacity)}
+                };
+            });
+            return content.SVGContent(model, reference);
+        }
+
+        /**
+         * Returns the color of a gradient at an offset. The offset is first mapped to [0, 1] with the spread method,
+         * then the colors of the neighbouring stops are interpolated linearly in sRGB, including the alpha channel.
+         *
+         * @method colorAt
+         * @memberOf svgparse.gradient
+         * @param {object} model Model of the gradient as returned by parse().
+         * @param {number} offset Offset along the gradient vector, 0 at the start and 1 at the end.
+         * @returns {?object} The interpolated color {r, g, b, a} with unrounded channels, or null if the gradient
+         * has no stops (the paint is none).
+         */
+        function colorAt(model, offset) {
+            var stops = model.stops;
+            if (stops.length === 0)
+                return null;
+            var t = offset;
+            switch (model.spreadMethod) {
+                case "reflect":
+                    t = Math.abs(t) % 2;
+                    t = t > 1 ? 2 - t : t;
+                    break;
+                case "repeat":
+                    t -= Math.floor(t);
+                    break;
+                default:
+                    t = Math.min(1, Math.max(0, t));
+            }
+
+            var i = 0;
+            while (i < stops.length && stops[i].offset <= t)
+                i++;
+            if (i === 0 || i === stops.length) {
+                var c = stops[i === 0 ? 0 : stops.length - 1].color;
+                return {r: c.r, g: c.g, b: c.b, a: c.a};
+            }
+            var c0 = stops[i - 1].color, c1 = stops[i].color;
+            var s = (t - stops[i - 1].offset) / (stops[i].offset - stops[i - 1].offset);
+            return {
+                r: c0.r + s * (c1.r - c0.r),
+                g: c0.g + s * (c1.g - c0.g),
+                b: c0.b + s * (c1.b - c0.b),
+                a: c0.a + s * (c1.a - c0.a)
+            };
+        }
+
+        /**
+         * Computes the offset of a point of the gradient space on a radial gradient. The gradient is the cone of
+         * circles interpolated between the focal circle (offset 0) and the end circle (offset 1), and the point
+         * takes the largest offset of the circles it lies on that have a non-negative radius.
+         *
+         * @method _radialOffset
+         * @memberOf svgparse.gradient
+         * @param {object} model Model of the radial gradient.
+         * @param {object} p Point in the gradient space.
+         * @returns {?number} The offset, or null if the point is outside of the cone.
+         * @private
+         */
+        function _radialOffset(model, p) {
+            var cdx = model.cx - model.fx, cdy = model.cy - model.fy, dr = model.r - model.fr;
+            var pdx = p.x - model.fx, pdy = p.y - model.fy;
+            var a = cdx * cdx + cdy * cdy - dr * dr;
+            var b = pdx * cdx + pdy * cdy + model.fr * dr;
+            var c = pdx * pdx + pdy * pdy - model.fr * model.fr;
+            var candidates;
+            if (a === 0) {
+                candidates = b === 0 ? [] : [c / (2 * b)];
+            } else {
+                var disc = b * b - a * c;
+                if (disc < 0)
+                    return null;
+                var sqrt = Math.sqrt(disc);
+                candidates = [(b + sqrt) / a, (b - sqrt) / a].sort(function (t1, t2) {
+                    return t2 - t1;
+                });
+            }
+            for (var i = 0; i < candidates.length; i++) {
+                if (model.fr + candidates[i] * dr >= 0)
+                    return candidates[i];
+            }
+            return null;
+        }
+
+        /**
+         * Samples the color of a gradient at a point of the user space.
+         * Gradients with a zero length vector or a zero end radius are painted with the color of the last stop.
+         *
+         * @method sample
+         * @memberOf svgparse.gradient
+         * @param {object} model Model of the gradient as returned by parse().
+         * @param {object} point Object containing the x and y coordinates of the point in user space.
+         * @param {object=} bbox Bounding box {x, y, width, height} of the painted element, required for
+         * objectBoundingBox units.
+         * @returns {?object} The color {r, g, b, a} at the point with unrounded channels, or null if the point is
+         * not painted: the gradient has no stops, the bounding box or the transform is degenerate, or the point is
+         * outside of the cone of a radial gradient.
+         */
+        function sample(model, point, bbox) {
+            var stops = model.stops;
+            if (stops.length === 0)
+                return null;
+            var m = model.transform;
+            if (model.units === "objectBoundingBox") {
+                if (!bbox || bbox.width === 0 || bbox.height === 0)
+                    return null;
+                m = transform.multiply(transform.Matrix(bbox.width, 0, 0, bbox.height, bbox.x, bbox.y), m);
+            }
+            var inverse = transform.invert(m);
+            if (inverse === null)
+                return null;
+            var p = transform.apply(inverse, point);
+
+            var t;
+            if (model.type === "linearGradient") {
+                var dx = model.x2 - model.x1, dy = model.y2 - model.y1;
+                if (dx === 0 && dy === 0)
+                    return colorAt({stops: stops, spreadMethod: "pad"}, 1);
+                t = ((p.x - model.x1) * dx + (p.y - model.y1) * dy) / (dx * dx + dy * dy);
+            } else {
+                if (model.r === 0)
+                    return colorAt({stops: stops, spreadMethod: "pad"}, 1);
+                t = _radialOffset(model, p);
+                if (t === null)
+                    return null;
+            }
+            return colorAt(model, t);
+        }
+
+        // Exposed methods
+        return {
+            parse: parse,
+            colorAt: colorAt,
+            sample: sample
+        };
+    })();
+})));
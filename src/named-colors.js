@@ -0,0 +1,190 @@
+/**
+ * Module containing the table of the CSS color keywords with lookups in both directions.
+ * Reference: https://www.w3.org/TR/css-color-4/#named-colors
+ *
+ * @module namedColors
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    exports.namedColors = (function () {
+        /**
+         * Hex values of the CSS color keywords in alphabetical order.
+         *
+         * @var {object} COLORS
+         * @memberOf svgparse.namedColors
+         * @private
+         */
+        var COLORS = {
+            aliceblue: "#F0F8FF", antiquewhite: "#FAEBD7", aqua: "#00FFFF", aquamarine: "#7FFFD4", azure: "#F0FFFF",
+            beige: "#F5F5DC", bisque: "#FFE4C4", black: "#000000", blanchedalmond: "#FFEBCD", blue: "#0000FF",
+            blueviolet: "#8A2BE2", brown: "#A52A2A", burlywood: "#DEB887", cadetblue: "#5F9EA0", chartreuse: "#7FFF00",
+            chocolate: "#D2691E", coral: "#FF7F50", cornflowerblue: "#6495ED", cornsilk: "#FFF8DC", crimson: "#DC143C",
+            cyan: "#00FFFF", darkblue: "#00008B", darkcyan: "#008B8B", darkgoldenrod: "#B8860B", darkgray: "#A9A9A9",
+            darkgreen: "#006400", darkgrey: "#A9A9A9", darkkhaki: "#BDB76B", darkmagenta: "#8B008B",
+            darkolivegreen: "#556B2F", darkorange: "#FF8C00", darkorchid: "#9932CC", darkred: "#8B0000",
+            darksalmon: "#E9967A", darkseagreen: "#8FBC8F", darkslateblue: "#483D8B", darkslategray: "#2F4F4F",
+            darkslategrey: "#2F4F4F", darkturquoise: "#00CED1", darkviolet: "#9400D3", deeppink: "#FF1493",
+            deepskyblue: "#00BFFF", dimgray: "#696969", dimgrey: "#696969", dodgerblue: "#1E90FF",
+            firebrick: "#B22222", floralwhite: "#FFFAF0", forestgreen: "#228B22", fuchsia: "#FF00FF",
+            gainsboro: "#DCDCDC", ghostwhite: "#F8F8FF", gold: "#FFD700", goldenrod: "#DAA520", gray: "#808080",
+            green: "#008000", greenyellow: "#ADFF2F", grey: "#808080", honeydew: "#F0FFF0", hotpink: "#FF69B4",
+            indianred: "#CD5C5C", indigo: "#4B0082", ivory: "#FFFFF0", khaki: "#F0E68C", lavender: "#E6E6FA",
+            lavenderblush: "#FFF0F5", lawngreen: "#7CFC00", lemonchiffon: "#FFFACD", lightblue: "#ADD8E6",
+            lightcoral: "#F08080", lightcyan: "#E0FFFF", lightgoldenrodyellow: "#FAFAD2", lightgray: "#D3D3D3",
+            lightgreen: "#90EE90", lightgrey: "#D3D3D3", lightpink: "#FFB6C1", lightsalmon: "#FFA07A",
+            lightseagreen: "#20B2AA", lightskyblue: "#87CEFA", lightslategray: "#778899", lightslategrey: "#778899",
+            lightsteelblue: "#B0C4DE", lightyellow: "#FFFFE0", lime: "#00FF00", limegreen: "#32CD32", linen: "#FAF0E6",
+            magenta: "#FF00FF", maroon: "#800000", mediumaquamarine: "#66CDAA", mediumblue: "#0000CD",
+            mediumorchid: "#BA55D3", mediumpurple: "#9370DB", mediumseagreen: "#3CB371", mediumslateblue: "#7B68EE",
+            mediumspringgreen: "#00FA9A", mediumturquoise: "#48D1CC", mediumvioletred: "#C71585",
+            midnightblue: "#191970", mintcream: "#F5FFFA", mistyrose: "#FFE4E1", moccasin: "#FFE4B5",
+            navajowhite: "#FFDEAD", navy: "#000080", oldlace: "#FDF5E6", olive: "#808000", olivedrab: "#6B8E23",
+            orange: "#FFA500", orangered: "#FF4500", orchid: "#DA70D6", palegoldenrod: "#EEE8AA", palegreen: "#98FB98",
+            paleturquoise: "#AFEEEE", palevioletred: "#DB7093", papayawhip: "#FFEFD5", peachpuff: "#FFDAB9",
+            peru: "#CD853F", pink: "#FFC0CB", plum: "#DDA0DD", powderblue: "#B0E0E6", purple: "#800080",
+            rebeccapurple: "#663399", red: "#FF0000", rosybrown: "#BC8F8F", royalblue: "#4169E1",
+            saddlebrown: "#8B4513", salmon: "#FA8072", sandybrown: "#F4A460", seagreen: "#2E8B57", seashell: "#FFF5EE",
+            sienna: "#A0522D", silver: "#C0C0C0", skyblue: "#87CEEB", slateblue: "#6A5ACD", slategray: "#708090",
+            slategrey: "#708090", snow: "#FFFAFA", springgreen: "#00FF7F", steelblue: "#4682B4", tan: "#D2B48C",
+            teal: "#008080", thistle: "#D8BFD8", tomato: "#FF6347", turquoise: "#40E0D0", violet: "#EE82EE",
+            wheat: "#F5DEB3", white: "#FFFFFF", whitesmoke: "#F5F5F5", yellow: "#FFFF00", yellowgreen: "#9ACD32"
+        };
+
+        /**
+         * Converts a hex value of the table to an RGB object.
+         *
+         * @method _hexToRgb
+         * @memberOf svgparse.namedColors
+         * @param {string} hex Hex value with the leading #.
+         * @returns {object} Object containing the r, g, b channels.
+         * @private
+         */
+        function _hexToRgb(hex) {
+            return {
+                r: parseInt(hex.substr(1, 2), 16),
+                g: parseInt(hex.substr(3, 2), 16),
+                b: parseInt(hex.substr(5, 2), 16)
+            };
+        }
+
+        /**
+         * Returns the list of all color keywords.
+         *
+         * @method names
+         * @memberOf svgparse.namedColors
+         * @returns {Array} Array of the lower case color keywords in alphabetical order.
+         */
+        function names() {
+            return Object.keys(COLORS);
+        }
+
+        /**
+         * Returns the hex value of a color keyword.
+         *
+         * @method toHex
+         * @memberOf svgparse.namedColors
+         * @param {string} name Color keyword, case-insensitive.
+         * @returns {?string} Upper case 6 digit hex value with the leading #, or null if the keyword is unknown.
+         */
+        function toHex(name) {
+            if (typeof name !== "string")
+                return null;
+            var key = name.toLowerCase();
+            return COLORS.hasOwnProperty(key) ? COLORS[key] : null;
+        }
+
+        /**
+         * Converts a color keyword to RGB.
+         *
+         * @method toRGB
+         * @memberOf svgparse.namedColors
+         * @param {string} name Color keyword, case-insensitive.
+         * @returns {?object} Object containing the r, g, b channels, or null if the keyword is unknown.
+         */
+        function toRGB(name) {
+            var hex = toHex(name);
+            return hex === null ? null : _hexToRgb(hex);
+        }
+
+        /**
+         * Finds the color keyword of an RGB color.
+         * If several keywords share the same color, the first one in alphabetical order is returned.
+         *
+         * @method fromRGB
+         * @memberOf svgparse.namedColors
+         * @param {object} rgb Object containing the r, g, b channels.
+         * @returns {?string} The color keyword, or null if there is no keyword for the color.
+         */
+        function fromRGB(rgb) {
+            var all = names();
+            for (var i = 0; i < all.length; i++) {
+                var c = _hexToRgb(COLORS[all[i]]);
+                if (c.r === rgb.r && c.g === rgb.g && c.b === rgb.b)
+                    return all[i];
+            }
+            return null;
+        }
+
+        /**
+         * Finds the color keyword closest to an RGB color, measured by the Euclidean distance in the RGB space.
+         *
+         * @method nearest
+         * @memberOf svgparse.namedColors
+         * @param {object} rgb Object containing the r, g, b channels.
+         * @returns {string} The closest color keyword.
+         */
+        function nearest(rgb) {
+            var best = null;
+            var min = Infinity;
+            names().forEach(function (name) {
+                var c = _hexToRgb(COLORS[name]);
+                var d = Math.pow(c.r - rgb.r, 2) + Math.pow(c.g - rgb.g, 2) + Math.pow(c.b - rgb.b, 2);
+                if (d < min) {
+                    min = d;
+                    best = name;
+                }
+            });
+            return best;
+        }
+
+        /**
+         * Returns the color keywords that describe the same color as a given keyword, e.g., gray and grey.
+         *
+         * @method synonyms
+         * @memberOf svgparse.namedColors
+         * @param {string} name Color keyword, case-insensitive.
+         * @returns {Array} Array of the other keywords with the same color, empty if there are none or the
+         * keyword is unknown.
+         */
+        function synonyms(name) {
+            var hex = toHex(name);
+            if (hex === null)
+                return [];
+            var key = name.toLowerCase();
+            return names().filter(function (n) {
+                return n !== key && COLORS[n] === hex;
+            });
+        }
+
+        // Exposed methods
+        return {
+            names: names,
+            toHex: toHex,
+            toRGB: toRGB,
+            fromRGB: fromRGB,
+            nearest: nearest,
+            synonyms: synonyms
+        };
+    }());
+})));
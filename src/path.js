@@ -0,0 +1,717 @@
+/**
+ * Module for parsing and processing SVG path data and point lists.
+ * Reference: https://www.w3.org/TR/SVG11/paths.html#PathDataBNF
+ *
+ * @module path
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    if (typeof exports === "object")
+        var content = require('./content').content;
+    exports.path = (function () {
+        /**
+         * Parameters of the path commands in the order they appear in the path data.
+         * The largeArc and sweep parameters are flags, all others are numbers.
+         *
+         * @var {object} PARAMETERS
+         * @memberOf svgparse.path
+         * @private
+         */
+        var PARAMETERS = {
+            M: ["x", "y"],
+            L: ["x", "y"],
+            H: ["x"],
+            V: ["y"],
+            C: ["x1", "y1", "x2", "y2", "x", "y"],
+            S: ["x2", "y2", "x", "y"],
+            Q: ["x1", "y1", "x", "y"],
+            T: ["x", "y"],
+            A: ["rx", "ry", "xAxisRotation", "largeArc", "sweep", "x", "y"],
+            Z: []
+        };
+
+        /**
+         * Parses SVG path data into a list of commands.
+         * Every command is an object with the command letter (code), whether it is relative and its parameters
+         * named as in the specification: x, y, x1, y1, x2, y2, rx, ry, xAxisRotation, largeArc and sweep. Flags
+         * are booleans. Implicitly repeated commands are listed as separate commands, coordinate pairs following a
+         * moveto are listed as linetos. Numbers follow the SVG 1.1 grammar, which allows a trailing decimal point
+         * (e.g., 1.), and end where the next character cannot continue them, which allows compact forms such as
+         * 1.5.5 (1.5 and .5) or -1-2 (-1 and -2).
+         *
+         * @method parse
+         * @memberOf svgparse.path
+         * @param {string} d Path data to parse.
+         * @returns {(SVGContent|ParseError)} Parsed path data with the object being the list of commands, or error.
+         * As in SVG rendering, the error contains the list of the commands up to the error as its object.
+         */
+        function parse(d) {
+            var commands = [];
+            var fail = function (message, pos) {
+                var error = content.ParseError(message, pos, d);
+                error.o = commands;
+                return error;
+            };
+            if (typeof d !== "string")
+                return fail("Expected a string", 0);
+
+            var pos = content._scan.skipSpaces(d, 0);
+            if (pos < d.length && d.charAt(pos) !== "M" && d.charAt(pos) !== "m")
+                return fail("Path data must start with a moveto but found " + content._scan.describe(d, pos), pos);
+            var code = null;
+            while (pos < d.length) {
+                var c = d.charAt(pos);
+                if (PARAMETERS.hasOwnProperty(c.toUpperCase())) {
+                    code = c;
+                    pos = content._scan.skipSpaces(d, pos + 1);
+                } else if (code === null || code === "Z" || code === "z") {
+                    return fail("Expected command but found " + content._scan.describe(d, pos), pos);
+                }
+
+                // Parameters
+                var names = PARAMETERS[code.toUpperCase()];
+                var command = {code: code, relative: code === code.toLowerCase()};
+                for (var i = 0; i < names.length; i++) {
+                    if (i > 0)
+                        pos = content._scan.skipCommaSpaces(d, pos);
+                    if (names[i] === "largeArc" || names[i] === "sweep") {
+                        if (d.charAt(pos) !== "0" && d.charAt(pos) !== "1")
+                            return fail("Expected flag but found " + content._scan.describe(d, pos), pos);
+                        command[names[i]] = d.charAt(pos) === "1";
+                        pos++;
+                    } else {
+                        var n = content._scan.number(d, pos, true);
+                        if (n === null)
+                            return fail("Expected number but found " + content._scan.describe(d, pos), pos);
+                        command[names[i]] = parseFloat(n);
+                        pos += n.length;
+                    }
+                }
+                commands.push(command);
+
+                // Separator before the next command or parameter set
+                pos = content._scan.skipSpaces(d, pos);
+                if (d.charAt(pos) === ",") {
+                    if (names.length === 0)
+                        return fail("Unexpected ','", pos);
+                    pos = content._scan.skipSpaces(d, pos + 1);
+                    if (pos >= d.length || PARAMETERS.hasOwnProperty(d.charAt(pos).toUpperCase()))
+                        return fail("Expected number but found " + content._scan.describe(d, pos), pos);
+                }
+                if (code === "M")
+                    code = "L";
+                if (code === "m")
+                    code = "l";
+            }
+            return content.SVGContent(commands, d.trim());
+        }
+
+        /**
+         * Parses a list of points as used by the points attribute of polyline and polygon elements: coordinates
+         * separated by whitespace and/or a comma, with the same compact number forms as in path data.
+         *
+         * @method parsePoints
+         * @memberOf svgparse.path
+         * @param {string} str List of points to parse.
+         * @returns {(SVGContent|ParseError)} Parsed points with the object being the list of {x, y} coordinate
+         * pairs, or error. As in SVG rendering, the error contains the list of the points up to the error as its
+         * object.
+         */
+        function parsePoints(str) {
+            var points = [];
+            var fail = function (message, pos) {
+                var error = content.ParseError(message, pos, str);
+                error.o = points;
+                return error;
+            };
+            if (typeof str !== "string")
+                return fail("Expected a string", 0);
+
+            var coordinates = [];
+            var pos = content._scan.skipSpaces(str, 0);
+            while (pos < str.length) {
+                if (coordinates.length > 0)
+                    pos = content._scan.skipCommaSpaces(str, pos);
+                var n = content._scan.number(str, pos, true);
+                if (n === null)
+                    return fail("Expected number but found " + content._scan.describe(str, pos), pos);
+                coordinates.push(parseFloat(n));
+                if (coordinates.length % 2 === 0)
+                    points.push({x: coordinates[coordinates.length - 2], y: coordinates[coordinates.length - 1]});
+                pos = content._scan.skipSpaces(str, pos + n.length);
+            }
+            if (coordinates.length % 2 === 1)
+                return fail("Odd number of coordinates", pos);
+            return content.SVGContent(points, str.trim());
+        }
+
+        /**
+         * Parameters of the commands that are x and y coordinates, respectively.
+         *
+         * @var {object} COORDINATES
+         * @memberOf svgparse.path
+         * @private
+         */
+        var COORDINATES = {
+            x: ["x", "x1", "x2"],
+            y: ["y", "y1", "y2"]
+        };
+
+        /**
+         * Creates an absolute command.
+         *
+         * @method _command
+         * @memberOf svgparse.path
+         * @param {string} code Upper case command letter.
+         * @param {object=} params Parameters of the command.
+         * @returns {object} The command.
+         * @private
+         */
+        function _command(code, params) {
+            var command = {code: code, relative: false};
+            PARAMETERS[code].forEach(function (name) {
+                command[name] = params[name];
+            });
+            return command;
+        }
+
+        /**
+         * Converts all commands to absolute commands.
+         *
+         * @method absolutize
+         * @memberOf svgparse.path
+         * @param {Array} commands List of commands as returned by parse().
+         * @returns {Array} New list of the equivalent absolute commands.
+         */
+        function absolutize(commands) {
+            var cx = 0, cy = 0, sx = 0, sy = 0;
+            return commands.map(function (c) {
+                var code = c.code.toUpperCase();
+                var params = {};
+                PARAMETERS[code].forEach(function (name) {
+                    params[name] = c[name];
+                    if (c.relative && COORDINATES.x.indexOf(name) > -1)
+                        params[name] += cx;
+                    if (c.relative && COORDINATES.y.indexOf(name) > -1)
+                        params[name] += cy;
+                });
+                var command = _command(code, params);
+                switch (code) {
+                    case "Z":
+                        cx = sx;
+                        cy = sy;
+                        break;
+                    case "H":
+                        cx = command.x;
+                        break;
+                    case "V":
+                        cy = command.y;
+                        break;
+                    default:
+                        cx = command.x;
+                        cy = command.y;
+                }
+                if (code === "M") {
+                    sx = cx;
+                    sy = cy;
+                }
+                return command;
+            });
+        }
+
+        /**
+         * Converts all commands to absolute commands and expands the shorthands: H and V to L, S to C and T to Q.
+         * The resulting list contains only M, L, C, Q, A and Z commands.
+         *
+         * @method normalize
+         * @memberOf svgparse.path
+         * @param {Array} commands List of commands as returned by parse().
+         * @returns {Array} New list of the equivalent normalized commands.
+         */
+        function normalize(commands) {
+            var cx = 0, cy = 0, sx = 0, sy = 0;
+            var prev = null;
+            return absolutize(commands).map(function (c) {
+                var command;
+                switch (c.code) {
+                    case "H":
+                        command = _command("L", {x: c.x, y: cy});
+                        break;
+                    case "V":
+                        command = _command("L", {x: cx, y: c.y});
+                        break;
+                    case "S":
+                        command = _command("C", {
+                            x1: prev && prev.code === "C" ? 2 * cx - prev.x2 : cx,
+                            y1: prev && prev.code === "C" ? 2 * cy - prev.y2 : cy,
+                            x2: c.x2, y2: c.y2, x: c.x, y: c.y
+                        });
+                        break;
+                    case "T":
+                        command = _command("Q", {
+                            x1: prev && prev.code === "Q" ? 2 * cx - prev.x1 : cx,
+                            y1: prev && prev.code === "Q" ? 2 * cy - prev.y1 : cy,
+                            x: c.x, y: c.y
+                        });
+                        break;
+                    default:
+                        command = c;
+                }
+                if (command.code === "Z") {
+                    cx = sx;
+                    cy = sy;
+                } else {
+                    cx = command.x;
+                    cy = command.y;
+                }
+                if (command.code === "M") {
+                    sx = cx;
+                    sy = cy;
+                }
+                prev = command;
+                return command;
+            });
+        }
+
+        /**
+         * Converts the endpoint parameterization of an arc to center parameterization, correcting out of range
+         * radii as described in the implementation notes of the SVG specification.
+         * Reference: https://www.w3.org/TR/SVG11/implnote.html#ArcImplementationNotes
+         *
+         * @method _arcToCenter
+         * @memberOf svgparse.path
+         * @param {number} x1 X coordinate of the start point.
+         * @param {number} y1 Y coordinate of the start point.
+         * @param {object} arc Absolute arc command.
+         * @returns {?object} Object containing the center (cx, cy), radii (rx, ry), rotation in radians (phi), start
+         * angle (theta) and sweep angle (delta) of the arc, or null if the arc is a straight line or is omitted.
+         * @private
+         */
+        function _arcToCenter(x1, y1, arc) {
+            var rx = Math.abs(arc.rx);
+            var ry = Math.abs(arc.ry);
+            if ((x1 === arc.x && y1 === arc.y) || rx === 0 || ry === 0)
+                return null;
+            var phi = arc.xAxisRotation * Math.PI / 180;
+            var cos = Math.cos(phi);
+            var sin = Math.sin(phi);
+            var dx = (x1 - arc.x) / 2;
+            var dy = (y1 - arc.y) / 2;
+            var x1p = cos * dx + sin * dy;
+            var y1p = -sin * dx + cos * dy;
+            var lambda = x1p * x1p / (rx * rx) + y1p * y1p / (ry * ry);
+            if (lambda > 1) {
+                rx *= Math.sqrt(lambda);
+                ry *= Math.sqrt(lambda);
+            }
+            var num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+            var den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+            var coef = (arc.largeArc !== arc.sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+            var cxp = coef * rx * y1p / ry;
+            var cyp = -coef * ry * x1p / rx;
+            var ux = (x1p - cxp) / rx, uy = (y1p - cyp) / ry;
+            var vx = (-x1p - cxp) / rx, vy = (-y1p - cyp) / ry;
+            var theta = Math.atan2(uy, ux);
+            var delta = Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+            if (!arc.sweep && delta > 0)
+                delta -= 2 * Math.PI;
+            if (arc.sweep && delta < 0)
+                delta += 2 * Math.PI;
+            return {
+                cx: cos * cxp - sin * cyp + (x1 + arc.x) / 2,
+                cy: sin * cxp + cos * cyp + (y1 + arc.y) / 2,
+                rx: rx,
+                ry: ry,
+                phi: phi,
+                theta: theta,
+                delta: delta
+            };
+        }
+
+        /**
+         * Calculates a point of an arc in center parameterization.
+         *
+         * @method _arcPoint
+         * @memberOf svgparse.path
+         * @param {object} arc Arc in center parameterization.
+         * @param {number} theta Angle of the point in radians.
+         * @returns {object} Object containing the x and y coordinates of the point.
+         * @private
+         */
+        function _arcPoint(arc, theta) {
+            var cos = Math.cos(arc.phi), sin = Math.sin(arc.phi);
+            return {
+                x: arc.cx + arc.rx * cos * Math.cos(theta) - arc.ry * sin * Math.sin(theta),
+                y: arc.cy + arc.rx * sin * Math.cos(theta) + arc.ry * cos * Math.sin(theta)
+            };
+        }
+
+        /**
+         * Calculates the derivative of an arc in center parameterization with respect to the angle.
+         *
+         * @method _arcDerivative
+         * @memberOf svgparse.path
+         * @param {object} arc Arc in center parameterization.
+         * @param {number} theta Angle of the point in radians.
+         * @returns {object} Object containing the x and y components of the derivative.
+         * @private
+         */
+        function _arcDerivative(arc, theta) {
+            var cos = Math.cos(arc.phi), sin = Math.sin(arc.phi);
+            return {
+                x: -arc.rx * cos * Math.sin(theta) - arc.ry * sin * Math.cos(theta),
+                y: -arc.rx * sin * Math.sin(theta) + arc.ry * cos * Math.cos(theta)
+            };
+        }
+
+        /**
+         * Converts all commands to absolute commands and replaces shorthands, quadratic Béziers and arcs with cubic
+         * Béziers. Arcs are approximated by at most 90 degree cubic segments. Arcs with zero radius become lines, arcs
+         * with identical endpoints are omitted.
+         * The resulting list contains only M, L, C and Z commands.
+         *
+         * @method toCubics
+         * @memberOf svgparse.path
+         * @param {Array} commands List of commands as returned by parse().
+         * @returns {Array} New list of the equivalent commands.
+         */
+        function toCubics(commands) {
+            var result = [];
+            var cx = 0, cy = 0, sx = 0, sy = 0;
+            normalize(commands).forEach(function (c) {
+                switch (c.code) {
+                    case "Q":
+                        result.push(_command("C", {
+                            x1: cx + 2 / 3 * (c.x1 - cx), y1: cy + 2 / 3 * (c.y1 - cy),
+                            x2: c.x + 2 / 3 * (c.x1 - c.x), y2: c.y + 2 / 3 * (c.y1 - c.y),
+                            x: c.x, y: c.y
+                        }));
+                        break;
+                    case "A":
+                        var arc = _arcToCenter(cx, cy, c);
+                        if (arc === null) {
+                            if (cx !== c.x || cy !== c.y)
+                                result.push(_command("L", c));
+                            break;
+                        }
+                        var n = Math.max(1, Math.ceil(Math.abs(arc.delta) / (Math.PI / 2) - 1e-9));
+                        var step = arc.delta / n;
+                        var k = 4 / 3 * Math.tan(step / 4);
+                        for (var i = 0; i < n; i++) {
+                            var t1 = arc.theta + i * step, t2 = t1 + step;
+                            var p1 = _arcPoint(arc, t1), d1 = _arcDerivative(arc, t1);
+                            var p2 = i === n - 1 ? c : _arcPoint(arc, t2), d2 = _arcDerivative(arc, t2);
+                            result.push(_command("C", {
+                                x1: p1.x + k * d1.x, y1: p1.y + k * d1.y,
+                                x2: p2.x - k * d2.x, y2: p2.y - k * d2.y,
+                                x: p2.x, y: p2.y
+                            }));
+                        }
+                        break;
+                    default:
+                        result.push(c);
+                }
+                if (c.code === "Z") {
+                    cx = sx;
+                    cy = sy;
+                } else {
+                    cx = c.x;
+                    cy = c.y;
+                }
+                if (c.code === "M") {
+                    sx = cx;
+                    sy = cy;
+                }
+            });
+            return result;
+        }
+
+        /**
+         * Serializes a list of commands to the shortest path data.
+         * Command letters of implicitly repeated commands and unnecessary separators are omitted, numbers are
+         * written without leading zeros and in exponent notation when it is shorter (see content.formatNumber()).
+         *
+         * @method stringify
+         * @memberOf svgparse.path
+         * @param {Array} commands List of commands as returned by parse().
+         * @param {object=} options Serialization options.
+         * @param {number=} options.precision Maximum number of decimals of the numbers. If not specified, numbers are
+         * written with full precision.
+         * @returns {string} The path data.
+         */
+        function stringify(commands, options) {
+            var precision = options && options.precision;
+            var d = "";
+            var last = null;
+            var prev = null;
+            commands.forEach(function (c) {
+                var implicit = last === "M" ? "L" : last === "m" ? "l" : last;
+                var names = PARAMETERS[c.code.toUpperCase()];
+                if (c.code !== implicit || names.length === 0) {
+                    d += c.code;
+                    prev = null;
+                }
+                names.forEach(function (name) {
+                    var flag = name === "largeArc" || name === "sweep";
+                    var s = flag ? (c[name] ? "1" : "0")
+                        : content.formatNumber(c[name], content.compactFormat(precision));
+                    if (prev !== null && !prev.flag && s.charAt(0) !== "-"
+                        && !(s.charAt(0) === "." && /[.e]/.test(prev.s)))
+                        d += " ";
+                    d += s;
+                    prev = {s: s, flag: flag};
+                });
+                last = c.code;
+            });
+            return d;
+        }
+
+        /**
+         * Finds the roots of a quadratic polynomial a t^2 + b t + c in (0, 1).
+         *
+         * @method _unitRoots
+         * @memberOf svgparse.path
+         * @param {number} a Coefficient of the quadratic term.
+         * @param {number} b Coefficient of the linear term.
+         * @param {number} c Constant term.
+         * @returns {Array} Array of the roots in (0, 1).
+         * @private
+         */
+        function _unitRoots(a, b, c) {
+            var roots = [];
+            if (a === 0) {
+                if (b !== 0)
+                    roots.push(-c / b);
+            } else {
+                // Numerically stable form, which stays accurate if a is tiny due to rounding
+                var disc = b * b - 4 * a * c;
+                if (disc >= 0) {
+                    var q = -(b + (b < 0 ? -1 : 1) * Math.sqrt(disc)) / 2;
+                    roots.push(q / a);
+                    if (q !== 0)
+                        roots.push(c / q);
+                }
+            }
+            return roots.filter(function (t) {
+                return t > 0 && t < 1;
+            });
+        }
+
+        /**
+         * Evaluates a one dimensional Bézier curve of any degree with de Casteljau's algorithm.
+         *
+         * @method _bezier
+         * @memberOf svgparse.path
+         * @param {Array} p Control values.
+         * @param {number} t Parameter in [0, 1].
+         * @returns {number} Value of the curve.
+         * @private
+         */
+        function _bezier(p, t) {
+            var q = p.slice();
+            for (var n = q.length - 1; n > 0; n--) {
+                for (var i = 0; i < n; i++)
+                    q[i] = (1 - t) * q[i] + t * q[i + 1];
+            }
+            return q[0];
+        }
+
+        /**
+         * Walks through the segments of the normalized path data.
+         *
+         * @method _segments
+         * @memberOf svgparse.path
+         * @param {Array} commands List of commands as returned by parse().
+         * @param {function} callback Function called with each command of the normalized path data, and the x and y
+         * coordinates of the current point before the command. For closepath commands, the subpath start is added
+         * as x and y to the command.
+         * @private
+         */
+        function _segments(commands, callback) {
+            var cx = 0, cy = 0, sx = 0, sy = 0;
+            normalize(commands).forEach(function (c) {
+                if (c.code === "Z")
+                    c = {code: "Z", relative: false, x: sx, y: sy};
+                callback(c, cx, cy);
+                cx = c.x;
+                cy = c.y;
+                if (c.code === "M") {
+                    sx = cx;
+                    sy = cy;
+                }
+            });
+        }
+
+        /**
+         * Calculates the exact bounding box of the path data, including the extrema of the curves.
+         *
+         * @method bbox
+         * @memberOf svgparse.path
+         * @param {Array} commands List of commands as returned by parse().
+         * @returns {?object} Object containing the x, y, width and height of the bounding box, or null if the path
+         * data is empty.
+         */
+        function bbox(commands) {
+            var box = null;
+            var add = function (x, y) {
+                if (box === null) {
+                    box = {minX: x, minY: y, maxX: x, maxY: y};
+                    return;
+                }
+                box.minX = Math.min(box.minX, x);
+                box.minY = Math.min(box.minY, y);
+                box.maxX = Math.max(box.maxX, x);
+                box.maxY = Math.max(box.maxY, y);
+            };
+            _segments(commands, function (c, x0, y0) {
+                add(c.x, c.y);
+                switch (c.code) {
+                    case "C":
+                        [["x", x0], ["y", y0]].forEach(function (d) {
+                            var p = [d[1], c[d[0] + "1"], c[d[0] + "2"], c[d[0]]];
+                            _unitRoots(
+                                -p[0] + 3 * p[1] - 3 * p[2] + p[3],
+                                2 * (p[0] - 2 * p[1] + p[2]),
+                                p[1] - p[0]
+                            ).forEach(function (t) {
+                                add(_bezier([x0, c.x1, c.x2, c.x], t), _bezier([y0, c.y1, c.y2, c.y], t));
+                            });
+                        });
+                        break;
+                    case "Q":
+                        [["x", x0], ["y", y0]].forEach(function (d) {
+                            var p = [d[1], c[d[0] + "1"], c[d[0]]];
+                            _unitRoots(0, 2 * (p[0] - 2 * p[1] + p[2]), 2 * (p[1] - p[0])).forEach(function (t) {
+                                add(_bezier([x0, c.x1, c.x], t), _bezier([y0, c.y1, c.y], t));
+                            });
+                        });
+                        break;
+                    case "A":
+                        var arc = _arcToCenter(x0, y0, c);
+                        if (arc === null)
+                            break;
+                        var cos = Math.cos(arc.phi), sin = Math.sin(arc.phi);
+                        var tx = Math.atan2(-arc.ry * sin, arc.rx * cos);
+                        var ty = Math.atan2(arc.ry * cos, arc.rx * sin);
+                        [tx, tx + Math.PI, ty, ty + Math.PI].forEach(function (t) {
+                            // Angle relative to the start angle in the direction of the sweep
+                            var rel = (t - arc.theta) * (arc.delta < 0 ? -1 : 1);
+                            rel = ((rel % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+                            if (rel < Math.abs(arc.delta)) {
+                                var p = _arcPoint(arc, t);
+                                add(p.x, p.y);
+                            }
+                        });
+                        break;
+                }
+            });
+            if (box === null)
+                return null;
+            return {
+                x: box.minX,
+                y: box.minY,
+                width: box.maxX - box.minX,
+                height: box.maxY - box.minY
+            };
+        }
+
+        /**
+         * Integrates a function with adaptive Simpson quadrature.
+         *
+         * @method _integrate
+         * @memberOf svgparse.path
+         * @param {function} f Function to integrate.
+         * @param {number} a Lower boundary.
+         * @param {number} b Upper boundary.
+         * @returns {number} The integral.
+         * @private
+         */
+        function _integrate(f, a, b) {
+            var simpson = function (a, fa, b, fb) {
+                var m = (a + b) / 2, fm = f(m);
+                return {m: m, fm: fm, s: (b - a) / 6 * (fa + 4 * fm + fb)};
+            };
+            var step = function (a, fa, b, fb, whole, eps, depth) {
+                var left = simpson(a, fa, whole.m, whole.fm);
+                var right = simpson(whole.m, whole.fm, b, fb);
+                var delta = left.s + right.s - whole.s;
+                if (depth <= 0 || Math.abs(delta) <= 15 * eps)
+                    return left.s + right.s + delta / 15;
+                return step(a, fa, whole.m, whole.fm, left, eps / 2, depth - 1)
+                    + step(whole.m, whole.fm, b, fb, right, eps / 2, depth - 1);
+            };
+            var fa = f(a), fb = f(b);
+            return step(a, fa, b, fb, simpson(a, fa, b, fb), 1e-10, 40);
+        }
+
+        /**
+         * Calculates the total length of the path data.
+         * Lines are measured exactly, curves and arcs by numerical integration.
+         *
+         * @method length
+         * @memberOf svgparse.path
+         * @param {Array} commands List of commands as returned by parse().
+         * @returns {number} The total length.
+         */
+        function length(commands) {
+            var total = 0;
+            _segments(commands, function (c, x0, y0) {
+                switch (c.code) {
+                    case "M":
+                        return;
+                    case "C":
+                        var cxs = [3 * (c.x1 - x0), 3 * (c.x2 - c.x1), 3 * (c.x - c.x2)];
+                        var cys = [3 * (c.y1 - y0), 3 * (c.y2 - c.y1), 3 * (c.y - c.y2)];
+                        // Split in halves to help the quadrature with cusps and inflections
+                        [[0, 0.5], [0.5, 1]].forEach(function (range) {
+                            total += _integrate(function (t) {
+                                return Math.sqrt(Math.pow(_bezier(cxs, t), 2) + Math.pow(_bezier(cys, t), 2));
+                            }, range[0], range[1]);
+                        });
+                        return;
+                    case "Q":
+                        var qxs = [2 * (c.x1 - x0), 2 * (c.x - c.x1)];
+                        var qys = [2 * (c.y1 - y0), 2 * (c.y - c.y1)];
+                        total += _integrate(function (t) {
+                            return Math.sqrt(Math.pow(_bezier(qxs, t), 2) + Math.pow(_bezier(qys, t), 2));
+                        }, 0, 1);
+                        return;
+                    case "A":
+                        var arc = _arcToCenter(x0, y0, c);
+                        if (arc !== null) {
+                            total += Math.abs(_integrate(function (t) {
+                                var d = _arcDerivative(arc, t);
+                                return Math.sqrt(d.x * d.x + d.y * d.y);
+                            }, arc.theta, arc.theta + arc.delta));
+                            return;
+                        }
+                }
+                total += Math.sqrt((c.x - x0) * (c.x - x0) + (c.y - y0) * (c.y - y0));
+            });
+            return total;
+        }
+
+        // Exposed methods
+        return {
+            parse: parse,
+            parsePoints: parsePoints,
+            absolutize: absolutize,
+            normalize: normalize,
+            toCubics: toCubics,
+            stringify: stringify,
+            bbox: bbox,
+            length: length
+        };
+    }());
+})));
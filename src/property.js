@@ -0,0 +1,261 @@
+/**
+ * Module implementing property-based testing of content generators with shrinking.
+ * Generators are run with a recorded random source, and failing cases are shrunk by simplifying the recorded
+ * random values: removing them results in fewer repetitions (e.g., fewer path commands), lowering them results in
+ * the first options (e.g., shorter numbers with smaller digits).
+ *
+ * @module property
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    if (typeof exports === "object")
+        var core = require('./core').core;
+    exports.property = (function () {
+        /**
+         * Maximum number of random values a generator may draw while replaying a shrunk case, relative to the
+         * length of the case. Exceeding the limit rejects the case, which stops generators that would loop forever
+         * on the simplified values.
+         *
+         * @var {number} MAX_OVERRUN
+         * @memberOf svgparse.property
+         * @private
+         */
+        var MAX_OVERRUN = 1000;
+
+        /**
+         * Runs a generator with a random source that records the random values.
+         *
+         * @method _record
+         * @memberOf svgparse.property
+         * @param {function} generator Generator to run.
+         * @param {number} seed Seed of the random source.
+         * @returns {object} Object containing the generated value and the list of the drawn random values.
+         * @private
+         */
+        function _record(generator, seed) {
+            core.seed(seed);
+            var source = core.getRng();
+            var values = [];
+            core.withRng(function () {
+                var x = source();
+                values.push(x);
+                return x;
+            });
+            return {value: generator(), values: values};
+        }
+
+        /**
+         * Runs a generator with a random source that replays a list of random values. Once the list is exhausted,
+         * the source returns zeros.
+         *
+         * @method _replay
+         * @memberOf svgparse.property
+         * @param {function} generator Generator to run.
+         * @param {Array} values Random values to replay.
+         * @returns {?object} Object containing the generated value and the list of the random values actually
+         * drawn, or null if the generator failed or drew too many values.
+         * @private
+         */
+        function _replay(generator, values) {
+            var drawn = [];
+            var limit = values.length + MAX_OVERRUN;
+            core.withRng(function () {
+                if (drawn.length >= limit)
+                    throw new Error("Random source overrun");
+                var x = drawn.length < values.length ? values[drawn.length] : 0;
+                drawn.push(x);
+                return x;
+            });
+            try {
+                return {value: generator(), values: drawn};
+            } catch (e) {
+                return null;
+            }
+        }
+
+        /**
+         * Evaluates a predicate. The predicate fails if it returns false or throws an error.
+         *
+         * @method _fails
+         * @memberOf svgparse.property
+         * @param {function} predicate Predicate to evaluate.
+         * @param {*} value Value to evaluate the predicate with.
+         * @returns {?string} Description of the failure, or null if the predicate holds.
+         * @private
+         */
+        function _fails(predicate, value) {
+            try {
+                return predicate(value) === false ? "Predicate returned false" : null;
+            } catch (e) {
+                return e && e.message ? e.message : String(e);
+            }
+        }
+
+        /**
+         * Checks if a list of random values is simpler than another one: shorter, or of the same length but
+         * lexicographically smaller.
+         *
+         * @method _simpler
+         * @memberOf svgparse.property
+         * @param {Array} a First list.
+         * @param {Array} b Second list.
+         * @returns {boolean} True if the first list is simpler, false otherwise.
+         * @private
+         */
+        function _simpler(a, b) {
+            if (a.length !== b.length)
+                return a.length < b.length;
+            for (var i = 0; i < a.length; i++) {
+                if (a[i] !== b[i])
+                    return a[i] < b[i];
+            }
+            return false;
+        }
+
+        /**
+         * Lists the simplifications of a list of random values, from the most to the least aggressive: truncations
+         * (the missing values are replayed as zeros), lowering single values to zero, to their half or by 10%, and
+         * removals of blocks of values.
+         *
+         * @method _candidates
+         * @memberOf svgparse.property
+         * @param {Array} values Random values to simplify.
+         * @returns {Array} List of simplified lists.
+         * @private
+         */
+        function _candidates(values) {
+            var candidates = [];
+            for (var k = 0; k < values.length; k = 2 * k + 1)
+                candidates.push(values.slice(0, k));
+            [0, 0.5, 0.9].forEach(function (factor) {
+                values.forEach(function (x, i) {
+                    if (x > 0) {
+                        var c = values.slice();
+                        c[i] = x * factor;
+                        candidates.push(c);
+                    }
+                });
+            });
+            [8, 4, 2, 1].forEach(function (size) {
+                for (var i = 0; i + size <= values.length; i++)
+                    candidates.push(values.slice(0, i).concat(values.slice(i + size)));
+            });
+            return candidates;
+        }
+
+        /**
+         * Shrinks a failing case to a simpler one that still fails.
+         *
+         * @method _shrink
+         * @memberOf svgparse.property
+         * @param {function} generator Generator of the values.
+         * @param {function} predicate Predicate that fails for the case.
+         * @param {object} failing Failing case containing the value, the random values and the error.
+         * @param {number} budget Maximum number of cases to try.
+         * @returns {object} The simplest failing case found along with the number of successful shrinks.
+         * @private
+         */
+        function _shrink(generator, predicate, failing, budget) {
+            var best = failing;
+            var shrinks = 0;
+            var improved = true;
+            while (improved && budget > 0) {
+                improved = false;
+                var candidates = _candidates(best.values);
+                for (var i = 0; i < candidates.length && budget > 0; i++) {
+                    budget--;
+                    var run = _replay(generator, candidates[i]);
+                    if (run === null || !_simpler(run.values, best.values))
+                        continue;
+                    var error = _fails(predicate, run.value);
+                    if (error !== null) {
+                        best = {value: run.value, values: run.values, error: error};
+                        shrinks++;
+                        improved = true;
+                        break;
+                    }
+                }
+            }
+            best.shrinks = shrinks;
+            return best;
+        }
+
+        /**
+         * Checks a property of a generator: runs the generator with a seeded random source several times, and
+         * evaluates the predicate with each generated value. The predicate fails if it returns false or throws
+         * an error (e.g., a failed assertion). The first failing case is shrunk to a minimal one.
+         * Every run has its own seed, the failing value is reproduced by calling core.seed() with the seed of the
+         * failure before calling the generator. The random source of the core module in use before the check is
+         * restored at the end (its seed is not, see core.getSeed()).
+         *
+         * @method check
+         * @memberOf svgparse.property
+         * @param {function} generator Function taking no arguments and returning a random value, typically an
+         * SVGContent, e.g., function () { return content.length(); }.
+         * @param {function} predicate Function taking a generated value and returning whether the property holds.
+         * @param {object=} options Options of the check.
+         * @param {number=} options.runs Number of generated values. Default is 100.
+         * @param {number=} options.seed Seed of the first run, subsequent runs use the following integers. If not
+         * specified, a random seed is used.
+         * @param {number=} options.shrinks Maximum number of cases to try while shrinking. Default is 1000.
+         * @returns {object} Report of the check containing whether the property held (passed), the number of runs
+         * evaluated (runs), the seed of the first run (seed) and the failure if any (failure). The failure contains
+         * the seed of the failing run (seed), the failing value (value), the shrunk value (shrunk), the number of
+         * successful shrinks (shrinks) and the description of the failure of the shrunk value (error).
+         */
+        function check(generator, predicate, options) {
+            var opts = options || {};
+            var runs = typeof opts.runs === "number" ? opts.runs : 100;
+            var seed = typeof opts.seed === "number" ? opts.seed >>> 0 : Math.floor(Math.random() * 4294967296);
+            var budget = typeof opts.shrinks === "number" ? opts.shrinks : 1000;
+            var rng = core.getRng();
+            var report = {passed: true, runs: 0, seed: seed, failure: null};
+            try {
+                for (var i = 0; i < runs; i++) {
+                    var runSeed = (seed + i) >>> 0;
+                    var run = _record(generator, runSeed);
+                    report.runs++;
+                    var error = _fails(predicate, run.value);
+                    if (error !== null) {
+                        var shrunk = _shrink(generator, predicate, {
+                            value: run.value,
+                            values: run.values,
+                            error: error
+                        }, budget);
+                        report.passed = false;
+                        report.failure = {
+                            seed: runSeed,
+                            value: run.value,
+                            shrunk: shrunk.value,
+                            shrinks: shrunk.shrinks,
+                            error: shrunk.error
+                        };
+                        break;
+                    }
+                }
+            } finally {
+                core.withRng(rng);
+            }
+            return report;
+        }
+
+        // Exposed methods
+        return {
+            check: check
+        };
+    })();
+
+    // Shorthand for the property check
+    exports.check = exports.property.check;
+})));
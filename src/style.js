@@ -0,0 +1,719 @@
+/**
+ * Module for parsing CSS declarations, selectors and stylesheets of SVG documents.
+ * Reference: https://www.w3.org/TR/css-syntax-3/, https://www.w3.org/TR/selectors-3/#specificity
+ *
+ * @module style
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    if (typeof exports === "object")
+        var content = require('./content').content;
+    exports.style = (function () {
+        /**
+         * Properties (and geometry attributes) with typed values, grouped by the content parser they are parsed
+         * with.
+         *
+         * @var {object} TYPES
+         * @memberOf svgparse.style
+         * @private
+         */
+        var TYPES = (function () {
+            var groups = {
+                length: ["x", "y", "width", "height", "cx", "cy", "r", "rx", "ry", "x1", "y1", "x2", "y2",
+                    "stroke-width", "stroke-dashoffset", "font-size"],
+                color: ["color", "stop-color", "flood-color", "lighting-color"],
+                paint: ["fill", "stroke"],
+                opacityValue: ["opacity", "fill-opacity", "stroke-opacity", "stop-opacity", "flood-opacity"],
+                number: ["stroke-miterlimit"]
+            };
+            var types = {};
+            Object.keys(groups).forEach(function (type) {
+                groups[type].forEach(function (name) {
+                    types[name] = type;
+                });
+            });
+            return types;
+        })();
+
+        /**
+         * Returns the content type of a property.
+         *
+         * @method typeOf
+         * @memberOf svgparse.style
+         * @param {string} property Name of the property.
+         * @returns {?string} Name of the content parser of the property (length, color, paint, opacityValue or
+         * number), or null if the property is not typed.
+         */
+        function typeOf(property) {
+            return TYPES.hasOwnProperty(property) ? TYPES[property] : null;
+        }
+
+        /**
+         * Converts a property value to its typed content if the property has a known type and the value is valid
+         * for it, otherwise returns the value as it is.
+         *
+         * @method value
+         * @memberOf svgparse.style
+         * @param {string} property Name of the property.
+         * @param {string} str Value of the property.
+         * @returns {(SVGContent|string)} Typed value or the raw string.
+         */
+        function value(property, str) {
+            var type = typeOf(property);
+            if (type === null)
+                return str;
+            var parsed = content.parse[type](str);
+            return parsed.error === undefined ? parsed : str;
+        }
+
+        /**
+         * Returns the end position of a string token.
+         *
+         * @method _stringEnd
+         * @memberOf svgparse.style
+         * @param {string} str String to scan.
+         * @param {number} pos Position of the opening quote.
+         * @returns {number} Position after the closing quote, or the end of the string if the token is not
+         * closed.
+         * @private
+         */
+        function _stringEnd(str, pos) {
+            var quote = str.charAt(pos);
+            for (pos++; pos < str.length; pos++) {
+                var c = str.charAt(pos);
+                if (c === "\\")
+                    pos++;
+                else if (c === quote || c === "\n")
+                    return pos + 1;
+            }
+            return str.length;
+        }
+
+        /**
+         * Replaces the comments of a CSS string with whitespace, leaving the strings intact.
+         *
+         * @method _stripComments
+         * @memberOf svgparse.style
+         * @param {string} str String to process.
+         * @returns {string} String without comments.
+         * @private
+         */
+        function _stripComments(str) {
+            var result = "";
+            var pos = 0;
+            while (pos < str.length) {
+                var c = str.charAt(pos);
+                var end;
+                if (c === "\"" || c === "'") {
+                    end = _stringEnd(str, pos);
+                    result += str.slice(pos, end);
+                } else if (c === "\\") {
+                    end = pos + 2;
+                    result += str.slice(pos, end);
+                } else if (str.slice(pos, pos + 2) === "/*") {
+                    end = str.indexOf("*/", pos + 2);
+                    end = end === -1 ? str.length : end + 2;
+                    result += " ";
+                } else {
+                    end = pos + 1;
+                    result += c;
+                }
+                pos = end;
+            }
+            return result;
+        }
+
+        /**
+         * Splits a string at the top level occurrences of a character, that is, outside of strings, escapes and
+         * blocks.
+         *
+         * @method _split
+         * @memberOf svgparse.style
+         * @param {string} str String to split.
+         * @param {string} separator Character to split at.
+         * @returns {Array} List of the parts.
+         * @private
+         */
+        function _split(str, separator) {
+            var parts = [];
+            var depth = 0;
+            var last = 0;
+            var pos = 0;
+            while (pos < str.length) {
+                var c = str.charAt(pos);
+                if (c === "\"" || c === "'") {
+                    pos = _stringEnd(str, pos);
+                    continue;
+                }
+                if (c === "\\")
+                    pos++;
+                else if ("([{".indexOf(c) > -1)
+                    depth++;
+                else if (")]}".indexOf(c) > -1)
+                    depth = Math.max(depth - 1, 0);
+                else if (c === separator && depth === 0) {
+                    parts.push(str.slice(last, pos));
+                    last = pos + 1;
+                }
+                pos++;
+            }
+            parts.push(str.slice(last));
+            return parts;
+        }
+
+        /**
+         * Parses a list of CSS declarations such as the content of a style attribute or a rule block.
+         * As in CSS, invalid declarations are skipped. Every declaration is an object with the property name
+         * (lowercase, except for custom properties), its value and whether it is important. Values of typed
+         * properties are parsed with the corresponding content parser (see value()), other values are kept as
+         * strings without the comments.
+         *
+         * @method declarations
+         * @memberOf svgparse.style.parse
+         * @param {string} str Declarations to parse.
+         * @returns {(SVGContent|ParseError)} Parsed declarations with the object being the list of declarations, or
+         * error if the input is not a string.
+         */
+        function parseDeclarations(str) {
+            if (typeof str !== "string")
+                return content.ParseError("Expected a string", 0, str);
+            var declarations = [];
+            _split(_stripComments(str), ";").forEach(function (declaration) {
+                var colon = declaration.indexOf(":");
+                if (colon === -1)
+                    return;
+                var property = declaration.slice(0, colon).trim();
+                if (!/^-?(-|[a-zA-Z_])[\w-]*$/.test(property))
+                    return;
+                if (property.slice(0, 2) !== "--")
+                    property = property.toLowerCase();
+                var raw = declaration.slice(colon + 1);
+                var important = /!\s*important\s*$/i.test(raw);
+                raw = raw.replace(/!\s*important\s*$/i, "").trim();
+                if (raw === "" && property.slice(0, 2) !== "--")
+                    return;
+                declarations.push({property: property, value: value(property, raw), important: important});
+            });
+            return content.SVGContent(declarations, str);
+        }
+
+        /**
+         * Parses a simple selector: a compound of an optional type (or universal) selector and any number of class
+         * and id selectors, e.g., rect.icon#close. Specificity is given as the array [ids, classes, types].
+         *
+         * @method selector
+         * @memberOf svgparse.style.parse
+         * @param {string} str Selector to parse.
+         * @returns {(SVGContent|ParseError)} Parsed selector with the object containing the type (null for
+         * universal or omitted), the ids, the classes and the specificity, or error.
+         */
+        function parseSelector(str) {
+            if (typeof str !== "string")
+                return content.ParseError("Expected a string", 0, str);
+            var s = str.trim();
+            if (s === "")
+                return content.ParseError("Empty selector", 0, s);
+            var m = /^(\*|[a-zA-Z_][\w-]*)?/.exec(s);
+            var selector = {type: m[0] === "" || m[0] === "*" ? null : m[0], ids: [], classes: []};
+            var pos = m[0].length;
+            while (pos < s.length) {
+                var c = s.charAt(pos);
+                m = /^-?[a-zA-Z_][\w-]*/.exec(s.slice(pos + 1));
+                if ((c !== "." && c !== "#") || m === null)
+                    return content.ParseError("Unsupported selector at '" + s.slice(pos) + "'", pos, s);
+                (c === "#" ? selector.ids : selector.classes).push(m[0]);
+                pos += 1 + m[0].length;
+            }
+            selector.specificity = [selector.ids.length, selector.classes.length, selector.type !== null ? 1 : 0];
+            return content.SVGContent(selector, s);
+        }
+
+        /**
+         * Returns the end position of a block.
+         *
+         * @method _blockEnd
+         * @memberOf svgparse.style
+         * @param {string} str String to scan.
+         * @param {number} pos Position of the opening brace.
+         * @returns {number} Position after the closing brace, or the end of the string if the block is not closed.
+         * @private
+         */
+        function _blockEnd(str, pos) {
+            var depth = 0;
+            while (pos < str.length) {
+                var c = str.charAt(pos);
+                if (c === "\"" || c === "'") {
+                    pos = _stringEnd(str, pos);
+                    continue;
+                }
+                if (c === "\\") {
+                    pos++;
+                } else if (c === "{") {
+                    depth++;
+                } else if (c === "}") {
+                    depth--;
+                    if (depth === 0)
+                        return pos + 1;
+                }
+                pos++;
+            }
+            return str.length;
+        }
+
+        /**
+         * Parses a stylesheet such as the content of a style element.
+         * Every rule is an object with its list of selectors (see selector()) and its list of declarations (see
+         * declarations()). At-rules are skipped, and so are rules with invalid or unsupported selectors (as in CSS,
+         * a single such selector invalidates the whole rule).
+         *
+         * @method stylesheet
+         * @memberOf svgparse.style.parse
+         * @param {string} str Stylesheet to parse.
+         * @returns {(SVGContent|ParseError)} Parsed stylesheet with the object being the list of rules, or error if
+         * the input is not a string.
+         */
+        function parseStylesheet(str) {
+            if (typeof str !== "string")
+                return content.ParseError("Expected a string", 0, str);
+            var css = _stripComments(str);
+            var rules = [];
+            var pos = 0;
+            while (pos < css.length) {
+                // Whitespace and HTML comment tokens
+                var m = /^(\s|<!--|-->)+/.exec(css.slice(pos));
+                if (m !== null) {
+                    pos += m[0].length;
+                    continue;
+                }
+
+                // Prelude: until the block or the end of an at-rule statement
+                var end = pos;
+                while (end < css.length && css.charAt(end) !== "{" && css.charAt(end) !== ";") {
+                    var c = css.charAt(end);
+                    end = c === "\"" || c === "'" ? _stringEnd(css, end) : end + (c === "\\" ? 2 : 1);
+                }
+                var prelude = css.slice(pos, end).trim();
+                if (css.charAt(end) === ";") {
+                    pos = end + 1;
+                    continue;
+                }
+                var close = _blockEnd(css, end);
+                pos = close;
+                if (prelude.charAt(0) === "@")
+                    continue;
+
+                var selectors = _split(prelude, ",").map(parseSelector);
+                if (selectors.some(function (s) { return s.error !== undefined; }))
+                    continue;
+                var body = css.slice(end + 1, css.charAt(close - 1) === "}" ? close - 1 : close);
+                rules.push({
+                    selectors: selectors,
+                    declarations: parseDeclarations(body).o
+                });
+            }
+            return content.SVGContent(rules, str);
+        }
+
+        /**
+         * Properties resolved by the cascade, along with whether they are inherited and their initial values.
+         * Properties that accept strings other than the CSS-wide keywords are marked with the list of accepted
+         * keywords, or true if they accept any string. The color and font-size properties come first, as other
+         * properties depend on them.
+         *
+         * @var {object} PROPERTIES
+         * @memberOf svgparse.style
+         * @private
+         */
+        var PROPERTIES = {
+            "color": {inherited: true, initial: {r: 0, g: 0, b: 0, a: 1}},
+            "font-size": {inherited: true, initial: 16, keywords: ["xx-small", "x-small", "small", "medium", "large",
+                "x-large", "xx-large", "larger", "smaller"]},
+            "font-family": {inherited: true, initial: "serif"},
+            "font-style": {inherited: true, initial: "normal"},
+            "font-weight": {inherited: true, initial: "normal"},
+            "text-anchor": {inherited: true, initial: "start"},
+            "fill": {inherited: true, initial: {r: 0, g: 0, b: 0, a: 1}},
+            "fill-opacity": {inherited: true, initial: 1},
+            "fill-rule": {inherited: true, initial: "nonzero"},
+            "stroke": {inherited: true, initial: "none"},
+            "stroke-opacity": {inherited: true, initial: 1},
+            "stroke-width": {inherited: true, initial: 1},
+            "stroke-dasharray": {inherited: true, initial: "none"},
+            "stroke-dashoffset": {inherited: true, initial: 0},
+            "stroke-linecap": {inherited: true, initial: "butt"},
+            "stroke-linejoin": {inherited: true, initial: "miter"},
+            "stroke-miterlimit": {inherited: true, initial: 4},
+            "clip-rule": {inherited: true, initial: "nonzero"},
+            "visibility": {inherited: true, initial: "visible"},
+            "display": {inherited: false, initial: "inline"},
+            "opacity": {inherited: false, initial: 1},
+            "stop-color": {inherited: false, initial: {r: 0, g: 0, b: 0, a: 1}},
+            "stop-opacity": {inherited: false, initial: 1},
+            "flood-color": {inherited: false, initial: {r: 0, g: 0, b: 0, a: 1}},
+            "flood-opacity": {inherited: false, initial: 1},
+            "lighting-color": {inherited: false, initial: {r: 255, g: 255, b: 255, a: 1}}
+        };
+
+        /**
+         * Absolute font size keywords in pixels.
+         *
+         * @var {object} FONT_SIZES
+         * @memberOf svgparse.style
+         * @private
+         */
+        var FONT_SIZES = {
+            "xx-small": 9,
+            "x-small": 10,
+            "small": 13,
+            "medium": 16,
+            "large": 18,
+            "x-large": 24,
+            "xx-large": 32
+        };
+
+        /**
+         * Ratio of relative font size keywords.
+         *
+         * @var {number} FONT_SIZE_RATIO
+         * @memberOf svgparse.style
+         * @private
+         */
+        var FONT_SIZE_RATIO = 1.2;
+
+        /**
+         * Checks if a selector matches an element of a parsed document. Type selectors match the local name of
+         * the element.
+         *
+         * @method matches
+         * @memberOf svgparse.style
+         * @param {object} selector Selector as returned by parse.selector() (either the SVGContent or its object).
+         * @param {object} element Element of a parsed document.
+         * @returns {boolean} True if the selector matches the element, false otherwise.
+         */
+        function matches(selector, element) {
+            var s = selector.o !== undefined ? selector.o : selector;
+            var id = element.attributes.id;
+            var classes = typeof element.attributes["class"] === "string"
+                ? element.attributes["class"].trim().split(/\s+/) : [];
+            return (s.type === null || s.type === element.name.replace(/^.*:/, ""))
+                && s.ids.every(function (i) {
+                    return i === id;
+                })
+                && s.classes.every(function (c) {
+                    return classes.indexOf(c) > -1;
+                });
+        }
+
+        /**
+         * Compares the cascade ranks of two declarations.
+         * A rank consists of the importance, the origin (presentation attribute, style sheet or inline style), the
+         * components of the specificity and the order of appearance.
+         *
+         * @method _compareRanks
+         * @memberOf svgparse.style
+         * @param {Array} a First rank.
+         * @param {Array} b Second rank.
+         * @returns {number} Negative if a is lower, positive if a is higher, zero if they are equal.
+         * @private
+         */
+        function _compareRanks(a, b) {
+            for (var i = 0; i < a.length; i++) {
+                if (a[i] !== b[i])
+                    return a[i] - b[i];
+            }
+            return 0;
+        }
+
+        /**
+         * Collects the rules of the style elements of a tree in document order.
+         *
+         * @method _collectRules
+         * @memberOf svgparse.style
+         * @param {object} node Node to start the search from.
+         * @param {Array} rules List of the rules collected so far.
+         * @returns {Array} The list of rules.
+         * @private
+         */
+        function _collectRules(node, rules) {
+            (node.children || []).forEach(function (child) {
+                if (child.type !== "element")
+                    return;
+                var type = child.attributes.type;
+                if (child.name.replace(/^.*:/, "") === "style" && (type === undefined || type === "text/css")) {
+                    var css = child.children.map(function (text) {
+                        return text.type === "text" || text.type === "cdata" ? text.value : "";
+                    }).join("");
+                    Array.prototype.push.apply(rules, parseStylesheet(css).o);
+                }
+                _collectRules(child, rules);
+            });
+            return rules;
+        }
+
+        /**
+         * Checks if a specified value is valid for a property.
+         *
+         * @method _isValid
+         * @memberOf svgparse.style
+         * @param {string} property Name of the property.
+         * @param {(SVGContent|string)} specified Specified value.
+         * @returns {boolean} True if the value is valid, false otherwise.
+         * @private
+         */
+        function _isValid(property, specified) {
+            if (typeof specified !== "string")
+                return true;
+            if (specified === "" || ["inherit", "initial", "unset"].indexOf(specified.toLowerCase()) > -1)
+                return specified !== "";
+            var keywords = PROPERTIES[property].keywords;
+            if (keywords === true)
+                return true;
+            if (Array.isArray(keywords))
+                return keywords.indexOf(specified.toLowerCase()) > -1;
+            return typeOf(property) === null;
+        }
+
+        /**
+         * Finds the winning declaration of each property for an element.
+         *
+         * @method _cascade
+         * @memberOf svgparse.style
+         * @param {object} element Element to find the declarations for.
+         * @param {Array} rules Rules of the document.
+         * @returns {object} The specified values by property.
+         * @private
+         */
+        function _cascade(element, rules) {
+            var winners = {};
+            var order = 0;
+            var add = function (declaration, origin, specificity) {
+                var property = declaration.property;
+                if (!PROPERTIES.hasOwnProperty(property) || !_isValid(property, declaration.value))
+                    return;
+                var rank = [declaration.important ? 1 : 0, origin].concat(specificity, [order++]);
+                if (!winners.hasOwnProperty(property) || _compareRanks(rank, winners[property].rank) > 0)
+                    winners[property] = {value: declaration.value, rank: rank};
+            };
+
+            // Presentation attributes, style sheets and inline style
+            Object.keys(element.attributes).forEach(function (name) {
+                var v = element.attributes[name];
+                add({property: name, value: typeof v === "string" ? v.trim() : v, important: false}, 0, [0, 0, 0]);
+            });
+            rules.forEach(function (rule) {
+                var specificity = null;
+                rule.selectors.forEach(function (selector) {
+                    if (matches(selector, element) && (specificity === null
+                        || _compareRanks(selector.o.specificity, specificity) > 0))
+                        specificity = selector.o.specificity;
+                });
+                if (specificity !== null) {
+                    rule.declarations.forEach(function (declaration) {
+                        add(declaration, 1, specificity);
+                    });
+                }
+            });
+            if (typeof element.attributes.style === "string") {
+                parseDeclarations(element.attributes.style).o.forEach(function (declaration) {
+                    add(declaration, 2, [0, 0, 0]);
+                });
+            }
+
+            var specified = {};
+            Object.keys(winners).forEach(function (property) {
+                specified[property] = winners[property].value;
+            });
+            return specified;
+        }
+
+        /**
+         * Copies a computed value so that the style maps do not share objects.
+         *
+         * @method _copy
+         * @memberOf svgparse.style
+         * @param {*} v Value to copy.
+         * @returns {*} The copy.
+         * @private
+         */
+        function _copy(v) {
+            if (v === null || typeof v !== "object")
+                return v;
+            if (v.type === "url")
+                return {type: "url", url: v.url, fallback: _copy(v.fallback)};
+            return {r: v.r, g: v.g, b: v.b, a: v.a};
+        }
+
+        /**
+         * Computes the value of a property from its specified value.
+         *
+         * @method _computeValue
+         * @memberOf svgparse.style
+         * @param {string} property Name of the property.
+         * @param {(SVGContent|string)} specified Specified value.
+         * @param {object} parent Computed style of the parent element.
+         * @param {object} style Computed style of the element so far.
+         * @param {object} viewport Size of the viewport.
+         * @returns {*} The computed value.
+         * @private
+         */
+        function _computeValue(property, specified, parent, style, viewport) {
+            if (typeof specified === "string") {
+                if (property === "font-size") {
+                    var keyword = specified.toLowerCase();
+                    if (FONT_SIZES.hasOwnProperty(keyword))
+                        return FONT_SIZES[keyword];
+                    return keyword === "larger" ? parent["font-size"] * FONT_SIZE_RATIO
+                        : parent["font-size"] / FONT_SIZE_RATIO;
+                }
+                return specified;
+            }
+            var color = function (c) {
+                if (c.currentColor)
+                    return _copy(property === "color" ? parent.color : style.color);
+                return _copy(c);
+            };
+            switch (typeOf(property)) {
+                case "color":
+                    return color(specified.o);
+                case "paint":
+                    var paint = specified.o;
+                    if (paint.type === "color")
+                        return color(paint.color);
+                    if (paint.type !== "url")
+                        return paint.type;
+                    var fallback = paint.fallback;
+                    if (fallback !== null)
+                        fallback = fallback.type === "none" ? "none" : color(fallback.color);
+                    return {type: "url", url: paint.url, fallback: fallback};
+                case "length":
+                    var fontSize = property === "font-size" ? parent["font-size"] : style["font-size"];
+                    return content.toPx(specified, {
+                        fontSize: fontSize,
+                        percentBase: property === "font-size" ? fontSize : undefined,
+                        viewport: viewport
+                    });
+                default:
+                    return specified.o;
+            }
+        }
+
+        /**
+         * Computes the style of an element and its descendants.
+         * As in CSS Color 4, currentColor is inherited as a keyword, therefore it is resolved with the color of each
+         * descendant.
+         *
+         * @method _computeElement
+         * @memberOf svgparse.style
+         * @param {object} element Element to compute the style for.
+         * @param {object} parent Computed style of the parent element, or the initial values for the root.
+         * @param {object} current Properties of the parent that are set to currentColor.
+         * @param {Array} rules Rules of the document.
+         * @param {object} viewport Size of the viewport.
+         * @returns {object} The computed style tree of the element.
+         * @private
+         */
+        function _computeElement(element, parent, current, rules, viewport) {
+            var specified = _cascade(element, rules);
+            var style = {};
+            var own = {};
+            Object.keys(PROPERTIES).forEach(function (property) {
+                var definition = PROPERTIES[property];
+                var v = specified.hasOwnProperty(property) ? specified[property] : null;
+                var keyword = typeof v === "string" ? v.toLowerCase() : null;
+                if (keyword === "unset")
+                    keyword = definition.inherited ? "inherit" : "initial";
+                if (keyword === "inherit" || (v === null && definition.inherited)) {
+                    if (current[property] && property !== "color") {
+                        own[property] = true;
+                        style[property] = _copy(style.color);
+                    } else {
+                        style[property] = _copy(parent[property]);
+                    }
+                } else if (keyword === "initial" || v === null) {
+                    style[property] = _copy(definition.initial);
+                } else {
+                    if (typeof v !== "string" && (v.o.currentColor || (v.o.color && v.o.color.currentColor)))
+                        own[property] = true;
+                    style[property] = _computeValue(property, v, parent, style, viewport);
+                }
+            });
+            return {
+                name: element.name,
+                style: style,
+                children: element.children.filter(function (child) {
+                    return child.type === "element";
+                }).map(function (child) {
+                    return _computeElement(child, style, own, rules, viewport);
+                })
+            };
+        }
+
+        /**
+         * Computes the style of every element of a parsed document.
+         * The cascade applies the presentation attributes, the rules of the style elements by specificity and
+         * order, the inline styles and the important declarations. Inherited properties take the value of the
+         * parent when not specified, inherit, initial, unset and currentColor are resolved. Colors are computed as
+         * {r, g, b, a} objects, paints as colors, keywords (none, context-fill or context-stroke) or
+         * {type: "url", url, fallback} objects with the fallback being null, none or a color, lengths in pixels
+         * (em and % are resolved with the font size and the viewport), opacities as numbers and all other values as
+         * strings.
+         *
+         * @method compute
+         * @memberOf svgparse.style
+         * @param {object} tree Parsed document or element.
+         * @param {object=} options Options of the computation.
+         * @param {object=} options.viewport Object containing the width and height of the viewport in pixels. If not
+         * specified, the width and height of the root element are used when absolute, otherwise 300 x 150.
+         * @returns {?object} Tree of the computed styles mirroring the element tree: every node contains the name of
+         * the element, its computed style by property and the list of its children. Null if there is no element.
+         */
+        function compute(tree, options) {
+            var root = tree.type === "element" ? tree : (tree.children || []).filter(function (node) {
+                return node.type === "element";
+            })[0];
+            if (root === undefined)
+                return null;
+            var viewport = options && options.viewport;
+            if (!viewport) {
+                var width = content.toPx(root.attributes.width);
+                var height = content.toPx(root.attributes.height);
+                viewport = {
+                    width: typeof width === "number" ? width : 300,
+                    height: typeof height === "number" ? height : 150
+                };
+            }
+            var initial = {};
+            Object.keys(PROPERTIES).forEach(function (property) {
+                initial[property] = _copy(PROPERTIES[property].initial);
+            });
+            return _computeElement(root, initial, {}, _collectRules(tree, []), viewport);
+        }
+
+        // Exposed methods
+        return {
+            typeOf: typeOf,
+            value: value,
+            matches: matches,
+            compute: compute,
+            parse: {
+                declarations: parseDeclarations,
+                selector: parseSelector,
+                stylesheet: parseStylesheet
+            }
+        };
+    })();
+
+    // Shorthand for the cascade
+    exports.computeStyles = exports.style.compute;
+})));
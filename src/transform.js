@@ -0,0 +1,294 @@
+/**
+ * Module for parsing SVG transform lists and computing with affine matrices.
+ * Reference: https://www.w3.org/TR/SVG11/coords.html#TransformAttribute
+ *
+ * @module transform
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    if (typeof exports === "object")
+        var content = require('./content').content;
+    exports.transform = (function () {
+        /**
+         * Parameters of the transform functions: required ones first, followed by the optional ones.
+         *
+         * @var {object} FUNCTIONS
+         * @memberOf svgparse.transform
+         * @private
+         */
+        var FUNCTIONS = {
+            matrix: {required: ["a", "b", "c", "d", "e", "f"], optional: []},
+            translate: {required: ["tx"], optional: ["ty"]},
+            scale: {required: ["sx"], optional: ["sy"]},
+            rotate: {required: ["angle"], optional: ["cx", "cy"]},
+            skewX: {required: ["angle"], optional: []},
+            skewY: {required: ["angle"], optional: []}
+        };
+
+        /**
+         * Parses an SVG transform list.
+         * As in browsers, the separator between the transform functions is optional. Numbers follow the SVG 1.1
+         * grammar, which allows a trailing decimal point (e.g., 1.).
+         * Every operation is an object with its type (matrix, translate, scale, rotate, skewX or skewY) and its
+         * parameters: a, b, c, d, e and f for matrix, tx and ty for translate, sx and sy for scale, angle (in degrees),
+         * cx and cy for rotate and angle for the skews. Omitted optional parameters take their default values.
+         *
+         * @method parse
+         * @memberOf svgparse.transform
+         * @param {string} str Transform list to parse.
+         * @returns {(SVGContent|ParseError)} Parsed transform list with the object being the list of operations,
+         * or error.
+         */
+        function parse(str) {
+            if (typeof str !== "string")
+                return content.ParseError("Expected a string", 0, str);
+            var operations = [];
+            var pos = content._scan.skipSpaces(str, 0);
+            while (pos < str.length) {
+                if (operations.length > 0)
+                    pos = content._scan.skipCommaSpaces(str, pos);
+
+                // Function name
+                var name = /^[a-zA-Z]*/.exec(str.slice(pos))[0];
+                if (name === "")
+                    return content.ParseError("Expected transform function but found "
+                        + content._scan.describe(str, pos), pos, str);
+                if (!FUNCTIONS.hasOwnProperty(name))
+                    return content.ParseError("Unknown transform function '" + name + "'", pos, str);
+                pos = content._scan.skipSpaces(str, pos + name.length);
+                if (str.charAt(pos) !== "(")
+                    return content.ParseError("Expected '(' but found " + content._scan.describe(str, pos), pos,
+                        str);
+                pos = content._scan.skipSpaces(str, pos + 1);
+
+                // Arguments
+                var values = [];
+                while (str.charAt(pos) !== ")") {
+                    if (values.length > 0)
+                        pos = content._scan.skipCommaSpaces(str, pos);
+                    var n = content._scan.number(str, pos, true);
+                    if (n === null)
+                        return content.ParseError("Expected number but found " + content._scan.describe(str, pos),
+                            pos, str);
+                    values.push(parseFloat(n));
+                    pos = content._scan.skipSpaces(str, pos + n.length);
+                }
+                var params = FUNCTIONS[name];
+                var count = values.length;
+                if (count !== params.required.length && count !== params.required.length + params.optional.length)
+                    return content.ParseError("Invalid number of arguments for " + name + "(): " + count, pos, str);
+                pos++;
+
+                var operation = {type: name};
+                params.required.concat(params.optional).forEach(function (p, i) {
+                    operation[p] = values[i];
+                });
+                switch (name) {
+                    case "translate":
+                        operation.ty = count > 1 ? operation.ty : 0;
+                        break;
+                    case "scale":
+                        operation.sy = count > 1 ? operation.sy : operation.sx;
+                        break;
+                    case "rotate":
+                        operation.cx = count > 1 ? operation.cx : 0;
+                        operation.cy = count > 1 ? operation.cy : 0;
+                        break;
+                }
+                operations.push(operation);
+                pos = content._scan.skipSpaces(str, pos);
+            }
+            return content.SVGContent(operations, str.trim());
+        }
+
+        /**
+         * Class describing a 2D affine matrix [a c e; b d f; 0 0 1].
+         *
+         * @class Matrix
+         * @memberOf svgparse.transform
+         * @property {number} a Scale along x.
+         * @property {number} b Skew along y.
+         * @property {number} c Skew along x.
+         * @property {number} d Scale along y.
+         * @property {number} e Translation along x.
+         * @property {number} f Translation along y.
+         * @constructor
+         */
+        function Matrix(a, b, c, d, e, f) {
+            return {a: a, b: b, c: c, d: d, e: e, f: f};
+        }
+
+        /**
+         * Returns the identity matrix.
+         *
+         * @method identity
+         * @memberOf svgparse.transform
+         * @returns {Matrix} The identity matrix.
+         */
+        function identity() {
+            return Matrix(1, 0, 0, 1, 0, 0);
+        }
+
+        /**
+         * Multiplies two matrices. The resulting matrix applies m2 first, then m1.
+         *
+         * @method multiply
+         * @memberOf svgparse.transform
+         * @param {Matrix} m1 Left matrix.
+         * @param {Matrix} m2 Right matrix.
+         * @returns {Matrix} The product m1 m2.
+         */
+        function multiply(m1, m2) {
+            return Matrix(
+                m1.a * m2.a + m1.c * m2.b,
+                m1.b * m2.a + m1.d * m2.b,
+                m1.a * m2.c + m1.c * m2.d,
+                m1.b * m2.c + m1.d * m2.d,
+                m1.a * m2.e + m1.c * m2.f + m1.e,
+                m1.b * m2.e + m1.d * m2.f + m1.f
+            );
+        }
+
+        /**
+         * Inverts a matrix.
+         *
+         * @method invert
+         * @memberOf svgparse.transform
+         * @param {Matrix} m Matrix to invert.
+         * @returns {?Matrix} The inverse matrix, or null if the matrix is singular.
+         */
+        function invert(m) {
+            var det = m.a * m.d - m.b * m.c;
+            if (det === 0 || !isFinite(det))
+                return null;
+            return Matrix(
+                m.d / det,
+                -m.b / det,
+                -m.c / det,
+                m.a / det,
+                (m.c * m.f - m.d * m.e) / det,
+                (m.b * m.e - m.a * m.f) / det
+            );
+        }
+
+        /**
+         * Converts a single operation to a matrix.
+         *
+         * @method toMatrix
+         * @memberOf svgparse.transform
+         * @param {object} operation Transform operation as returned by parse().
+         * @returns {Matrix} The matrix of the operation.
+         */
+        function toMatrix(operation) {
+            var rad = operation.angle * Math.PI / 180;
+            switch (operation.type) {
+                case "matrix":
+                    return Matrix(operation.a, operation.b, operation.c, operation.d, operation.e, operation.f);
+                case "translate":
+                    return Matrix(1, 0, 0, 1, operation.tx, operation.ty);
+                case "scale":
+                    return Matrix(operation.sx, 0, 0, operation.sy, 0, 0);
+                case "rotate":
+                    var cos = Math.cos(rad), sin = Math.sin(rad);
+                    var cx = operation.cx || 0, cy = operation.cy || 0;
+                    return Matrix(cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy);
+                case "skewX":
+                    return Matrix(1, 0, Math.tan(rad), 1, 0, 0);
+                case "skewY":
+                    return Matrix(1, Math.tan(rad), 0, 1, 0, 0);
+                default:
+                    throw new Error("Unknown transform operation: " + operation.type);
+            }
+        }
+
+        /**
+         * Composes a list of operations into a single matrix. As in SVG, the last operation is applied first.
+         *
+         * @method compose
+         * @memberOf svgparse.transform
+         * @param {Array} operations List of operations as returned by parse().
+         * @returns {Matrix} The matrix equivalent to the list.
+         */
+        function compose(operations) {
+            return operations.reduce(function (m, operation) {
+                return multiply(m, toMatrix(operation));
+            }, identity());
+        }
+
+        /**
+         * Decomposes a matrix into a translation, a rotation, a skew along x and a scaling, in this order, so that
+         * composing the resulting list gives back the matrix. Reflections are represented by a negative vertical
+         * scale. Singular matrices with two non-zero parallel columns cannot be decomposed this way, for those the
+         * second column is lost.
+         *
+         * @method decompose
+         * @memberOf svgparse.transform
+         * @param {Matrix} m Matrix to decompose.
+         * @returns {Array} List of the translate, rotate, skewX and scale operations.
+         */
+        function decompose(m) {
+            var sx = Math.sqrt(m.a * m.a + m.b * m.b);
+            var angle, shear, sy;
+            if (sx === 0) {
+                // The first column vanishes, the second column is described by the rotation only
+                sy = Math.sqrt(m.c * m.c + m.d * m.d);
+                angle = sy === 0 ? 0 : Math.atan2(-m.c, m.d);
+                shear = 0;
+            } else {
+                var cos = m.a / sx, sin = m.b / sx;
+                angle = Math.atan2(sin, cos);
+                shear = cos * m.c + sin * m.d;
+                sy = Math.sqrt(Math.pow(m.c - cos * shear, 2) + Math.pow(m.d - sin * shear, 2));
+                if (m.a * m.d - m.b * m.c < 0)
+                    sy = -sy;
+                shear = sy === 0 ? 0 : shear / sy;
+            }
+            return [
+                {type: "translate", tx: m.e, ty: m.f},
+                {type: "rotate", angle: angle * 180 / Math.PI, cx: 0, cy: 0},
+                {type: "skewX", angle: Math.atan(shear) * 180 / Math.PI},
+                {type: "scale", sx: sx, sy: sy}
+            ];
+        }
+
+        /**
+         * Applies a matrix to a point.
+         *
+         * @method apply
+         * @memberOf svgparse.transform
+         * @param {Matrix} m Matrix to apply.
+         * @param {object} point Object containing the x and y coordinates of the point.
+         * @returns {object} Object containing the x and y coordinates of the transformed point.
+         */
+        function apply(m, point) {
+            return {
+                x: m.a * point.x + m.c * point.y + m.e,
+                y: m.b * point.x + m.d * point.y + m.f
+            };
+        }
+
+        // Exposed methods
+        return {
+            Matrix: Matrix,
+            parse: parse,
+            identity: identity,
+            multiply: multiply,
+            invert: invert,
+            toMatrix: toMatrix,
+            compose: compose,
+            decompose: decompose,
+            apply: apply
+        };
+    }());
+})));
@@ -0,0 +1,291 @@
+/**
+ * Module for validating the microsyntax of the attributes of SVG documents.
+ * Lengths, numbers, colors, paints, opacities, path data, transforms, points, viewBox and preserveAspectRatio
+ * values are checked with the corresponding parsers, and errors are located by line and column in the document.
+ *
+ * @module validate
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    if (typeof exports === "object") {
+        var content = require('./content').content;
+        var path = require('./path').path;
+        var transform = require('./transform').transform;
+        var viewport = require('./viewport').viewport;
+        var style = require('./style').style;
+        var document = require('./document').document;
+    }
+    exports.validate = (function () {
+        /**
+         * Namespace of SVG elements.
+         *
+         * @var {string} SVG_NAMESPACE
+         * @memberOf svgparse.validate
+         * @private
+         */
+        var SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+        /**
+         * Parsers of the attributes that are not presentation attributes.
+         *
+         * @var {object} PARSERS
+         * @memberOf svgparse.validate
+         * @private
+         */
+        var PARSERS = {
+            d: path.parse,
+            points: path.parsePoints,
+            transform: transform.parse,
+            gradientTransform: transform.parse,
+            patternTransform: transform.parse,
+            viewBox: viewport.parse.viewBox,
+            preserveAspectRatio: viewport.parse.preserveAspectRatio
+        };
+
+        /**
+         * Keywords accepted by typed attributes besides the CSS-wide keywords.
+         *
+         * @var {object} KEYWORDS
+         * @memberOf svgparse.validate
+         * @private
+         */
+        var KEYWORDS = {
+            "font-size": ["xx-small", "x-small", "small", "medium", "large", "x-large", "xx-large", "larger",
+                "smaller"],
+            width: ["auto"],
+            height: ["auto"],
+            rx: ["auto"],
+            ry: ["auto"]
+        };
+
+        /**
+         * Animation elements, whose fill attribute specifies the state after the animation instead of a paint.
+         *
+         * @var {Array} ANIMATION_ELEMENTS
+         * @memberOf svgparse.validate
+         * @private
+         */
+        var ANIMATION_ELEMENTS = ["animate", "set", "animateMotion", "animateTransform"];
+
+        /**
+         * Text elements, whose position attributes are lists of lengths.
+         *
+         * @var {Array} TEXT_ELEMENTS
+         * @memberOf svgparse.validate
+         * @private
+         */
+        var TEXT_ELEMENTS = ["text", "tspan"];
+
+        /**
+         * Regular expression matching an entity or character reference at the beginning of a string.
+         *
+         * @var {RegExp} REFERENCE
+         * @memberOf svgparse.validate
+         * @private
+         */
+        var REFERENCE = /^&(?:#([0-9]+)|#x([0-9a-fA-F]+)|(lt|gt|amp|quot|apos)|[A-Za-z_:][\w.\-:]*);/;
+
+        /**
+         * Parses a list of lengths separated by whitespace and/or a comma, as used by the position attributes of
+         * text elements.
+         *
+         * @method _parseLengthList
+         * @memberOf svgparse.validate
+         * @param {string} str The list to parse.
+         * @returns {(SVGContent|ParseError)} Parsed list of lengths or error.
+         * @private
+         */
+        function _parseLengthList(str) {
+            var lengths = [];
+            var re = /[^\s,]+/g;
+            var pos = 0, m;
+            while ((m = re.exec(str)) !== null) {
+                var separator = str.slice(pos, m.index);
+                var comma = separator.indexOf(",", lengths.length === 0 ? 0 : separator.indexOf(",") + 1);
+                if (comma > -1)
+                    return content.ParseError("Unexpected ','", pos + comma, str);
+                var length = content.parse.length(m[0]);
+                if (length.error !== undefined)
+                    return content.ParseError(length.error, m.index + length.position, str);
+                lengths.push(length.o);
+                pos = m.index + m[0].length;
+            }
+            if (str.slice(pos).indexOf(",") > -1)
+                return content.ParseError("Unexpected ','", pos + str.slice(pos).indexOf(","), str);
+            if (lengths.length === 0)
+                return content.ParseError("Expected <length> but found end of input", str.length, str);
+            return content.SVGContent(lengths, str);
+        }
+
+        /**
+         * Maps a position in a decoded attribute value to the corresponding position in its markup. Positions
+         * inside a reference are mapped to the start of the reference, and positions after a reference to a
+         * declared entity are mapped to the start of the value, since the length of the replacement text is not
+         * known.
+         *
+         * @method _rawPosition
+         * @memberOf svgparse.validate
+         * @param {string} raw Attribute value as it is in the markup.
+         * @param {number} pos Position in the decoded value.
+         * @returns {number} Position in the markup of the value.
+         * @private
+         */
+        function _rawPosition(raw, pos) {
+            var i = 0, decoded = 0;
+            while (i < raw.length && decoded < pos) {
+                var m = raw.charAt(i) === "&" ? REFERENCE.exec(raw.slice(i)) : null;
+                var length = 1, size = 1;
+                if (m !== null) {
+                    if (m[1] === undefined && m[2] === undefined && m[3] === undefined)
+                        return 0;
+                    var code = m[1] !== undefined ? parseInt(m[1], 10) : parseInt(m[2], 16);
+                    length = code > 0xFFFF ? 2 : 1;
+                    size = m[0].length;
+                } else if (raw.slice(i, i + 2) === "\r\n") {
+                    size = 2;
+                }
+                if (decoded + length > pos)
+                    return i;
+                decoded += length;
+                i += size;
+            }
+            return i;
+        }
+
+        /**
+         * Computes the line and column of a position in a string.
+         *
+         * @method _lineColumn
+         * @memberOf svgparse.validate
+         * @param {string} str The string.
+         * @param {number} pos Position in the string.
+         * @returns {object} Object containing the line and the column, both starting from 1.
+         * @private
+         */
+        function _lineColumn(str, pos) {
+            var lines = str.slice(0, pos).split(/\r\n?|\n/);
+            return {line: lines.length, column: lines[lines.length - 1].length + 1};
+        }
+
+        /**
+         * Validates the value of an attribute of an SVG element.
+         * The fill attribute of animation elements is not validated, and the x, y, dx and dy attributes of text
+         * elements are validated as lists of lengths.
+         *
+         * @method attribute
+         * @memberOf svgparse.validate
+         * @param {string} name Name of the attribute.
+         * @param {string} value Value of the attribute.
+         * @param {string=} element Name of the element. If not specified, the attribute is validated as a
+         * presentation attribute of a shape.
+         * @returns {?ParseError} The error of the value, or null if the value is valid or the attribute is not
+         * validated.
+         */
+        function attribute(name, value, element) {
+            if (name === "fill" && ANIMATION_ELEMENTS.indexOf(element) > -1)
+                return null;
+            var parser = PARSERS[name];
+            if (TEXT_ELEMENTS.indexOf(element) > -1 && ["x", "y", "dx", "dy"].indexOf(name) > -1)
+                parser = _parseLengthList;
+            if (parser === undefined) {
+                var type = style.typeOf(name);
+                if (type === null)
+                    return null;
+                var keyword = value.trim().toLowerCase();
+                if (["inherit", "initial", "unset"].indexOf(keyword) > -1
+                    || (KEYWORDS[name] || []).indexOf(keyword) > -1)
+                    return null;
+                parser = content.parse[type];
+            }
+            var result = parser(value);
+            return result.error === undefined ? null : content.ParseError(result.error, result.position, value);
+        }
+
+        /**
+         * Collects the errors of the attributes of an element and its descendants.
+         *
+         * @method _validateElement
+         * @memberOf svgparse.validate
+         * @param {string} str The whole document.
+         * @param {Element} element Element to validate.
+         * @param {Array} errors List to add the errors to.
+         * @private
+         */
+        function _validateElement(str, element, errors) {
+            if (element.namespace === null || element.namespace === SVG_NAMESPACE) {
+                Object.keys(element.attributes).forEach(function (name) {
+                    var value = element.attributes[name];
+                    if (name.indexOf(":") > -1 || typeof value !== "string")
+                        return;
+                    var error = attribute(name, value, element.name);
+                    if (error !== null) {
+                        var start = element.location.attributes[name];
+                        var raw = str.slice(start, str.indexOf(str.charAt(start - 1), start));
+                        var position = start + _rawPosition(raw, error.position);
+                        var location = _lineColumn(str, position);
+                        errors.push({
+                            message: "Invalid " + name + " attribute on <" + element.name + ">: " + error.error,
+                            position: position,
+                            line: location.line,
+                            column: location.column,
+                            element: element.name,
+                            attribute: name
+                        });
+                    }
+                });
+            }
+            element.children.forEach(function (child) {
+                if (child.type === "element")
+                    _validateElement(str, child, errors);
+            });
+        }
+
+        /**
+         * Validates an SVG document: the markup is parsed and the attributes of the SVG elements are checked with
+         * the content parsers. Typed attributes (lengths, numbers, colors, paints and opacities) may also take the
+         * CSS-wide keywords. Inline styles and style sheets are not validated.
+         *
+         * @method document
+         * @memberOf svgparse.validate
+         * @param {string} str The document to validate.
+         * @returns {Array} List of the errors in document order, each containing the description (message), the
+         * position in the document, the line and column (both starting from 1), and for attribute errors the name
+         * of the element and the attribute. If the markup itself is malformed, the list contains only that error.
+         */
+        function validateDocument(str) {
+            var doc = document.parse(str, {locations: true});
+            if (doc.error !== undefined) {
+                var location = typeof str === "string" ? _lineColumn(str, doc.position) : {line: 1, column: 1};
+                return [{
+                    message: doc.error,
+                    position: doc.position,
+                    line: location.line,
+                    column: location.column
+                }];
+            }
+            var errors = [];
+            doc.o.children.forEach(function (node) {
+                if (node.type === "element")
+                    _validateElement(str, node, errors);
+            });
+            return errors;
+        }
+
+        // Exposed methods
+        return {
+            attribute: attribute,
+            document: validateDocument
+        };
+    })();
+})));
@@ -0,0 +1,167 @@
+/**
+ * Module for parsing the viewBox and preserveAspectRatio attributes and computing the viewport transformation.
+ * Reference: https://www.w3.org/TR/SVG2/coords.html#ViewBoxAttribute
+ *
+ * @module viewport
+ * @memberOf svgparse
+ * @author Enys Mones (enys.mones@gmail.com)
+ */
+(function (global, factory) {
+    if (typeof exports === "object" && typeof module !== "undefined") {
+        factory(exports);
+    } else if (typeof define === 'function' && define['amd']) {
+        define(['exports'], factory);
+    } else {
+        factory((global.svgparse = global['svgparse'] || {}));
+    }
+} (this, (function (exports) {
+    "use strict";
+
+    if (typeof exports === "object") {
+        var content = require('./content').content;
+        var transform = require('./transform').transform;
+    }
+    exports.viewport = (function () {
+        /**
+         * Names of the viewBox parameters in the order they appear in the attribute.
+         *
+         * @var {Array} VIEW_BOX
+         * @memberOf svgparse.viewport
+         * @private
+         */
+        var VIEW_BOX = ["minX", "minY", "width", "height"];
+
+        /**
+         * Alignment values of preserveAspectRatio.
+         *
+         * @var {Array} ALIGNS
+         * @memberOf svgparse.viewport
+         * @private
+         */
+        var ALIGNS = ["none", "xMinYMin", "xMidYMin", "xMaxYMin", "xMinYMid", "xMidYMid", "xMaxYMid", "xMinYMax",
+            "xMidYMax", "xMaxYMax"];
+
+        /**
+         * Parses a viewBox attribute: four numbers separated by whitespace and/or a comma.
+         * Width and height must not be negative, zero values are valid and disable the rendering of the element.
+         * Numbers follow the SVG 1.1 grammar, which allows a trailing decimal point (e.g., 1.).
+         *
+         * @method parseViewBox
+         * @memberOf svgparse.viewport
+         * @param {string} str The viewBox to parse.
+         * @returns {(SVGContent|ParseError)} Parsed viewBox with the object being {minX, minY, width, height}, or
+         * error.
+         */
+        function parseViewBox(str) {
+            if (typeof str !== "string")
+                return content.ParseError("Expected a string", 0, str);
+            var box = {};
+            var pos = content._scan.skipSpaces(str, 0);
+            for (var i = 0; i < VIEW_BOX.length; i++) {
+                if (i > 0)
+                    pos = content._scan.skipCommaSpaces(str, pos);
+                var n = content._scan.number(str, pos, true);
+                if (n === null)
+                    return content.ParseError("Expected number but found " + content._scan.describe(str, pos), pos,
+                        str);
+                box[VIEW_BOX[i]] = parseFloat(n);
+                if (i > 1 && box[VIEW_BOX[i]] < 0)
+                    return content.ParseError("Negative " + VIEW_BOX[i] + " in viewBox", pos, str);
+                pos += n.length;
+            }
+            pos = content._scan.skipSpaces(str, pos);
+            if (pos < str.length)
+                return content.ParseError("Unexpected " + content._scan.describe(str, pos), pos, str);
+            return content.SVGContent(box, str.trim());
+        }
+
+        /**
+         * Parses a preserveAspectRatio attribute: an alignment value optionally followed by meet or slice.
+         * Keywords are case-sensitive.
+         *
+         * @method parsePreserveAspectRatio
+         * @memberOf svgparse.viewport
+         * @param {string} str The preserveAspectRatio to parse.
+         * @returns {(SVGContent|ParseError)} Parsed preserveAspectRatio with the object being {align, meetOrSlice},
+         * where meetOrSlice defaults to meet, or error.
+         */
+        function parsePreserveAspectRatio(str) {
+            if (typeof str !== "string")
+                return content.ParseError("Expected a string", 0, str);
+            var pos = content._scan.skipSpaces(str, 0);
+            var align = /^[a-zA-Z]*/.exec(str.slice(pos))[0];
+            if (align === "")
+                return content.ParseError("Expected align value but found " + content._scan.describe(str, pos), pos,
+                    str);
+            if (ALIGNS.indexOf(align) === -1)
+                return content.ParseError("Unknown align value '" + align + "'", pos, str);
+            pos += align.length;
+
+            var meetOrSlice = "meet";
+            var next = content._scan.skipSpaces(str, pos);
+            if (next < str.length) {
+                if (next === pos)
+                    return content.ParseError("Unexpected " + content._scan.describe(str, pos), pos, str);
+                meetOrSlice = /^[a-zA-Z]*/.exec(str.slice(next))[0];
+                if (meetOrSlice !== "meet" && meetOrSlice !== "slice")
+                    return content.ParseError("Expected meet or slice but found " + (meetOrSlice === ""
+                        ? content._scan.describe(str, next) : "'" + meetOrSlice + "'"), next, str);
+                pos = content._scan.skipSpaces(str, next + meetOrSlice.length);
+                if (pos < str.length)
+                    return content.ParseError("Unexpected " + content._scan.describe(str, pos), pos, str);
+            }
+            return content.SVGContent({align: align, meetOrSlice: meetOrSlice}, str.trim());
+        }
+
+        /**
+         * Computes the matrix transforming the user space defined by a viewBox to the viewport, following the
+         * equivalent transform algorithm of the specification. Without a viewBox, the user space is only
+         * translated to the position of the viewport.
+         *
+         * @method toMatrix
+         * @memberOf svgparse.viewport
+         * @param {?object} viewBox The viewBox as returned by parse.viewBox(), or null if it is not specified.
+         * @param {?object} preserveAspectRatio The preserveAspectRatio as returned by parse.preserveAspectRatio(),
+         * or null to use the default xMidYMid meet.
+         * @param {object} viewport Object containing the position (x, y, both default to 0) and the size (width,
+         * height) of the viewport.
+         * @returns {?Matrix} The matrix transforming user space coordinates to viewport coordinates, or null if the
+         * viewBox has zero width or height, in which case the element is not rendered.
+         */
+        function toMatrix(viewBox, preserveAspectRatio, viewport) {
+            var x = viewport.x || 0, y = viewport.y || 0;
+            if (viewBox === null || viewBox === undefined)
+                return transform.Matrix(1, 0, 0, 1, x, y);
+            if (viewBox.width === 0 || viewBox.height === 0)
+                return null;
+
+            var ratio = preserveAspectRatio || {align: "xMidYMid", meetOrSlice: "meet"};
+            var sx = viewport.width / viewBox.width;
+            var sy = viewport.height / viewBox.height;
+            if (ratio.align !== "none")
+                sx = sy = ratio.meetOrSlice === "slice" ? Math.max(sx, sy) : Math.min(sx, sy);
+            var tx = x - viewBox.minX * sx;
+            var ty = y - viewBox.minY * sy;
+            var dx = viewport.width - viewBox.width * sx;
+            var dy = viewport.height - viewBox.height * sy;
+            if (ratio.align.indexOf("xMid") > -1)
+                tx += dx / 2;
+            if (ratio.align.indexOf("xMax") > -1)
+                tx += dx;
+            if (ratio.align.indexOf("YMid") > -1)
+                ty += dy / 2;
+            if (ratio.align.indexOf("YMax") > -1)
+                ty += dy;
+            return transform.Matrix(sx, 0, 0, sy, tx, ty);
+        }
+
+        // Exposed methods
+        return {
+            parse: {
+                viewBox: parseViewBox,
+                preserveAspectRatio: parsePreserveAspectRatio
+            },
+            toMatrix: toMatrix
+        };
+    }());
+})));
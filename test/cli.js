@@ -0,0 +1,116 @@
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var BIN = path.join(__dirname, '..', 'bin', 'svgparse.js');
+var SVG = "http://www.w3.org/2000/svg";
+
+function svgparse(args) {
+    var result = childProcess.spawnSync(process.execPath, [BIN].concat(args), {encoding: "utf8", timeout: 10000});
+    return {status: result.status, stdout: result.stdout, stderr: result.stderr};
+}
+
+describe('svgparse', function() {
+    describe('cli', function() {
+        // Each test spawns node processes
+        this.timeout(20000);
+        var dir, valid, invalid, malformed, missing;
+
+        before(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "svgparse-"));
+            valid = path.join(dir, "valid.svg");
+            invalid = path.join(dir, "invalid.svg");
+            malformed = path.join(dir, "malformed.svg");
+            missing = path.join(dir, "missing.svg");
+            fs.writeFileSync(valid, '<svg xmlns="' + SVG + '"><rect width="10" fill="red"/></svg>');
+            fs.writeFileSync(invalid, '<svg xmlns="' + SVG + '">\n  <rect width="10 px" fill="rde"/></svg>');
+            fs.writeFileSync(malformed, '<svg>\n  <g></svg>');
+        });
+
+        after(function () {
+            [valid, invalid, malformed].forEach(function (file) {
+                fs.unlinkSync(file);
+            });
+            fs.rmdirSync(dir);
+        });
+
+        describe('validate', function () {
+            it('should exit with 0 for valid files', function () {
+                var result = svgparse(["validate", valid]);
+                assert.equal(result.status, 0);
+                assert.equal(result.stdout, "");
+                assert.equal(result.stderr, "");
+            });
+
+            it('should report the errors as file:line:column: message and exit with 1', function () {
+                var result = svgparse(["validate", valid, invalid, malformed]);
+                assert.equal(result.status, 1);
+                assert.deepEqual(result.stdout.split("\n"), [
+                    invalid + ":2:19: Invalid width attribute on <rect>: Unexpected 'p'",
+                    invalid + ":2:29: Invalid fill attribute on <rect>: Unknown color 'rde'",
+                    malformed + ":2:6: Expected end tag of <g>",
+                    ""
+                ]);
+            });
+
+            it('should report unreadable files and validate the remaining ones', function () {
+                var result = svgparse(["validate", missing, invalid]);
+                assert.equal(result.status, 1);
+                assert(result.stderr.indexOf("svgparse: Cannot read " + missing) === 0, result.stderr);
+                assert.equal(result.stdout.split("\n").length, 3);
+            });
+        });
+
+        describe('tree and styles', function () {
+            it('should print the document as JSON', function () {
+                var result = svgparse(["tree", valid]);
+                assert.equal(result.status, 0);
+                assert.equal(JSON.parse(result.stdout).children[0].name, "svg");
+                assert.equal(svgparse(["styles", valid]).status, 0);
+            });
+
+            it('should exit with 1 for unreadable or malformed files', function () {
+                var result = svgparse(["tree", malformed]);
+                assert.equal(result.status, 1);
+                assert.equal(result.stderr.indexOf("svgparse: " + malformed + ":2:6: "), 0, result.stderr);
+                assert.equal(svgparse(["styles", missing]).status, 1);
+            });
+        });
+
+        describe('generate', function () {
+            it('should print the requested number of values', function () {
+                var result = svgparse(["generate", "integer", "-n", "5"]);
+                assert.equal(result.status, 0);
+                assert(/^([+-]?\d+\n){5}$/.test(result.stdout), result.stdout);
+                assert(/^[+-]?\d+\n$/.test(svgparse(["generate", "integer"]).stdout));
+                assert.equal(svgparse(["generate", "color", "-n", "0"]).stdout, "");
+            });
+
+            it('should reproduce the values with the same seed', function () {
+                var first = svgparse(["generate", "pathData", "-n", "10", "--seed", "42"]);
+                var second = svgparse(["generate", "--seed", "42", "pathData", "-n", "10"]);
+                assert.equal(first.status, 0);
+                assert.equal(first.stdout, second.stdout);
+                assert.notEqual(first.stdout, svgparse(["generate", "pathData", "-n", "10", "--seed", "43"]).stdout);
+            });
+        });
+
+        describe('usage', function () {
+            it('should exit with 2 and print the usage for bad arguments', function () {
+                [
+                    [], ["foo"], ["validate"], ["tree"], ["tree", valid, valid], ["generate"], ["generate", "foo"],
+                    ["generate", "length", "-n"], ["generate", "length", "-n", "-1"], ["generate", "length", "-n", "x"],
+                    ["generate", "length", "--seed", "1.5"], ["generate", "length", "color"]
+                ].forEach(function (args) {
+                    var result = svgparse(args);
+                    assert.equal(result.status, 2, args.join(" "));
+                    assert.equal(result.stdout, "", args.join(" "));
+                    assert.equal(result.stderr.indexOf("svgparse: "), 0, args.join(" "));
+                    assert(result.stderr.indexOf("Usage:") > -1, args.join(" "));
+                });
+            });
+        });
+    });
+});
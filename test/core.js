@@ -14,6 +14,89 @@ function add(dist, value) {
 
 describe('svgparse', function() {
     describe('core', function() {
+        describe('seed', function () {
+            afterEach(function () {
+                core.withRng();
+            });
+
+            it('should reproduce the same sequence of values from the same seed', function () {
+                var draw = function () {
+                    return [
+                        core.float(-10, 10, 5),
+                        core.int(0, 100, 5),
+                        core.choice(['a', 'b', 'c'], 5),
+                        core.choice(['a', 'b', 'c'], [1, 2, 3], 5),
+                        core.normal(0, 1, 5),
+                        core.exponential(2, 5),
+                        core.logUniform(0.1, 10, 5),
+                        core.char("abcdef", 5),
+                        core.shuffle([1, 2, 3, 4, 5, 6]),
+                        core.coin('h', 't', 0.3, 5)
+                    ];
+                };
+                var seed = Math.floor(Math.random() * 100000);
+                core.seed(seed);
+                var first = draw();
+                core.seed(seed);
+                assert.deepEqual(draw(), first);
+            });
+
+            it('should return the seed in use', function () {
+                assert.equal(core.seed(1234), 1234);
+                assert.equal(core.getSeed(), 1234);
+                var seed = core.seed();
+                assert.equal(seed, core.getSeed());
+                assert.equal(true, seed >= 0 && seed < 4294967296);
+            });
+
+            it('should return uniformly distributed floats in [0, 1)', function () {
+                utils.trials(function () {
+                    core.seed(Math.floor(Math.random() * 100000));
+                    return utils.ks_test(core.float(0, 1, LAPS), function (x) {
+                        return x;
+                    });
+                });
+            });
+        });
+
+        describe('withRng', function () {
+            afterEach(function () {
+                core.withRng();
+            });
+
+            it('should route all generators through the custom random source', function () {
+                core.withRng(function () {
+                    return 0;
+                });
+                assert.equal(core.float(2, 5), 2);
+                assert.equal(core.int(3, 7), 3);
+                assert.equal(core.choice(['a', 'b', 'c']), 'a');
+                assert.equal(core.char("xyz"), 'x');
+                assert.equal(core.coin('h', 't', 0.5), 'h');
+                assert.equal(core.getSeed(), null);
+            });
+
+            it('should restore Math.random if no source is given', function () {
+                core.seed(1);
+                core.withRng();
+                assert.equal(core.getSeed(), null);
+                assert.equal(core.getRng(), Math.random);
+            });
+
+            it('should restore a previous source returned by getRng', function () {
+                core.seed(7);
+                var rng = core.getRng();
+                var expected = [rng(), rng()];
+                core.seed(7);
+                var saved = core.getRng();
+                core.withRng(function () {
+                    return 0;
+                });
+                core.withRng(saved);
+                assert.deepEqual([core.float(), core.float()], expected);
+            });
+        });
+
         describe('float', function () {
             it('should return an array of floats uniformly distributed in (min, max)', function() {
                 utils.trials(function() {
@@ -131,6 +214,92 @@ describe('svgparse', function() {
             });
         });
 
+        describe('choice with weights', function() {
+            it('should return elements with probabilities proportional to the weights', function() {
+                utils.trials(function() {
+                    var values = ['a', 'b', 'c', 'd'];
+                    var weights = [1, 5, 0.5, 2.5];
+                    var sample = core.choice(values, weights, LAPS);
+                    assert.equal(sample.length, LAPS);
+                    return utils.chi_test(sample, function(x) {
+                        return weights[values.indexOf(x)] / 9;
+                    }, 0);
+                });
+            });
+
+            it('should never return elements with zero weight', function() {
+                var sample = core.choice(['a', 'b', 'c'], [0, 1, 0], LAPS);
+                assert.equal(sample.every(function (x) {
+                    return x === 'b';
+                }), true);
+                assert.equal(core.choice(['a', 'b'], [1, 0]), 'a');
+                assert.equal(core.choice([], [1]), null);
+            });
+        });
+
+        describe('normal', function() {
+            // Abramowitz--Stegun approximation of the error function
+            function erf(x) {
+                var t = 1 / (1 + 0.3275911 * Math.abs(x));
+                var y = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027
+                    + t * 1.061405429)))) * Math.exp(-x * x);
+                return x < 0 ? -y : y;
+            }
+
+            it('should return normally distributed floats', function() {
+                utils.trials(function() {
+                    var mean = Math.random() * 20 - 10;
+                    var sd = Math.random() * 5 + 0.1;
+                    var values = core.normal(mean, sd, LAPS);
+                    assert.equal(values.length, LAPS);
+                    return utils.ks_test(values, function(x) {
+                        return 0.5 * (1 + erf((x - mean) / (sd * Math.SQRT2)));
+                    });
+                });
+            });
+
+            it('should use the standard normal distribution by default', function() {
+                utils.trials(function() {
+                    return utils.ks_test(core.normal(undefined, undefined, LAPS), function(x) {
+                        return 0.5 * (1 + erf(x / Math.SQRT2));
+                    });
+                });
+            });
+        });
+
+        describe('exponential', function() {
+            it('should return exponentially distributed floats', function() {
+                utils.trials(function() {
+                    var rate = Math.random() * 10 + 0.1;
+                    var values = core.exponential(rate, LAPS);
+                    assert.equal(values.length, LAPS);
+                    assert.equal(values.every(function (x) {
+                        return x >= 0;
+                    }), true);
+                    return utils.ks_test(values, function(x) {
+                        return 1 - Math.exp(-rate * x);
+                    });
+                });
+            });
+        });
+
+        describe('logUniform', function() {
+            it('should return log-uniformly distributed floats in (min, max)', function() {
+                utils.trials(function() {
+                    var min = Math.pow(10, Math.random() * 4 - 2);
+                    var max = Math.pow(10, Math.random() * 4 - 2);
+                    var lo = Math.min(min, max), hi = Math.max(min, max);
+                    var values = core.logUniform(min, max, LAPS);
+                    assert.equal(values.every(function (x) {
+                        return lo <= x && x <= hi;
+                    }), true);
+                    return utils.ks_test(values, function(x) {
+                        return Math.log(x / lo) / Math.log(hi / lo);
+                    });
+                });
+            });
+        });
+
         describe('char', function() {
             it('should return some random characters of a string', function() {
                 for (var trial=0; trial<TRIALS; trial++) {
@@ -180,6 +349,10 @@ describe('svgparse', function() {
         });
 
         describe('coin', function() {
+            it('should always return tail if bias is zero', function() {
+                assert.deepEqual(core.coin('h', 't', 0, 100), core.coin('t', 't', 1, 100));
+            });
+
             it('should return head with some probability', function() {
                 utils.trials(function() {
                     var p = Math.random();
@@ -0,0 +1,321 @@
+var assert = require('assert');
+var content = require('../src/content').content;
+var document = require('../src/document').document;
+var svgparse = require('../src/document');
+
+var SVG = "http://www.w3.org/2000/svg";
+
+describe('svgparse', function() {
+    describe('document', function() {
+        describe('parse', function () {
+            it('should be exposed as svgparse.parse', function () {
+                assert.equal(svgparse.parse, document.parse);
+            });
+
+            it('should record the source location of elements on demand', function () {
+                var str = '<svg xmlns="' + SVG + '">\n  <rect x="1" y = \'2\'/></svg>';
+                var root = document.parse(str, {locations: true}).o.children[0];
+                assert.deepEqual(root.location, {position: 0, attributes: {xmlns: 12}});
+                assert.deepEqual(root.children[1].location, {position: 43, attributes: {x: 52, y: 60}});
+                assert.equal(document.parse(str).o.children[0].location, undefined);
+            });
+
+            it('should parse elements, text and other nodes into a tree', function () {
+                var r = document.parse('<?xml version="1.0" encoding="UTF-8"?>\n'
+                    + '<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "svg11.dtd">\n'
+                    + '<!-- a comment -->\n'
+                    + '<svg xmlns="' + SVG + '"><g id="g"><?pi data?><text>a<![CDATA[<b>]]></text><rect/></g></svg>\n');
+                assert.equal(r.error, undefined);
+                var doc = r.o;
+                assert.deepEqual(doc.declaration, {version: "1.0", encoding: "UTF-8", standalone: null});
+                assert.deepEqual(doc.children.map(function (n) {
+                    return n.type;
+                }), ["doctype", "comment", "element"]);
+                assert.equal(doc.children[0].value, 'svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "svg11.dtd"');
+                assert.equal(doc.children[1].value, " a comment ");
+                var g = doc.children[2].children[0];
+                assert.equal(g.name, "g");
+                assert.deepEqual(g.attributes, {id: "g"});
+                assert.deepEqual(g.children[0], {type: "instruction", target: "pi", value: "data"});
+                assert.deepEqual(g.children[1].children, [
+                    {type: "text", value: "a"},
+                    {type: "cdata", value: "<b>"}
+                ]);
+                assert.deepEqual(g.children[2], {
+                    type: "element", name: "rect", namespace: SVG, namespaces: {}, attributes: {}, children: []
+                });
+            });
+
+            it('should resolve namespaces', function () {
+                var r = document.parse('<svg xmlns="' + SVG + '" xmlns:x="urn:x">'
+                    + '<x:a x:b="1"><c/><d xmlns=""/></x:a></svg>');
+                var svg = r.o.children[0];
+                var a = svg.children[0];
+                assert.deepEqual(svg.namespaces, {"": SVG, x: "urn:x"});
+                assert.equal(svg.namespace, SVG);
+                assert.equal(a.namespace, "urn:x");
+                assert.deepEqual(a.namespaces, {});
+                assert.equal(a.children[0].namespace, SVG);
+                assert.equal(a.children[1].namespace, null);
+                assert.equal(document.parse('<svg xml:space="preserve"/>').error, undefined);
+            });
+
+            it('should not bind the properties of Object.prototype as prefixes', function () {
+                var r = document.parse('<svg><constructor:a/></svg>');
+                assert.equal(r.error, "Unbound namespace prefix 'constructor'");
+                assert.equal(r.position, 6);
+                assert.equal(document.parse('<svg toString:x="1"/>').error, "Unbound namespace prefix 'toString'");
+                assert.equal(document.parse('<svg hasOwnProperty:x="1"/>').error,
+                    "Unbound namespace prefix 'hasOwnProperty'");
+                var svg = document.parse('<svg xmlns:__proto__="urn:p"><__proto__:a/></svg>').o.children[0];
+                assert.equal(svg.children[0].namespace, "urn:p");
+            });
+
+            it('should preserve attribute order and decode references', function () {
+                var r = document.parse('<svg c="&lt;&amp;&#65;&#x42;" b=\'"\' a="1\n2"><t>&gt;&quot;&apos;</t></svg>');
+                var svg = r.o.children[0];
+                assert.deepEqual(Object.keys(svg.attributes), ["c", "b", "a"]);
+                assert.deepEqual(svg.attributes, {c: "<&AB", b: "\"", a: "1 2"});
+                assert.equal(svg.children[0].children[0].value, ">\"'");
+            });
+
+            it('should resolve entities declared in the internal subset', function () {
+                var r = document.parse('<!DOCTYPE svg [\n<!ENTITY ns "' + SVG + '">\n<!ENTITY e \'&lt;x>\'>\n]>'
+                    + '<svg xmlns="&ns;">&e;</svg>');
+                assert.equal(r.o.children[1].namespace, SVG);
+                assert.equal(r.o.children[1].children[0].value, "<x>");
+            });
+
+            it('should reject exponential and deeply nested entity expansions', function () {
+                var laughs = '<!DOCTYPE svg [\n<!ENTITY lol0 "lol">\n';
+                for (var i = 1; i < 10; i++)
+                    laughs += '<!ENTITY lol' + i + ' "' + new Array(11).join('&lol' + (i - 1) + ';') + '">\n';
+                var r = document.parse(laughs + ']>\n<svg>&lol9;</svg>');
+                assert.equal(r.error, "Entity expansion limit exceeded by 'lol5'");
+                assert.equal(r.position, 0);
+
+                var nested = '<!DOCTYPE svg [<!ENTITY e0 "x">';
+                for (var j = 1; j < 20; j++)
+                    nested += '<!ENTITY e' + j + ' "&e' + (j - 1) + ';">';
+                r = document.parse(nested + ']><svg>&e19;</svg>');
+                assert.equal(r.error, "Entity 'e16' is nested too deeply");
+
+                var repeated = '<!DOCTYPE svg [<!ENTITY e "' + new Array(1001).join('x') + '">]><svg>'
+                    + new Array(1001).join('&e;') + '&e;</svg>';
+                r = document.parse(repeated);
+                assert.equal(r.error, "Entity expansion limit exceeded by 'e'");
+                assert.equal(r.position, repeated.lastIndexOf('&e;'));
+                assert.equal(document.parse(repeated.replace('&e;</svg>', '</svg>')).error, undefined);
+            });
+
+            it('should parse presentation attributes with the content parsers', function () {
+                var r = document.parse('<svg xmlns="' + SVG + '"><rect x="1.5em" width="10" fill="#f00" '
+                    + 'stroke="nonsense" opacity=".25" y="1 2" id="r"/></svg>');
+                var attributes = r.o.children[0].children[0].attributes;
+                assert.deepEqual(attributes.x, {o: {value: 1.5, unit: "em"}, s: "1.5em"});
+                assert.deepEqual(attributes.width, {o: {value: 10, unit: ""}, s: "10"});
+                assert.deepEqual(attributes.fill, {o: {type: "color", color: {r: 255, g: 0, b: 0, a: 1}}, s: "#f00"});
+                assert.deepEqual(attributes.opacity, {o: 0.25, s: ".25"});
+                assert.equal(attributes.stroke, "nonsense");
+                assert.equal(attributes.y, "1 2");
+                assert.equal(attributes.id, "r");
+            });
+
+            it('should not type attributes outside of the SVG namespace', function () {
+                var r = document.parse('<svg xmlns="' + SVG + '" xmlns:x="urn:x" x:fill="red">'
+                    + '<x:a fill="red"/></svg>');
+                assert.equal(r.o.children[0].attributes["x:fill"], "red");
+                assert.equal(r.o.children[0].children[0].attributes.fill, "red");
+            });
+
+            it('should return an error with the position of the problem', function () {
+                [
+                    ["", 0],
+                    ["text", 0],
+                    ["<svg>", 0],
+                    ["<svg></g>", 5],
+                    ["<svg/><svg/>", 6],
+                    ["<svg/>x", 6],
+                    ["<svg x=1/>", 7],
+                    ["<svg x='1\"/>", 7],
+                    ["<svg x='1' x='2'/>", 11],
+                    ["<svg x='1'y='2'/>", 10],
+                    ["<svg x='<'/>", 8],
+                    ["<svg>&foo;</svg>", 5],
+                    ["<svg>a & b</svg>", 7],
+                    ["<svg>&#0;</svg>", 5],
+                    ["<p:svg/>", 1],
+                    ["<svg p:x='1'/>", 5],
+                    ["<svg><!-- </svg>", 5],
+                    ["<svg><![CDATA[</svg>", 5],
+                    ["<svg><?xml version='1.0'?></svg>", 5],
+                    ["<svg><!DOCTYPE svg></svg>", 5],
+                    ["<svg></ svg>", 5],
+                    ["<svg></svg", 10],
+                    ["<svg><!ELEMENT svg></svg>", 5],
+                    [{}, 0]
+                ].forEach(function (t) {
+                    var r = document.parse(t[0]);
+                    assert.notEqual(r.error, undefined, t[0]);
+                    assert.equal(r.position, t[1], t[0] + ": " + r.error);
+                });
+            });
+
+            it('should accept a byte order mark and whitespace around the root', function () {
+                var r = document.parse('\uFEFF<?xml version="1.0"?>\n\n<svg/>\n<!-- end -->\n');
+                assert.equal(r.error, undefined);
+                assert.equal(r.o.children[0].name, "svg");
+                assert.equal(r.o.children[1].type, "comment");
+            });
+        });
+
+        describe('stringify', function () {
+            var src = '<?xml version="1.0" encoding="UTF-8"?>\n<!-- c -->\n'
+                + '<svg xmlns="' + SVG + '" width="10.125px" fill="#F00">\n'
+                + '  <g id="g">\n    <text>a <tspan>b</tspan></text>\n    <rect/>\n  </g>\n</svg>\n';
+
+            it('should be exposed as svgparse.stringify', function () {
+                assert.equal(svgparse.stringify, document.stringify);
+            });
+
+            it('should write minified markup', function () {
+                assert.equal(document.stringify(document.parse(src).o), '<?xml version="1.0" encoding="UTF-8"?>'
+                    + '<!-- c --><svg xmlns="' + SVG + '" width="10.125px" fill="red">'
+                    + '<g id="g"><text>a <tspan>b</tspan></text><rect/></g></svg>');
+            });
+
+            it('should write pretty markup', function () {
+                assert.equal(document.stringify(document.parse(src).o, {pretty: true, indent: 4}),
+                    '<?xml version="1.0" encoding="UTF-8"?>\n<!-- c -->\n'
+                    + '<svg xmlns="' + SVG + '" width="10.125px" fill="red">\n'
+                    + '    <g id="g">\n        <text>a <tspan>b</tspan></text>\n        <rect/>\n    </g>\n</svg>\n');
+            });
+
+            it('should preserve attribute order', function () {
+                var markup = '<svg z="1" a="2" m="3" opacity=".5"/>';
+                assert.equal(document.stringify(document.parse(markup).o), markup);
+            });
+
+            it('should escape text, attributes and CDATA', function () {
+                var tree = document.parse('<svg a="&lt;&amp;&quot;&#10;&#9;\'>"><t>&lt;&amp;&gt;</t></svg>').o;
+                tree.children[0].children.push({type: "cdata", value: "a]]>b"});
+                var markup = document.stringify(tree);
+                assert.equal(markup, '<svg a="&lt;&amp;&quot;&#10;&#9;\'&gt;"><t>&lt;&amp;&gt;</t>'
+                    + '<![CDATA[a]]]]><![CDATA[>b]]></svg>');
+                var svg = document.parse(markup).o.children[0];
+                assert.deepEqual(svg.attributes, tree.children[0].attributes);
+                assert.equal(svg.children.slice(1).map(function (node) {
+                    return node.value;
+                }).join(""), "a]]>b");
+            });
+
+            it('should format typed attributes from their objects', function () {
+                var tree = document.parse('<svg x="1.23456em" fill="rgba(0, 128, 255, 0.33333)" stroke="currentColor"'
+                    + ' opacity="0.123456" y="1 2"/>').o;
+                assert.equal(document.stringify(tree, {precision: 2}), '<svg x="1.23em" fill="rgba(0,128,255,.33)"'
+                    + ' stroke="currentColor" opacity=".12" y="1 2"/>');
+                tree.children[0].attributes.x.o.value = 3;
+                tree.children[0].attributes.fill.o.color.a = 1;
+                assert.equal(document.stringify(tree.children[0]), '<svg x="3em" fill="#0080ff"'
+                    + ' stroke="currentColor" opacity=".123456" y="1 2"/>');
+            });
+
+            it('should write colors in their shortest form', function () {
+                [
+                    ["#FF0000", "red"], ["#d2b48c", "tan"], ["rgb(0 0 255)", "#00f"], ["#ffffff", "#fff"],
+                    ["#800000", "maroon"], ["#123456", "#123456"], ["#aabbcd", "#aabbcd"], ["lightgoldenrodyellow",
+                    "#fafad2"], ["rgb(0 0 0 / 0)", "rgba(0,0,0,0)"]
+                ].forEach(function (c) {
+                    var markup = document.stringify(document.parse('<svg fill="' + c[0] + '"/>').o);
+                    assert.equal(markup, '<svg fill="' + c[1] + '"/>', c[0]);
+                });
+            });
+
+            it('should format paints', function () {
+                var tree = document.parse('<svg fill="URL( &quot;#a b&quot; )  Red" stroke="url(#b)none">'
+                    + '<a fill="Context-Fill" stroke="NONE"/><b fill="url(\'#c\') currentColor"/></svg>').o;
+                var markup = document.stringify(tree);
+                assert.equal(markup, '<svg fill="url(&quot;#a b&quot;) red" stroke="url(#b) none">'
+                    + '<a fill="context-fill" stroke="none"/><b fill="url(#c) currentColor"/></svg>');
+                assert.equal(document.stringify(document.parse(markup).o), markup);
+            });
+
+            it('should keep significant whitespace', function () {
+                var markup = '<svg><g xml:space="preserve"> <a/> </g><text> <tspan>a</tspan> </text>'
+                    + '<g>\n  <b/>\n</g></svg>';
+                assert.equal(document.stringify(document.parse(markup).o, {pretty: true}), '<svg>\n'
+                    + '  <g xml:space="preserve"> <a/> </g>\n  <text> <tspan>a</tspan> </text>\n'
+                    + '  <g>\n    <b/>\n  </g>\n</svg>\n');
+            });
+
+            it('should give the same tree when parsing its output', function () {
+                var tree = document.parse(src).o;
+                [{}, {pretty: true}].forEach(function (options) {
+                    var markup = document.stringify(tree, options);
+                    assert.equal(document.stringify(document.parse(markup).o, options), markup);
+                });
+            });
+        });
+
+        describe('resolve', function () {
+            var tree = document.parse('<svg xmlns="' + SVG + '" xmlns:xlink="http://www.w3.org/1999/xlink"><defs>'
+                + '<linearGradient id="base" x1="1" x2="2" spreadMethod="reflect"><stop offset="0"/>'
+                + '<stop offset="1"/></linearGradient>'
+                + '<radialGradient id="radial" xlink:href="#base" cx="5" gradientUnits="userSpaceOnUse"/>'
+                + '<linearGradient id="derived" href="#radial" x2="3" r="1"/>'
+                + '<linearGradient id="own" href="#base"><stop offset=".5"/></linearGradient>'
+                + '<linearGradient id="dangling" href="#missing" x1="4"/>'
+                + '<linearGradient id="c1" href="#c2"/><linearGradient id="c2" href="#c1"/>'
+                + '<pattern id="p" href="#base" width="10"><rect/></pattern>'
+                + '<pattern id="q" href="#p" height="5"/>'
+                + '</defs><rect id="r"/></svg>').o;
+
+            it('should resolve references to paint servers', function () {
+                var r = document.resolve(tree, content.parse.paint("url(#base) red"));
+                assert.equal(r.error, null);
+                assert.equal(r.element.attributes.id, "base");
+                assert.equal(r.children.length, 2);
+                assert.equal(document.resolve(tree, "#base").element, r.element);
+                assert.equal(document.resolve(tree, {type: "url", url: "#p", fallback: null}).element.name, "pattern");
+            });
+
+            it('should inherit attributes and content through href chains', function () {
+                var r = document.resolve(tree, "#derived");
+                assert.equal(r.error, null);
+                assert.deepEqual(r.chain.map(function (e) {
+                    return e.attributes.id;
+                }), ["derived", "radial", "base"]);
+                assert.deepEqual(Object.keys(r.attributes).sort(),
+                    ["gradientUnits", "href", "id", "r", "spreadMethod", "x1", "x2"]);
+                assert.deepEqual(r.attributes.x2.o, {value: 3, unit: ""});
+                assert.deepEqual(r.attributes.x1.o, {value: 1, unit: ""});
+                assert.equal(r.attributes.gradientUnits, "userSpaceOnUse");
+                assert.equal(r.children.length, 2);
+                assert.equal(document.resolve(tree, "#own").children.length, 1);
+
+                var q = document.resolve(tree, "#q");
+                assert.equal(q.chain.length, 2);
+                assert.equal(q.attributes.width.o.value, 10);
+                assert.equal(q.children[0].name, "rect");
+            });
+
+            it('should report dangling, circular and invalid references', function () {
+                [
+                    ["#missing", null, 0],
+                    ["#r", null, 0],
+                    ["other.svg#base", null, 0],
+                    [null, null, 0],
+                    ["#dangling", "dangling", 1],
+                    ["#c1", "c1", 2],
+                    ["#p", "p", 1]
+                ].forEach(function (c) {
+                    var r = document.resolve(tree, c[0]);
+                    assert.equal(typeof r.error, "string", c[0]);
+                    assert.equal(r.element && r.element.attributes.id, c[1], c[0]);
+                    assert.equal(r.chain.length, c[2], c[0]);
+                });
+                assert.equal(document.resolve(tree, "#dangling").attributes.x1.o.value, 4);
+            });
+        });
+    });
+});
@@ -0,0 +1,126 @@
+var assert = require('assert');
+var core = require('../src/core').core;
+var document = require('../src/document').document;
+var generate = require('../src/generate').generate;
+
+var LAPS = 100;
+
+function elements(node, list) {
+    (node.children || []).forEach(function (child) {
+        if (child.type === "element") {
+            list.push(child);
+            elements(child, list);
+        }
+    });
+    return list;
+}
+
+function groupDepth(node) {
+    return Math.max.apply(null, [0].concat(node.children.filter(function (child) {
+        return child.type === "element";
+    }).map(function (child) {
+        return groupDepth(child) + (child.name === "g" ? 1 : 0);
+    })));
+}
+
+describe('svgparse', function() {
+    describe('generate', function() {
+        describe('document', function () {
+            it('should return valid markup along with its tree', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var r = generate.document({pretty: lap % 2 === 0});
+                    var p = document.parse(r.s);
+                    assert.equal(p.error, undefined, r.s);
+                    assert.deepEqual(p.o, r.o);
+                    assert.equal(r.o.children[0].name, "svg");
+                }
+            });
+
+            it('should respect size, depth and element mix', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var size = core.int(0, 30);
+                    var depth = core.int(0, 4);
+                    var r = generate.document({size: size, depth: depth});
+                    var list = elements(r.o, []).filter(function (e) {
+                        return ["svg", "defs", "stop"].indexOf(e.name) === -1;
+                    });
+                    assert.equal(list.length, size);
+                    assert.equal(groupDepth(r.o.children[0]) <= depth, true);
+                }
+                var only = {};
+                ["g", "circle", "ellipse", "line", "polyline", "polygon", "path", "use", "linearGradient",
+                    "radialGradient"].forEach(function (name) {
+                    only[name] = 0;
+                });
+                elements(generate.document({size: 20, elements: only}).o.children[0], []).forEach(function (e) {
+                    assert.equal(e.name, "rect");
+                });
+            });
+
+            it('should generate all elements and typed attributes', function () {
+                var seen = {};
+                for (var lap = 0; lap < LAPS / 10; lap++) {
+                    elements(generate.document({size: 50}).o, []).forEach(function (e) {
+                        seen[e.name] = true;
+                        Object.keys(e.attributes).forEach(function (name) {
+                            if (typeof e.attributes[name] !== "string")
+                                seen.typed = true;
+                        });
+                    });
+                }
+                assert.deepEqual(Object.keys(seen).sort(), ["circle", "defs", "ellipse", "g", "line", "linearGradient",
+                    "path", "polygon", "polyline", "radialGradient", "rect", "stop", "svg", "typed", "use"]);
+            });
+
+            it('should reference existing elements without cycles', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var list = elements(generate.document({size: 30, elements: {use: 5}}).o, []);
+                    var byId = {};
+                    list.forEach(function (e) {
+                        if (e.attributes.id)
+                            byId[e.attributes.id] = e;
+                    });
+                    var visit = function (e, path) {
+                        assert.equal(path.indexOf(e), -1, "circular reference");
+                        var href = e.attributes.href || e.attributes["xlink:href"];
+                        var next = e.children.filter(function (child) {
+                            return child.type === "element";
+                        });
+                        if (e.name === "use") {
+                            assert.notEqual(byId[href.slice(1)], undefined);
+                            next.push(byId[href.slice(1)]);
+                        }
+                        next.forEach(function (child) {
+                            visit(child, path.concat([e]));
+                        });
+                    };
+                    visit(list[0], []);
+                }
+            });
+
+            it('should reference existing gradients in paints', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var tree = generate.document({size: 20}).o;
+                    elements(tree, []).forEach(function (e) {
+                        ["fill", "stroke"].forEach(function (name) {
+                            var paint = e.attributes[name];
+                            if (paint !== undefined && paint.o.type === "url") {
+                                var r = document.resolve(tree, paint);
+                                assert.equal(r.error, null);
+                                assert.equal(/Gradient$/.test(r.element.name), true);
+                            }
+                        });
+                    });
+                }
+            });
+
+            it('should be reproducible with a seed', function () {
+                core.seed(42);
+                var a = generate.document().s;
+                core.seed(42);
+                assert.equal(generate.document().s, a);
+                core.withRng();
+            });
+        });
+    });
+});
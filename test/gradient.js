@@ -0,0 +1,209 @@
+var assert = require('assert');
+var transform = require('../src/transform').transform;
+var document = require('../src/document').document;
+var gradient = require('../src/gradient').gradient;
+var generate = require('../src/generate').generate;
+
+var LAPS = 100;
+var SVG = "http://www.w3.org/2000/svg";
+
+function parseTree(defs) {
+    return document.parse('<svg xmlns="' + SVG + '"><defs>' + defs + '</defs><rect id="r"/></svg>').o;
+}
+
+function closeColor(c1, c2) {
+    return ["r", "g", "b", "a"].every(function (k) {
+        return Math.abs(c1[k] - c2[k]) < 1e-9;
+    });
+}
+
+describe('svgparse', function() {
+    describe('gradient', function() {
+        describe('parse', function () {
+            it('should use the initial values of the attributes', function () {
+                var tree = parseTree('<linearGradient id="l"/><radialGradient id="r" cx="20%"/>');
+                var l = gradient.parse(tree, "#l").o;
+                assert.equal(l.type, "linearGradient");
+                assert.equal(l.units, "objectBoundingBox");
+                assert.equal(l.spreadMethod, "pad");
+                assert.deepEqual(l.transform, transform.identity());
+                assert.deepEqual([l.x1, l.y1, l.x2, l.y2], [0, 0, 1, 0]);
+                assert.deepEqual(l.stops, []);
+                var r = gradient.parse(tree, "#r").o;
+                assert.deepEqual([r.cx, r.cy, r.r, r.fx, r.fy, r.fr], [0.2, 0.5, 0.5, 0.2, 0.5, 0]);
+            });
+
+            it('should parse units, transform, spread method and coordinates', function () {
+                var tree = parseTree('<radialGradient id="g" gradientUnits=" userSpaceOnUse" spreadMethod="repeat" '
+                    + 'gradientTransform="translate(10 20) scale(2)" cx="10%" cy="50%" r="2em" fx="1in" fr="-1"/>'
+                    + '<linearGradient id="i" gradientUnits="foo" spreadMethod="Pad" gradientTransform="rotate("/>');
+                var g = gradient.parse(tree, "#g", {viewport: {width: 200, height: 100}, fontSize: 10}).o;
+                assert.equal(g.units, "userSpaceOnUse");
+                assert.equal(g.spreadMethod, "repeat");
+                assert.deepEqual(g.transform, transform.Matrix(2, 0, 0, 2, 10, 20));
+                assert.deepEqual([g.cx, g.cy, g.r, g.fx, g.fy, g.fr], [20, 50, 20, 96, 50, 0]);
+                var i = gradient.parse(tree, "#i").o;
+                assert.equal(i.units, "objectBoundingBox");
+                assert.equal(i.spreadMethod, "pad");
+                assert.deepEqual(i.transform, transform.identity());
+            });
+
+            it('should clamp and sort the offsets of the stops', function () {
+                var tree = parseTree('<linearGradient id="g"><stop offset="-1"/><stop offset="40%"/>'
+                    + '<stop offset="0.2"/><stop offset=" 1.5 "/><stop/><stop offset="foo"/><stop offset="50 %"/>'
+                    + '</linearGradient>');
+                assert.deepEqual(gradient.parse(tree, "#g").o.stops.map(function (s) {
+                    return s.offset;
+                }), [0, 0.4, 0.4, 1, 1, 1, 1]);
+            });
+
+            it('should type the colors and opacities of the stops', function () {
+                var tree = parseTree('<linearGradient id="g"><stop/>'
+                    + '<stop stop-color="#f00" stop-opacity="0.5"/>'
+                    + '<stop stop-color="rgb(0 0 255 / 50%)" style="stop-opacity: .5"/>'
+                    + '<stop stop-color="red" style="stop-color: lime; stop-opacity: foo"/>'
+                    + '<stop stop-color="currentColor" color="blue"/>'
+                    + '<stop stop-color="currentColor"/>'
+                    + '<stop stop-color="foo" stop-opacity="2"/></linearGradient>');
+                var colors = gradient.parse(tree, "#g", {color: {r: 1, g: 2, b: 3, a: 1}}).o.stops.map(function (s) {
+                    return s.color;
+                });
+                assert.deepEqual(colors, [
+                    {r: 0, g: 0, b: 0, a: 1},
+                    {r: 255, g: 0, b: 0, a: 0.5},
+                    {r: 0, g: 0, b: 255, a: 0.25},
+                    {r: 0, g: 255, b: 0, a: 1},
+                    {r: 0, g: 0, b: 255, a: 1},
+                    {r: 1, g: 2, b: 3, a: 1},
+                    {r: 0, g: 0, b: 0, a: 1}
+                ]);
+            });
+
+            it('should inherit attributes and stops through href', function () {
+                var tree = parseTree('<linearGradient id="base" spreadMethod="reflect" x1="0.5">'
+                    + '<stop offset="0" stop-color="red"/><stop offset="1" stop-color="blue"/></linearGradient>'
+                    + '<radialGradient id="g" href="#base" r="0.25"/>');
+                var g = gradient.parse(tree, "#g").o;
+                assert.equal(g.type, "radialGradient");
+                assert.equal(g.spreadMethod, "reflect");
+                assert.equal(g.r, 0.25);
+                assert.equal(g.x1, undefined);
+                assert.equal(g.stops.length, 2);
+            });
+
+            it('should report errors', function () {
+                var tree = parseTree('<linearGradient id="g"/><pattern id="p"/>');
+                ["#missing", "#r", "#p", "other.svg#g", null].forEach(function (reference) {
+                    var p = gradient.parse(tree, reference);
+                    assert.notEqual(p.error, undefined, reference);
+                    assert.equal(p.position, 0);
+                });
+            });
+
+            it('should parse random gradients', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var tree = generate.document({size: 5, elements: {linearGradient: 5, radialGradient: 5}}).o;
+                    var defs = tree.children[0].children[0];
+                    if (defs === undefined || defs.name !== "defs")
+                        continue;
+                    defs.children.forEach(function (g) {
+                        var p = gradient.parse(tree, "#" + g.attributes.id);
+                        assert.equal(p.error, undefined);
+                        p.o.stops.forEach(function (s, i) {
+                            assert(s.offset >= 0 && s.offset <= 1);
+                            assert(i === 0 || s.offset >= p.o.stops[i - 1].offset);
+                            assert(s.color.a >= 0 && s.color.a <= 1);
+                        });
+                    });
+                }
+            });
+        });
+
+        describe('colorAt', function () {
+            var tree = parseTree('<linearGradient id="g"><stop offset="0.2" stop-color="red"/>'
+                + '<stop offset="0.6" stop-color="blue" stop-opacity="0"/><stop offset="0.6" stop-color="lime"/>'
+                + '</linearGradient><linearGradient id="empty"/>'
+                + '<linearGradient id="single"><stop offset="0.5" stop-color="red"/></linearGradient>');
+            var model = gradient.parse(tree, "#g").o;
+
+            it('should interpolate the colors of the stops', function () {
+                assert.deepEqual(gradient.colorAt(model, 0), {r: 255, g: 0, b: 0, a: 1});
+                assert.deepEqual(gradient.colorAt(model, 0.2), {r: 255, g: 0, b: 0, a: 1});
+                assert(closeColor(gradient.colorAt(model, 0.3), {r: 191.25, g: 0, b: 63.75, a: 0.75}));
+                assert.deepEqual(gradient.colorAt(model, 0.6), {r: 0, g: 255, b: 0, a: 1});
+                assert.deepEqual(gradient.colorAt(model, 1), {r: 0, g: 255, b: 0, a: 1});
+            });
+
+            it('should apply the spread method', function () {
+                var at = function (spreadMethod, t) {
+                    return gradient.colorAt({stops: model.stops, spreadMethod: spreadMethod}, t);
+                };
+                assert.deepEqual(at("pad", -1), at("pad", 0));
+                assert.deepEqual(at("pad", 2.3), at("pad", 1));
+                assert(closeColor(at("reflect", 1.7), at("reflect", 0.3)));
+                assert(closeColor(at("reflect", -0.3), at("reflect", 0.3)));
+                assert(closeColor(at("repeat", 1.3), at("repeat", 0.3)));
+                assert(closeColor(at("repeat", -0.7), at("repeat", 0.3)));
+            });
+
+            it('should handle gradients with fewer than two stops', function () {
+                assert.equal(gradient.colorAt(gradient.parse(tree, "#empty").o, 0.5), null);
+                assert.deepEqual(gradient.colorAt(gradient.parse(tree, "#single").o, 0),
+                    {r: 255, g: 0, b: 0, a: 1});
+            });
+        });
+
+        describe('sample', function () {
+            var tree = parseTree('<linearGradient id="l"><stop offset="0" stop-color="black"/>'
+                + '<stop offset="1" stop-color="white"/></linearGradient>'
+                + '<linearGradient id="u" href="#l" gradientUnits="userSpaceOnUse" x1="10" x2="10" y1="0" y2="20"/>'
+                + '<linearGradient id="t" href="#l" gradientTransform="rotate(90)"/>'
+                + '<linearGradient id="z" href="#l" x2="0"/>'
+                + '<radialGradient id="r" href="#l"/>'
+                + '<radialGradient id="f" href="#l" fx="0.25" fr="0.1"/>'
+                + '<radialGradient id="o" href="#l" r="0.1" fx="0.9" fy="0.5"/>'
+                + '<radialGradient id="s" href="#l" gradientTransform="scale(0)"/>');
+            var bbox = {x: 10, y: 20, width: 100, height: 50};
+            var gray = function (model, point, box) {
+                var c = gradient.sample(model, point, box);
+                return c === null ? null : Math.round(c.r / 255 * 1e9) / 1e9;
+            };
+
+            it('should sample linear gradients', function () {
+                var l = gradient.parse(tree, "#l").o;
+                assert.equal(gray(l, {x: 10, y: 0}, bbox), 0);
+                assert.equal(gray(l, {x: 35, y: 100}, bbox), 0.25);
+                assert.equal(gray(l, {x: 200, y: 20}, bbox), 1);
+                var u = gradient.parse(tree, "#u").o;
+                assert.equal(gray(u, {x: 100, y: 5}), 0.25);
+                var t = gradient.parse(tree, "#t").o;
+                assert.equal(gray(t, {x: 0, y: 45}, bbox), 0.5);
+                var z = gradient.parse(tree, "#z").o;
+                assert.equal(gray(z, {x: 10, y: 20}, bbox), 1);
+            });
+
+            it('should sample radial gradients', function () {
+                var r = gradient.parse(tree, "#r").o;
+                assert.equal(gray(r, {x: 60, y: 45}, bbox), 0);
+                assert.equal(gray(r, {x: 85, y: 45}, bbox), 0.5);
+                assert.equal(gray(r, {x: 60, y: 32.5}, bbox), 0.5);
+                assert.equal(gray(r, {x: 200, y: 45}, bbox), 1);
+                var f = gradient.parse(tree, "#f").o;
+                assert.equal(gray(f, {x: 35, y: 45}, bbox), 0);
+                assert.equal(gray(f, {x: 110, y: 45}, bbox), 1);
+                assert.equal(gray(f, {x: 60, y: 45}, bbox), Math.round(0.15 / 0.65 * 1e9) / 1e9);
+                var o = gradient.parse(tree, "#o").o;
+                assert.equal(gradient.sample(o, {x: 60, y: 20}, bbox), null);
+                assert.equal(gradient.sample(o, {x: 105, y: 45}, bbox), null);
+                assert.equal(gray(o, {x: 70, y: 45}, bbox), 1);
+            });
+
+            it('should not paint with degenerate geometry', function () {
+                var l = gradient.parse(tree, "#l").o;
+                assert.equal(gradient.sample(l, {x: 0, y: 0}), null);
+                assert.equal(gradient.sample(l, {x: 0, y: 0}, {x: 0, y: 0, width: 0, height: 10}), null);
+                assert.equal(gradient.sample(gradient.parse(tree, "#s").o, {x: 0, y: 0}, bbox), null);
+            });
+        });
+    });
+});
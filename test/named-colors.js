@@ -0,0 +1,64 @@
+var assert = require('assert');
+var namedColors = require('../src/named-colors').namedColors;
+
+describe('svgparse', function() {
+    describe('namedColors', function() {
+        describe('names', function () {
+            it('should return all CSS color keywords in alphabetical order', function () {
+                var names = namedColors.names();
+                assert.equal(names.length, 148);
+                assert.deepEqual(names.slice().sort(), names);
+                assert.equal(true, names.indexOf('rebeccapurple') > -1);
+            });
+        });
+
+        describe('toRGB', function () {
+            it('should convert color keywords to RGB', function () {
+                assert.deepEqual(namedColors.toRGB('red'), {r: 255, g: 0, b: 0});
+                assert.deepEqual(namedColors.toRGB('CornflowerBlue'), {r: 100, g: 149, b: 237});
+                assert.deepEqual(namedColors.toRGB('grey'), namedColors.toRGB('gray'));
+            });
+
+            it('should return null for unknown keywords', function () {
+                assert.equal(namedColors.toRGB('notacolor'), null);
+                assert.equal(namedColors.toRGB(undefined), null);
+                assert.equal(namedColors.toRGB('hasOwnProperty'), null);
+            });
+        });
+
+        describe('fromRGB', function () {
+            it('should return the keyword of a color', function () {
+                namedColors.names().forEach(function (name) {
+                    var found = namedColors.fromRGB(namedColors.toRGB(name));
+                    assert.equal(true, found === name || namedColors.synonyms(name).indexOf(found) > -1);
+                });
+            });
+
+            it('should return the first keyword of synonyms', function () {
+                assert.equal(namedColors.fromRGB({r: 128, g: 128, b: 128}), 'gray');
+                assert.equal(namedColors.fromRGB({r: 0, g: 255, b: 255}), 'aqua');
+            });
+
+            it('should return null for colors without keyword', function () {
+                assert.equal(namedColors.fromRGB({r: 1, g: 2, b: 3}), null);
+            });
+        });
+
+        describe('nearest', function () {
+            it('should return the closest keyword', function () {
+                assert.equal(namedColors.nearest({r: 254, g: 1, b: 0}), 'red');
+                assert.equal(namedColors.nearest({r: 1, g: 2, b: 3}), 'black');
+                assert.equal(namedColors.nearest({r: 255, g: 255, b: 255}), 'white');
+            });
+        });
+
+        describe('synonyms', function () {
+            it('should list the keywords of the same color', function () {
+                assert.deepEqual(namedColors.synonyms('gray'), ['grey']);
+                assert.deepEqual(namedColors.synonyms('Magenta'), ['fuchsia']);
+                assert.deepEqual(namedColors.synonyms('red'), []);
+                assert.deepEqual(namedColors.synonyms('notacolor'), []);
+            });
+        });
+    });
+});
@@ -0,0 +1,265 @@
+var assert = require('assert');
+var content = require('../src/content').content;
+var path = require('../src/path').path;
+
+var LAPS = 1000;
+
+function codes(r) {
+    return (r.o || r).map(function (c) {
+        return c.code;
+    }).join("");
+}
+
+function close(a, b, eps) {
+    return Math.abs(a - b) <= (eps || 1e-9) * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+function closeBox(a, b, eps) {
+    var scale = Math.max(1, Math.abs(a.x), Math.abs(a.y), a.width, a.height);
+    return ["x", "y", "width", "height"].every(function (k) {
+        return Math.abs(a[k] - b[k]) <= (eps || 1e-9) * scale;
+    });
+}
+
+describe('svgparse', function() {
+    describe('path', function() {
+        describe('parse', function () {
+            it('should parse all commands in absolute and relative forms', function () {
+                var r = path.parse("M0 0L1 2H3V4C1 2 3 4 5 6S1 2 3 4Q1 2 3 4T1 2A1 2 3 0 1 4 5Z"
+                    + "m0 0l1 2h3v4c1 2 3 4 5 6s1 2 3 4q1 2 3 4t1 2a1 2 3 0 1 4 5z");
+                assert.equal(r.error, undefined);
+                assert.equal(codes(r), "MLHVCSQTAZmlhvcsqtaz");
+                assert.deepEqual(r.o[4], {code: "C", relative: false, x1: 1, y1: 2, x2: 3, y2: 4, x: 5, y: 6});
+                assert.deepEqual(r.o[18], {
+                    code: "a", relative: true, rx: 1, ry: 2, xAxisRotation: 3, largeArc: false, sweep: true, x: 4, y: 5
+                });
+                assert.deepEqual(r.o[19], {code: "z", relative: true});
+            });
+
+            it('should parse implicitly repeated commands', function () {
+                assert.equal(codes(path.parse("M0 0 1 1 2 2")), "MLL");
+                assert.equal(codes(path.parse("m0 0 1 1 2 2")), "mll");
+                assert.equal(codes(path.parse("M0 0L1 1 2 2 3 3")), "MLLL");
+                assert.equal(codes(path.parse("M0 0h1 2 3")), "Mhhh");
+                assert.equal(codes(path.parse("M0 0c1 2 3 4 5 6 1 2 3 4 5 6")), "Mcc");
+            });
+
+            it('should parse compact numbers', function () {
+                assert.deepEqual(path.parse("M1.5.5").o[0], {code: "M", relative: false, x: 1.5, y: 0.5});
+                assert.deepEqual(path.parse("M-1-2").o[0], {code: "M", relative: false, x: -1, y: -2});
+                assert.deepEqual(path.parse("M1e2-1E-1").o[0], {code: "M", relative: false, x: 100, y: -0.1});
+                assert.deepEqual(path.parse("M1.,+.5").o[0], {code: "M", relative: false, x: 1, y: 0.5});
+            });
+
+            it('should parse arc flags without separators', function () {
+                var r = path.parse("M0 0a25 25 -30 0110 20");
+                assert.deepEqual(r.o[1], {
+                    code: "a", relative: true, rx: 25, ry: 25, xAxisRotation: -30, largeArc: false, sweep: true,
+                    x: 10, y: 20
+                });
+                assert.deepEqual(path.parse("M0 0A1,1,0,1,0,2,2").o[1].largeArc, true);
+            });
+
+            it('should accept any whitespace and commas between parameters and sets', function () {
+                var r = path.parse(" \n M 0\t0 , 1\r\n1\fL2,2 , 3 3 z ");
+                assert.equal(r.error, undefined);
+                assert.equal(codes(r), "MLLLz");
+                assert.equal(r.s, "M 0\t0 , 1\r\n1\fL2,2 , 3 3 z");
+            });
+
+            it('should parse empty path data', function () {
+                assert.deepEqual(path.parse(""), {o: [], s: ""});
+                assert.deepEqual(path.parse("  "), {o: [], s: ""});
+            });
+
+            it('should return an error with the position and the commands before the error', function () {
+                [
+                    ["L0 0", 0, 0],
+                    ["M0", 2, 0],
+                    ["M0 0L", 5, 1],
+                    ["M0 0 Z 1 2", 7, 2],
+                    ["M0 0,", 5, 1],
+                    ["M0 0, L1 1", 6, 1],
+                    ["M0 0z,", 5, 2],
+                    ["M0 0A1 1 0 2 0 1 1", 11, 1],
+                    ["M0 0 L1 x", 8, 1],
+                    ["M1e 2", 2, 0],
+                    ["M0 0 X1 1", 5, 1],
+                    ["M..5 0", 1, 0]
+                ].forEach(function (c) {
+                    var r = path.parse(c[0]);
+                    assert.equal(typeof r.error, "string", c[0]);
+                    assert.equal(r.position, c[1], c[0]);
+                    assert.equal(r.o.length, c[2], c[0]);
+                });
+            });
+        });
+
+        describe('parsePoints', function () {
+            it('should parse coordinate pairs with any separators and compact numbers', function () {
+                var r = path.parsePoints(" 1,2 3 4\n-5-6 , .5.5 1e1,-2E-1 ");
+                assert.equal(r.error, undefined);
+                assert.deepEqual(r.o, [{x: 1, y: 2}, {x: 3, y: 4}, {x: -5, y: -6}, {x: 0.5, y: 0.5},
+                    {x: 10, y: -0.2}]);
+                assert.equal(r.s, "1,2 3 4\n-5-6 , .5.5 1e1,-2E-1");
+                assert.deepEqual(path.parsePoints("").o, []);
+                assert.deepEqual(path.parsePoints("  "), {o: [], s: ""});
+            });
+
+            it('should parse random point lists', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var r = content.points();
+                    var p = path.parsePoints(r.s);
+                    assert.equal(p.error, undefined, r.s);
+                    assert.deepEqual(p.o, r.o, r.s);
+                }
+            });
+
+            it('should report errors with the points before them', function () {
+                [
+                    [null, 0, 0],
+                    ["1 2 3", 5, 1],
+                    ["1 2,", 4, 1],
+                    [",1 2", 0, 0],
+                    ["1 2 3,,4", 6, 1],
+                    ["1 2 x 4", 4, 1]
+                ].forEach(function (c) {
+                    var r = path.parsePoints(c[0]);
+                    assert.equal(typeof r.error, "string", c[0]);
+                    assert.equal(r.position, c[1], c[0]);
+                    assert.equal(r.o.length, c[2], c[0]);
+                });
+            });
+        });
+
+        describe('absolutize', function () {
+            it('should convert relative commands to absolute', function () {
+                assert.equal(path.stringify(path.absolutize(path.parse("m10 10l5 5h5v5c1 1 2 2 3 3s1 1 2 2q1 1 2 2"
+                    + "t1 1a1 2 3 0 1 4 5zm1 1").o)),
+                    "M10 10 15 15H20V20C21 21 22 22 23 23S24 24 25 25Q26 26 27 27T28 28A1 2 3 0132 33ZM11 11");
+            });
+
+            it('should keep the shape of the path', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var commands = content.pathData({weights: {extreme: 0}}).o;
+                    var abs = path.absolutize(commands);
+                    assert.equal(true, abs.every(function (c) {
+                        return !c.relative && c.code === c.code.toUpperCase();
+                    }));
+                    assert.equal(true, closeBox(path.bbox(abs), path.bbox(commands)));
+                }
+            });
+        });
+
+        describe('normalize', function () {
+            it('should expand shorthands', function () {
+                var r = path.normalize(path.parse("M0 0H10V10S20 20 30 30T40 40").o);
+                assert.equal(codes(r), "MLLCQ");
+                assert.deepEqual(r[3], {code: "C", relative: false, x1: 10, y1: 10, x2: 20, y2: 20, x: 30, y: 30});
+                assert.deepEqual(r[4], {code: "Q", relative: false, x1: 30, y1: 30, x: 40, y: 40});
+            });
+
+            it('should reflect the control points of the previous curve', function () {
+                var r = path.normalize(path.parse("M0 0C0 10 10 10 10 0S20 -10 20 0Q25 10 30 0T40 0").o);
+                assert.deepEqual(r[2], {code: "C", relative: false, x1: 10, y1: -10, x2: 20, y2: -10, x: 20, y: 0});
+                assert.deepEqual(r[4], {code: "Q", relative: false, x1: 35, y1: -10, x: 40, y: 0});
+            });
+        });
+
+        describe('toCubics', function () {
+            it('should convert quadratics and arcs to cubics', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var commands = content.pathData({weights: {extreme: 0, exponent: 0}}).o;
+                    var cubics = path.toCubics(commands);
+                    assert.equal(true, /^M[MLCZ]*$/.test(codes(cubics)));
+                    assert.equal(true, closeBox(path.bbox(cubics), path.bbox(commands), 1e-3));
+                }
+            });
+
+            it('should convert quadratics exactly', function () {
+                var commands = path.parse("M0 0Q30 60 60 0").o;
+                assert.deepEqual(path.toCubics(commands)[1], {
+                    code: "C", relative: false, x1: 20, y1: 40, x2: 40, y2: 40, x: 60, y: 0
+                });
+            });
+
+            it('should handle degenerate arcs', function () {
+                assert.equal(codes(path.toCubics(path.parse("M0 0A0 10 0 0 1 10 10").o)), "ML");
+                assert.equal(codes(path.toCubics(path.parse("M0 0A10 10 0 0 1 0 0").o)), "M");
+                assert.equal(codes(path.toCubics(path.parse("M0 0A10 10 0 1 1 0 1").o)), "MCCCC");
+            });
+        });
+
+        describe('stringify', function () {
+            it('should write the shortest path data', function () {
+                assert.equal(path.stringify(path.parse("M 0.5 -0.5 L 1 2 L 3 4 a 1 1 0 0 1 0.5 0.5 z m 1 1 l 2 2").o),
+                    "M.5-.5 1 2 3 4a1 1 0 01.5.5zm1 1 2 2");
+            });
+
+            it('should round numbers to the given precision', function () {
+                assert.equal(path.stringify(path.parse("M0.123456 1.98765L-0.00001 2").o, {precision: 2}),
+                    "M.12 1.99 0 2");
+            });
+
+            it('should write numbers in exponent notation when it is shorter', function () {
+                assert.equal(path.stringify(path.parse("M1000000 0.000001L1500 -0.0000125").o),
+                    "M1e6 1e-6 1500-1.25e-5");
+            });
+
+            it('should write path data that parses to the same commands', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var commands = content.pathData().o;
+                    var d = path.stringify(commands);
+                    assert.deepEqual(path.parse(d).o, commands, d);
+                }
+            });
+        });
+
+        describe('bbox', function () {
+            it('should return the bounding box of lines', function () {
+                assert.deepEqual(path.bbox(path.parse("M10 10h10v10h-10z").o), {x: 10, y: 10, width: 10, height: 10});
+            });
+
+            it('should handle paths with more points than the argument limit', function () {
+                var commands = [{code: "M", relative: false, x: 0, y: 0}];
+                for (var i = 1; i < 300000; i++)
+                    commands.push({code: "L", relative: false, x: i % 1000, y: -i});
+                assert.deepEqual(path.bbox(commands), {x: 0, y: -299999, width: 999, height: 299999});
+            });
+
+            it('should include the extrema of curves', function () {
+                assert.equal(true, closeBox(path.bbox(path.parse("M0 0C0 40 40 40 40 0").o),
+                    {x: 0, y: 0, width: 40, height: 30}));
+                assert.equal(true, closeBox(path.bbox(path.parse("M0 0Q20 40 40 0").o),
+                    {x: 0, y: 0, width: 40, height: 20}));
+                assert.equal(true, closeBox(path.bbox(path.parse("M0 0A10 10 0 0 1 20 0").o),
+                    {x: 0, y: -10, width: 20, height: 10}));
+                assert.equal(true, closeBox(path.bbox(path.parse("M0 0A10 10 0 1 0 20 0").o),
+                    {x: 0, y: 0, width: 20, height: 10}));
+                assert.equal(true, closeBox(path.bbox(path.parse("M0 0A20 10 90 0 0 0 40").o),
+                    {x: -10, y: 0, width: 10, height: 40}));
+            });
+
+            it('should return null for empty path data', function () {
+                assert.equal(path.bbox([]), null);
+            });
+        });
+
+        describe('length', function () {
+            it('should return the length of lines', function () {
+                assert.equal(path.length(path.parse("M0 0h10v10h-10z").o), 40);
+                assert.equal(path.length(path.parse("M0 0l3 4m10 10l3 4").o), 10);
+            });
+
+            it('should return the length of curves and arcs', function () {
+                assert.equal(true, close(path.length(path.parse("M0 0A10 10 0 0 1 20 0").o), 10 * Math.PI));
+                assert.equal(true, close(path.length(path.parse("M0 0A10 10 0 1 1 0 .000001").o), 20 * Math.PI, 1e-6));
+                assert.equal(true, close(path.length(path.parse("M0 0C1 1 2 2 3 3").o), 3 * Math.sqrt(2)));
+                assert.equal(true, close(path.length(path.parse("M0 0Q1 0 2 0").o), 2));
+                // Arc length of the parabola y = x^2 / 2 between x = 0 and x = 2
+                assert.equal(true, close(path.length(path.parse("M0 0Q1 0 2 2").o),
+                    Math.sqrt(5) + Math.asinh(2) / 2));
+            });
+        });
+    });
+});
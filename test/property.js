@@ -0,0 +1,99 @@
+var assert = require('assert');
+var core = require('../src/core').core;
+var content = require('../src/content').content;
+var property = require('../src/property').property;
+
+describe('svgparse', function() {
+    describe('property', function() {
+        describe('check', function () {
+            it('should be exposed as svgparse.check', function () {
+                assert.equal(require('../src/property').check, property.check);
+            });
+
+            it('should pass when the property holds', function () {
+                var r = property.check(function () {
+                    return content.length();
+                }, function (v) {
+                    return content.parse.length(v.s).error === undefined;
+                }, {runs: 50, seed: 3});
+                assert.deepEqual(r, {passed: true, runs: 50, seed: 3, failure: null});
+            });
+
+            it('should report the failing value with a seed reproducing it', function () {
+                var r = property.check(function () {
+                    return content.number();
+                }, function (v) {
+                    return v.o >= 0;
+                }, {seed: 11});
+                assert.equal(r.passed, false);
+                assert.equal(r.failure.value.o < 0, true);
+                assert.equal(r.runs, r.failure.seed - 11 + 1);
+                core.seed(r.failure.seed);
+                assert.deepEqual(content.number(), r.failure.value);
+                core.withRng();
+            });
+
+            it('should treat thrown errors as failures', function () {
+                var r = property.check(function () {
+                    return content.integer();
+                }, function (v) {
+                    assert.equal(v.o % 2, 0, "odd integer");
+                }, {seed: 1});
+                assert.equal(r.passed, false);
+                assert.equal(r.failure.error, "odd integer");
+            });
+
+            it('should shrink failing cases to minimal ones', function () {
+                var r = property.check(function () {
+                    return content.pathData();
+                }, function (v) {
+                    return v.o.length < 5;
+                }, {seed: 1});
+                assert.equal(r.failure.shrunk.o.length, 5);
+                assert.equal(r.failure.shrunk.s.length <= r.failure.value.s.length, true);
+                assert.equal(r.failure.shrinks > 0, true);
+
+                r = property.check(function () {
+                    return content.number();
+                }, function (v) {
+                    return v.s.length < 4;
+                }, {seed: 5});
+                assert.equal(r.failure.shrunk.s.length, 4);
+            });
+
+            it('should respect the shrinking budget', function () {
+                var r = property.check(function () {
+                    return content.pathData();
+                }, function (v) {
+                    return v.o.length < 5;
+                }, {seed: 1, shrinks: 0});
+                assert.equal(r.failure.shrinks, 0);
+                assert.deepEqual(r.failure.shrunk, r.failure.value);
+            });
+
+            it('should be reproducible and restore the random source', function () {
+                var generator = function () {
+                    return content.color();
+                };
+                var predicate = function (v) {
+                    return v.o.currentColor === true || v.o.a > 0.1;
+                };
+                core.seed(7);
+                var rng = core.getRng();
+                var a = property.check(generator, predicate, {seed: 2});
+                assert.equal(core.getRng(), rng);
+                assert.deepEqual(property.check(generator, predicate, {seed: 2}), a);
+                core.withRng();
+            });
+
+            it('should express round trips in a few lines', function () {
+                var r = property.check(function () {
+                    return content.color();
+                }, function (v) {
+                    assert.deepEqual(content.parse.color(v.s).o, v.o);
+                }, {runs: 200});
+                assert.equal(r.passed, true, JSON.stringify(r.failure));
+            });
+        });
+    });
+});
@@ -0,0 +1,244 @@
+var assert = require('assert');
+var style = require('../src/style').style;
+var document = require('../src/document').document;
+
+describe('svgparse', function() {
+    describe('style', function() {
+        describe('value', function () {
+            it('should parse typed properties with the content parsers', function () {
+                assert.deepEqual(style.value("fill", "red"), {o: {type: "color", color: {r: 255, g: 0, b: 0, a: 1}},
+                    s: "red"});
+                assert.deepEqual(style.value("color", "red"), {o: {r: 255, g: 0, b: 0, a: 1}, s: "red"});
+                assert.deepEqual(style.value("stroke-width", "2px"), {o: {value: 2, unit: "px"}, s: "2px"});
+                assert.deepEqual(style.value("opacity", ".5"), {o: 0.5, s: ".5"});
+            });
+
+            it('should keep untyped properties and invalid values as strings', function () {
+                assert.equal(style.value("font-family", "serif"), "serif");
+                assert.equal(style.value("fill", "url(#a"), "url(#a");
+                assert.equal(style.typeOf("fill"), "paint");
+                assert.equal(style.typeOf("stop-color"), "color");
+                assert.equal(style.typeOf("stroke-miterlimit"), "number");
+                assert.equal(style.typeOf("font-family"), null);
+            });
+        });
+
+        describe('parse.declarations', function () {
+            it('should split declarations and type their values', function () {
+                var r = style.parse.declarations("fill: #f00; Stroke-Width:2px ;font-family:serif;");
+                assert.deepEqual(r.o, [
+                    {property: "fill", value: {o: {type: "color", color: {r: 255, g: 0, b: 0, a: 1}}, s: "#f00"},
+                        important: false},
+                    {property: "stroke-width", value: {o: {value: 2, unit: "px"}, s: "2px"}, important: false},
+                    {property: "font-family", value: "serif", important: false}
+                ]);
+            });
+
+            it('should handle !important', function () {
+                var r = style.parse.declarations("fill: red ! IMPORTANT; stroke: blue!important; color: red");
+                assert.deepEqual(r.o.map(function (d) {
+                    return d.important;
+                }), [true, true, false]);
+                assert.equal(r.o[0].value.s, "red");
+            });
+
+            it('should ignore comments and keep strings, escapes and functions intact', function () {
+                var r = style.parse.declarations("/* fill: red; */ opacity: /* a */ .5 /* b */;"
+                    + "font-family: \"a;b\\\"/*c*/\"; content: 'x\\'y'; background: url(data:a;b); mask: a\\;b");
+                assert.deepEqual(r.o.map(function (d) {
+                    return [d.property, typeof d.value === "string" ? d.value : d.value.o];
+                }), [
+                    ["opacity", 0.5],
+                    ["font-family", "\"a;b\\\"/*c*/\""],
+                    ["content", "'x\\'y'"],
+                    ["background", "url(data:a;b)"],
+                    ["mask", "a\\;b"]
+                ]);
+            });
+
+            it('should skip invalid declarations', function () {
+                var r = style.parse.declarations("fill; : red; 1x: 2; stroke:; color: red; --custom-Prop: ; ;");
+                assert.deepEqual(r.o.map(function (d) {
+                    return d.property;
+                }), ["color", "--custom-Prop"]);
+                assert.deepEqual(style.parse.declarations("").o, []);
+                assert.notEqual(style.parse.declarations(null).error, undefined);
+            });
+        });
+
+        describe('parse.selector', function () {
+            it('should parse simple selectors with their specificity', function () {
+                [
+                    ["rect", {type: "rect", ids: [], classes: [], specificity: [0, 0, 1]}],
+                    ["*", {type: null, ids: [], classes: [], specificity: [0, 0, 0]}],
+                    [".a.b", {type: null, ids: [], classes: ["a", "b"], specificity: [0, 2, 0]}],
+                    ["#id", {type: null, ids: ["id"], classes: [], specificity: [1, 0, 0]}],
+                    [" circle.a#b ", {type: "circle", ids: ["b"], classes: ["a"], specificity: [1, 1, 1]}]
+                ].forEach(function (t) {
+                    assert.deepEqual(style.parse.selector(t[0]).o, t[1], t[0]);
+                });
+            });
+
+            it('should return an error for unsupported selectors', function () {
+                ["", "g rect", "g>rect", "a:hover", "[x]", ".", "#1", "rect.a#"].forEach(function (s) {
+                    assert.notEqual(style.parse.selector(s).error, undefined, s);
+                });
+            });
+        });
+
+        describe('parse.stylesheet', function () {
+            it('should parse rules', function () {
+                var r = style.parse.stylesheet("rect, .a { fill: red; stroke: blue !important }\n#b{opacity:.5}");
+                assert.equal(r.o.length, 2);
+                assert.deepEqual(r.o[0].selectors.map(function (s) {
+                    return s.s;
+                }), ["rect", ".a"]);
+                assert.deepEqual(r.o[0].declarations.map(function (d) {
+                    return [d.property, d.important];
+                }), [["fill", false], ["stroke", true]]);
+                assert.deepEqual(r.o[1].selectors[0].o.specificity, [1, 0, 0]);
+                assert.equal(r.o[1].declarations[0].value.o, 0.5);
+            });
+
+            it('should skip comments, at-rules and rules with unsupported selectors', function () {
+                var r = style.parse.stylesheet("<!-- @import 'a.css'; /* a { fill: red } */ "
+                    + "@media print { rect { fill: red } } g rect, .a { fill: red } a:hover { fill: red } "
+                    + "@font-face { font-family: x } .b { content: '}' } -->");
+                assert.equal(r.o.length, 1);
+                assert.equal(r.o[0].selectors[0].s, ".b");
+                assert.equal(r.o[0].declarations[0].value, "'}'");
+            });
+
+            it('should accept unclosed blocks at the end', function () {
+                var r = style.parse.stylesheet(".a { fill: red");
+                assert.equal(r.o[0].declarations[0].value.s, "red");
+                assert.deepEqual(style.parse.stylesheet("").o, []);
+            });
+        });
+
+        describe('compute', function () {
+            var RED = {r: 255, g: 0, b: 0, a: 1};
+            var GREEN = {r: 0, g: 128, b: 0, a: 1};
+            var BLUE = {r: 0, g: 0, b: 255, a: 1};
+
+            function computed(markup, options) {
+                return style.compute(document.parse(markup).o, options);
+            }
+
+            it('should be exposed as svgparse.computeStyles', function () {
+                assert.equal(require('../src/style').computeStyles, style.compute);
+            });
+
+            it('should return initial values and mirror the element tree', function () {
+                var c = computed('<svg><g><rect/></g><!-- c --><circle/></svg>');
+                assert.deepEqual([c.name, c.children[0].name, c.children[0].children[0].name, c.children[1].name],
+                    ["svg", "g", "rect", "circle"]);
+                assert.deepEqual(c.style.fill, {r: 0, g: 0, b: 0, a: 1});
+                assert.equal(c.style.stroke, "none");
+                assert.equal(c.style["font-size"], 16);
+                assert.equal(c.style.opacity, 1);
+                assert.strictEqual(c.style["stroke-miterlimit"], 4);
+                assert.equal(style.compute({type: "document", children: []}), null);
+            });
+
+            it('should apply presentation attributes, style rules by specificity and inline style', function () {
+                var c = computed('<svg><style>rect { fill: red; stroke: red } .a { fill: green } '
+                    + '#r { opacity: .5 } rect { stroke: blue }</style>'
+                    + '<rect id="r" class="x a" fill="blue" opacity=".2" stroke-width="3"/>'
+                    + '<rect class="b" fill="blue" style="fill: green; stroke-width: 2"/></svg>');
+                var r1 = c.children[1].style;
+                var r2 = c.children[2].style;
+                assert.deepEqual(r1.fill, GREEN);
+                assert.deepEqual(r1.stroke, BLUE);
+                assert.equal(r1.opacity, 0.5);
+                assert.equal(r1["stroke-width"], 3);
+                assert.deepEqual(r2.fill, GREEN);
+                assert.equal(r2["stroke-width"], 2);
+            });
+
+            it('should let important declarations win', function () {
+                var c = computed('<svg><style>rect { fill: red !important } .a { fill: blue }</style>'
+                    + '<rect class="a" style="fill: green"/><rect style="fill: green !important"/></svg>');
+                assert.deepEqual(c.children[1].style.fill, RED);
+                assert.deepEqual(c.children[2].style.fill, GREEN);
+            });
+
+            it('should inherit inherited properties only', function () {
+                var c = computed('<svg fill="red" opacity=".5" stroke-width="4"><g stroke="blue"><rect/></g></svg>');
+                var rect = c.children[0].children[0].style;
+                assert.deepEqual(rect.fill, RED);
+                assert.deepEqual(rect.stroke, BLUE);
+                assert.equal(rect["stroke-width"], 4);
+                assert.equal(rect.opacity, 1);
+            });
+
+            it('should compute stroke-miterlimit as a number', function () {
+                var c = computed('<svg stroke-miterlimit="10"><rect/><circle stroke-miterlimit="x"/>'
+                    + '<path style="stroke-miterlimit: initial"/></svg>');
+                assert.strictEqual(c.style["stroke-miterlimit"], 10);
+                assert.strictEqual(c.children[0].style["stroke-miterlimit"], 10);
+                assert.strictEqual(c.children[1].style["stroke-miterlimit"], 10);
+                assert.strictEqual(c.children[2].style["stroke-miterlimit"], 4);
+            });
+
+            it('should resolve inherit, initial and unset', function () {
+                var c = computed('<svg fill="red" opacity=".5"><g opacity="inherit" fill="initial">'
+                    + '<rect style="fill: inherit; opacity: unset"/><circle fill="unset"/></g></svg>');
+                var g = c.children[0];
+                assert.equal(g.style.opacity, 0.5);
+                assert.deepEqual(g.style.fill, {r: 0, g: 0, b: 0, a: 1});
+                assert.equal(g.children[0].style.opacity, 1);
+                assert.deepEqual(g.children[0].style.fill, {r: 0, g: 0, b: 0, a: 1});
+                assert.deepEqual(g.children[1].style.fill, {r: 0, g: 0, b: 0, a: 1});
+            });
+
+            it('should resolve currentColor with the color of each element', function () {
+                var c = computed('<svg color="red" fill="currentColor" stroke="currentcolor">'
+                    + '<g color="green"><rect color="inherit"/></g><circle style="color: currentColor"/></svg>');
+                assert.deepEqual(c.style.fill, RED);
+                assert.deepEqual(c.children[0].style.fill, GREEN);
+                assert.deepEqual(c.children[0].children[0].style.stroke, GREEN);
+                assert.deepEqual(c.children[1].style.color, RED);
+            });
+
+            it('should resolve em and % lengths', function () {
+                var c = computed('<svg width="300" height="400" font-size="20px">'
+                    + '<g font-size="150%" stroke-width="10%"><rect font-size="2em" stroke-width="1em"/>'
+                    + '<text font-size="larger"/><text font-size="x-small"/></g></svg>');
+                var g = c.children[0];
+                assert.equal(g.style["font-size"], 30);
+                assert.equal(Math.abs(g.style["stroke-width"] - Math.sqrt((300 * 300 + 400 * 400) / 2) / 10) < 1e-9,
+                    true);
+                assert.equal(g.children[0].style["font-size"], 60);
+                assert.equal(g.children[0].style["stroke-width"], 60);
+                assert.equal(g.children[1].style["font-size"], 36);
+                assert.equal(g.children[2].style["font-size"], 10);
+                var v = computed('<svg stroke-width="10%"/>', {viewport: {width: 100, height: 100}});
+                assert.equal(Math.abs(v.style["stroke-width"] - 10) < 1e-9, true);
+            });
+
+            it('should compute paints', function () {
+                var c = computed('<svg color="red" fill="url(#a) currentColor" stroke="context-stroke">'
+                    + '<g color="blue" style="stroke: url(#b) none"><rect fill="url(#c)" stroke="none"/></g></svg>');
+                assert.deepEqual(c.style.fill, {type: "url", url: "#a", fallback: RED});
+                assert.equal(c.style.stroke, "context-stroke");
+                var g = c.children[0];
+                assert.deepEqual(g.style.fill, {type: "url", url: "#a", fallback: RED});
+                assert.notEqual(g.style.fill, c.style.fill);
+                assert.deepEqual(g.style.stroke, {type: "url", url: "#b", fallback: "none"});
+                assert.deepEqual(g.children[0].style.fill, {type: "url", url: "#c", fallback: null});
+                assert.equal(g.children[0].style.stroke, "none");
+            });
+
+            it('should ignore invalid values', function () {
+                var c = computed('<svg opacity="x" stroke-width="thick" stop-color="none" fill="url(#a) nonsense"'
+                    + ' stroke="nonsense"/>');
+                assert.equal(c.style.opacity, 1);
+                assert.equal(c.style["stroke-width"], 1);
+                assert.deepEqual(c.style["stop-color"], {r: 0, g: 0, b: 0, a: 1});
+                assert.deepEqual(c.style.fill, {r: 0, g: 0, b: 0, a: 1});
+                assert.equal(c.style.stroke, "none");
+            });
+        });
+    });
+});
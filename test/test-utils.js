@@ -85,6 +85,18 @@ var test_utils = {
         return chi2 <= crit;
     },
 
+    /**
+     * Checks if two affine matrices are equal up to a relative tolerance of 1e-9.
+     *
+     * @param m1 First matrix.
+     * @param m2 Second matrix.
+     */
+    close_matrix: function (m1, m2) {
+        return ["a", "b", "c", "d", "e", "f"].every(function (k) {
+            return Math.abs(m1[k] - m2[k]) < 1e-9 * Math.max(1, Math.abs(m1[k]));
+        });
+    },
+
     /**
      * Performs 10 tests and checks if at least 6 was successful.
      *
@@ -0,0 +1,134 @@
+var assert = require('assert');
+var transform = require('../src/transform').transform;
+var utils = require('../test/test-utils').test_uils;
+
+var LAPS = 1000;
+
+describe('svgparse', function() {
+    describe('transform', function() {
+        describe('parse', function () {
+            it('should parse all transform functions', function () {
+                var r = transform.parse("matrix(1 2 3 4 5 6) translate(1,2) scale(3 4) rotate(5 6 7) skewX(8) skewY(9)");
+                assert.deepEqual(r.o, [
+                    {type: "matrix", a: 1, b: 2, c: 3, d: 4, e: 5, f: 6},
+                    {type: "translate", tx: 1, ty: 2},
+                    {type: "scale", sx: 3, sy: 4},
+                    {type: "rotate", angle: 5, cx: 6, cy: 7},
+                    {type: "skewX", angle: 8},
+                    {type: "skewY", angle: 9}
+                ]);
+            });
+
+            it('should fill in omitted optional parameters', function () {
+                assert.deepEqual(transform.parse("translate(5)").o, [{type: "translate", tx: 5, ty: 0}]);
+                assert.deepEqual(transform.parse("scale(2)").o, [{type: "scale", sx: 2, sy: 2}]);
+                assert.deepEqual(transform.parse("rotate(90)").o, [{type: "rotate", angle: 90, cx: 0, cy: 0}]);
+            });
+
+            it('should accept any separators and compact numbers', function () {
+                var r = transform.parse(" \n translate ( -1-2 ) ,scale(.5.5)rotate(1e1,\t2 ,3)\n");
+                assert.deepEqual(r.o, [
+                    {type: "translate", tx: -1, ty: -2},
+                    {type: "scale", sx: 0.5, sy: 0.5},
+                    {type: "rotate", angle: 10, cx: 2, cy: 3}
+                ]);
+                assert.equal(r.s, "translate ( -1-2 ) ,scale(.5.5)rotate(1e1,\t2 ,3)");
+                assert.deepEqual(transform.parse("").o, []);
+                assert.deepEqual(transform.parse("scale(2.,1.e1)").o, [{type: "scale", sx: 2, sy: 10}]);
+            });
+
+            it('should return an error with the position of the invalid character', function () {
+                [
+                    ["foo(1)", 0],
+                    ["Scale(1)", 0],
+                    ["scale 1", 6],
+                    ["scale(1,)", 8],
+                    ["rotate(1 2)", 10],
+                    ["matrix(1 2 3 4 5)", 16],
+                    ["translate(1,2", 13],
+                    ["scale(1),", 9],
+                    ["scale(1) , , scale(1)", 11]
+                ].forEach(function (c) {
+                    var r = transform.parse(c[0]);
+                    assert.equal(typeof r.error, "string", c[0]);
+                    assert.equal(r.position, c[1], c[0]);
+                });
+            });
+        });
+
+        describe('compose', function () {
+            it('should compose operations in SVG order', function () {
+                var m = transform.compose(transform.parse("translate(10 20) scale(2)").o);
+                assert.deepEqual(m, {a: 2, b: 0, c: 0, d: 2, e: 10, f: 20});
+                assert.deepEqual(transform.apply(m, {x: 1, y: 1}), {x: 12, y: 22});
+                assert.deepEqual(transform.compose([]), transform.identity());
+            });
+
+            it('should rotate around the center', function () {
+                var m = transform.compose(transform.parse("rotate(90 10 10)").o);
+                var p = transform.apply(m, {x: 20, y: 10});
+                assert.equal(true, Math.abs(p.x - 10) < 1e-9 && Math.abs(p.y - 20) < 1e-9);
+                assert.equal(true, utils.close_matrix(m,
+                    transform.compose(transform.parse("translate(10 10) rotate(90) translate(-10 -10)").o)));
+            });
+
+            it('should compose skews and matrices', function () {
+                assert.equal(true, utils.close_matrix(transform.compose(transform.parse("skewX(45) skewY(45)").o),
+                    {a: 2, b: 1, c: 1, d: 1, e: 0, f: 0}));
+                assert.deepEqual(transform.compose(transform.parse("matrix(1 2 3 4 5 6) matrix(1 0 0 1 1 1)").o),
+                    {a: 1, b: 2, c: 3, d: 4, e: 9, f: 12});
+            });
+        });
+
+        describe('invert', function () {
+            it('should return the inverse of invertible matrices', function () {
+                assert.deepEqual(transform.invert(transform.Matrix(2, 0, 0, 4, 6, 8)), {a: 0.5, b: 0, c: 0, d: 0.25,
+                    e: -3, f: -2});
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var m = transform.Matrix(Math.random() * 10 - 5, Math.random() * 10 - 5, Math.random() * 10 - 5,
+                        Math.random() * 10 - 5, Math.random() * 10 - 5, Math.random() * 10 - 5);
+                    if (Math.abs(m.a * m.d - m.b * m.c) < 0.1)
+                        continue;
+                    assert.equal(true, utils.close_matrix(transform.multiply(m, transform.invert(m)),
+                        transform.identity()));
+                }
+            });
+
+            it('should return null for singular matrices', function () {
+                assert.equal(transform.invert(transform.Matrix(1, 2, 2, 4, 5, 6)), null);
+                assert.equal(transform.invert(transform.Matrix(0, 0, 0, 0, 0, 0)), null);
+            });
+        });
+
+        describe('decompose', function () {
+            it('should decompose to translate, rotate, skewX and scale', function () {
+                var r = transform.decompose(transform.compose(
+                    transform.parse("translate(5,6) rotate(30) skewX(20) scale(2,3)").o));
+                assert.deepEqual(r.map(function (o) {
+                    return o.type;
+                }), ["translate", "rotate", "skewX", "scale"]);
+                assert.equal(true, Math.abs(r[1].angle - 30) < 1e-9);
+                assert.equal(true, Math.abs(r[2].angle - 20) < 1e-9);
+                assert.equal(true, Math.abs(r[3].sx - 2) < 1e-9 && Math.abs(r[3].sy - 3) < 1e-9);
+            });
+
+            it('should compose back to the same matrix', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var m = transform.Matrix(Math.random() * 10 - 5, Math.random() * 10 - 5, Math.random() * 10 - 5,
+                        Math.random() * 10 - 5, Math.random() * 10 - 5, Math.random() * 10 - 5);
+                    assert.equal(true, utils.close_matrix(transform.compose(transform.decompose(m)), m));
+                }
+            });
+
+            it('should handle degenerate matrices', function () {
+                [
+                    transform.Matrix(0, 0, 1, 2, 3, 4),
+                    transform.Matrix(0, 0, 0, 0, 1, 1),
+                    transform.Matrix(1, 2, 0, 0, 3, 4)
+                ].forEach(function (m) {
+                    assert.equal(true, utils.close_matrix(transform.compose(transform.decompose(m)), m));
+                });
+            });
+        });
+    });
+});
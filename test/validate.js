@@ -0,0 +1,106 @@
+var assert = require('assert');
+var content = require('../src/content').content;
+var validate = require('../src/validate').validate;
+var generate = require('../src/generate').generate;
+
+var LAPS = 100;
+var SVG = "http://www.w3.org/2000/svg";
+
+describe('svgparse', function() {
+    describe('validate', function() {
+        describe('attribute', function () {
+            it('should accept valid values', function () {
+                [
+                    ["width", "10px"], ["fill", "url(#a) red"], ["stop-color", "currentColor"], ["opacity", ".5"],
+                    ["d", "M0 0L1 1"], ["transform", "rotate(45)"], ["points", "0,0 1,1"], ["viewBox", "0 0 1 1"],
+                    ["preserveAspectRatio", "xMinYMax slice"], ["fill", "inherit"], ["font-size", "large"],
+                    ["width", "auto"], ["id", "anything"]
+                ].forEach(function (c) {
+                    assert.equal(validate.attribute(c[0], c[1]), null, c[0] + "=" + c[1]);
+                });
+            });
+
+            it('should report invalid values with the position of the error', function () {
+                [
+                    ["width", "10 px", 3], ["fill", "rde", 0], ["d", "M0 0L1", 6], ["transform", "rotate(45", 9],
+                    ["points", "0,0 1", 5], ["viewBox", "0 0 -1 1", 4], ["font-size", "huge", 0]
+                ].forEach(function (c) {
+                    var error = validate.attribute(c[0], c[1]);
+                    assert.notEqual(error, null, c[0] + "=" + c[1]);
+                    assert.equal(error.position, c[2], c[0] + "=" + c[1]);
+                    assert.equal(error.s, c[1]);
+                });
+            });
+
+            it('should validate attributes depending on the element', function () {
+                assert.equal(validate.attribute("fill", "freeze", "animate"), null);
+                assert.equal(validate.attribute("fill", "remove", "animateTransform"), null);
+                assert.notEqual(validate.attribute("fill", "freeze", "rect"), null);
+                assert.equal(validate.attribute("x", "10 20 30", "text"), null);
+                assert.equal(validate.attribute("dy", "1em, 2px,3", "tspan"), null);
+                assert.equal(validate.attribute("x", "10 20 30", "rect").position, 3);
+                [["10 2O", 4], ["10,,20", 3], [",10", 0], ["10,", 2], ["", 0]].forEach(function (c) {
+                    var error = validate.attribute("y", c[0], "text");
+                    assert.notEqual(error, null, c[0]);
+                    assert.equal(error.position, c[1], c[0]);
+                });
+            });
+
+            it('should report the values generated by the invalid generators', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var s = content.invalid.length().s;
+                    assert.notEqual(validate.attribute("x", s), null, s);
+                }
+            });
+        });
+
+        describe('document', function () {
+            it('should locate the errors of the attributes', function () {
+                var errors = validate.document('<svg xmlns="' + SVG + '">\n'
+                    + '  <rect width="10px" height="1Opx" fill="rde"/>\r\n'
+                    + '<path d="M0 0 L 1" transform="rotate(45" x="inherit"/></svg>');
+                assert.deepEqual(errors.map(function (e) {
+                    return [e.line, e.column, e.element, e.attribute];
+                }), [
+                    [2, 31, "rect", "height"],
+                    [2, 42, "rect", "fill"],
+                    [3, 18, "path", "d"],
+                    [3, 40, "path", "transform"]
+                ]);
+                assert.equal(errors[0].message, "Invalid height attribute on <rect>: Unknown length unit 'Opx'");
+            });
+
+            it('should accept animation fills and text position lists', function () {
+                assert.deepEqual(validate.document('<svg xmlns="' + SVG + '"><rect><animate fill="freeze"/></rect>'
+                    + '<text x="10 20 30">abc</text></svg>'), []);
+            });
+
+            it('should locate the errors through references', function () {
+                var errors = validate.document('<svg xmlns="' + SVG + '">\n'
+                    + '<rect width="1&#x30;&#10;&amp;" height="&#128512;1" x="1\r\n2"/></svg>');
+                assert.deepEqual(errors.map(function (e) {
+                    return [e.line, e.column, e.attribute];
+                }), [[2, 26, "width"], [2, 41, "height"], [3, 1, "x"]]);
+            });
+
+            it('should only validate unprefixed attributes of SVG elements', function () {
+                assert.deepEqual(validate.document('<svg xmlns="' + SVG + '" xmlns:x="urn:x">'
+                    + '<x:rect width="foo"/><rect x:width="foo"/></svg>'), []);
+            });
+
+            it('should report malformed markup', function () {
+                var errors = validate.document('<svg>\n  <g></svg>');
+                assert.equal(errors.length, 1);
+                assert.deepEqual([errors[0].line, errors[0].column], [2, 6]);
+                assert.equal(errors[0].attribute, undefined);
+            });
+
+            it('should accept random documents', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var doc = generate.document();
+                    assert.deepEqual(validate.document(doc.s), [], doc.s);
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,135 @@
+var assert = require('assert');
+var content = require('../src/content').content;
+var transform = require('../src/transform').transform;
+var viewport = require('../src/viewport').viewport;
+var utils = require('../test/test-utils').test_uils;
+
+var LAPS = 1000;
+
+describe('svgparse', function() {
+    describe('viewport', function() {
+        describe('parse.viewBox', function () {
+            it('should parse four numbers with any separators', function () {
+                assert.deepEqual(viewport.parse.viewBox("0 0 100 50").o, {minX: 0, minY: 0, width: 100, height: 50});
+                assert.deepEqual(viewport.parse.viewBox(" -1.5,2e1 ,\t.5\n3 "),
+                    {o: {minX: -1.5, minY: 20, width: 0.5, height: 3}, s: "-1.5,2e1 ,\t.5\n3"});
+                assert.deepEqual(viewport.parse.viewBox("0. 0 1.e2 50.").o, {minX: 0, minY: 0, width: 100, height: 50});
+            });
+
+            it('should parse random viewBoxes', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var r = content.viewBox();
+                    var p = viewport.parse.viewBox(r.s);
+                    assert.equal(p.error, undefined, r.s);
+                    assert.deepEqual(p.o, r.o, r.s);
+                }
+            });
+
+            it('should report errors', function () {
+                [
+                    [null, 0],
+                    ["", 0],
+                    ["0 0 100", 7],
+                    ["0 0 100 50 1", 11],
+                    ["0,,0 100 50", 2],
+                    ["0 0 -100 50", 4],
+                    ["0 0 100 -50", 8],
+                    ["0 0 100px 50", 7]
+                ].forEach(function (c) {
+                    var r = viewport.parse.viewBox(c[0]);
+                    assert.equal(typeof r.error, "string", c[0]);
+                    assert.equal(r.position, c[1], c[0]);
+                });
+            });
+        });
+
+        describe('parse.preserveAspectRatio', function () {
+            it('should parse align with optional meet or slice', function () {
+                assert.deepEqual(viewport.parse.preserveAspectRatio("none").o, {align: "none", meetOrSlice: "meet"});
+                assert.deepEqual(viewport.parse.preserveAspectRatio(" xMinYMax\tslice "),
+                    {o: {align: "xMinYMax", meetOrSlice: "slice"}, s: "xMinYMax\tslice"});
+            });
+
+            it('should parse random values', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var r = content.preserveAspectRatio();
+                    var p = viewport.parse.preserveAspectRatio(r.s);
+                    assert.equal(p.error, undefined, r.s);
+                    assert.deepEqual(p.o, r.o, r.s);
+                }
+            });
+
+            it('should report errors', function () {
+                [
+                    [null, 0],
+                    ["", 0],
+                    ["xmidymid", 0],
+                    ["xMidYMid fit", 9],
+                    ["xMidYMidslice", 0],
+                    ["xMidYMid,slice", 8],
+                    ["xMidYMid meet slice", 14],
+                    ["defer xMidYMid", 0]
+                ].forEach(function (c) {
+                    var r = viewport.parse.preserveAspectRatio(c[0]);
+                    assert.equal(typeof r.error, "string", c[0]);
+                    assert.equal(r.position, c[1], c[0]);
+                });
+            });
+        });
+
+        describe('toMatrix', function () {
+            var box = {minX: 10, minY: 20, width: 100, height: 50};
+            var port = {x: 5, y: 5, width: 400, height: 400};
+
+            it('should scale uniformly and align with meet or slice', function () {
+                [
+                    ["xMinYMin meet", transform.Matrix(4, 0, 0, 4, -35, -75)],
+                    ["xMidYMid meet", transform.Matrix(4, 0, 0, 4, -35, 25)],
+                    ["xMaxYMax meet", transform.Matrix(4, 0, 0, 4, -35, 125)],
+                    ["xMinYMin slice", transform.Matrix(8, 0, 0, 8, -75, -155)],
+                    ["xMidYMid slice", transform.Matrix(8, 0, 0, 8, -275, -155)],
+                    ["xMaxYMid slice", transform.Matrix(8, 0, 0, 8, -475, -155)],
+                    ["none", transform.Matrix(4, 0, 0, 8, -35, -155)]
+                ].forEach(function (c) {
+                    var m = viewport.toMatrix(box, viewport.parse.preserveAspectRatio(c[0]).o, port);
+                    assert.equal(utils.close_matrix(m, c[1]), true, c[0] + ": " + JSON.stringify(m));
+                });
+                assert.deepEqual(viewport.toMatrix(box, null, port), transform.Matrix(4, 0, 0, 4, -35, 25));
+            });
+
+            it('should map the viewBox into the viewport', function () {
+                for (var lap = 0; lap < LAPS; lap++) {
+                    var b = content.viewBox({weights: {extreme: 0, exponent: 0}}).o;
+                    var r = content.preserveAspectRatio().o;
+                    var v = {x: Math.random() * 100, y: Math.random() * 100, width: Math.random() * 500 + 1,
+                        height: Math.random() * 500 + 1};
+                    var m = viewport.toMatrix(b, r, v);
+                    if (b.width === 0 || b.height === 0) {
+                        assert.equal(m, null);
+                        continue;
+                    }
+                    var p1 = transform.apply(m, {x: b.minX, y: b.minY});
+                    var p2 = transform.apply(m, {x: b.minX + b.width, y: b.minY + b.height});
+                    var eps = 1e-6 * Math.max(1, Math.abs(m.e), Math.abs(m.f), v.width, v.height);
+                    if (r.align === "none") {
+                        assert.equal(Math.abs(p1.x - v.x) < eps && Math.abs(p2.y - v.y - v.height) < eps, true);
+                    } else {
+                        assert.equal(m.a, m.d);
+                        // Meet fits the viewBox in the viewport, slice covers the viewport
+                        var fits = p1.x >= v.x - eps && p2.x <= v.x + v.width + eps
+                            && p1.y >= v.y - eps && p2.y <= v.y + v.height + eps;
+                        var covers = p1.x <= v.x + eps && p2.x >= v.x + v.width - eps
+                            && p1.y <= v.y + eps && p2.y >= v.y + v.height - eps;
+                        assert.equal(r.meetOrSlice === "meet" ? fits : covers, true);
+                    }
+                }
+            });
+
+            it('should translate to the viewport without viewBox and disable rendering for empty ones', function () {
+                assert.deepEqual(viewport.toMatrix(null, null, port), transform.Matrix(1, 0, 0, 1, 5, 5));
+                assert.deepEqual(viewport.toMatrix(undefined, null, {width: 10, height: 10}), transform.identity());
+                assert.equal(viewport.toMatrix({minX: 0, minY: 0, width: 0, height: 10}, null, port), null);
+            });
+        });
+    });
+});